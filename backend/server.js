@@ -21,6 +21,17 @@ const EnhancedAIParser = require('./services/ai-query-processor');
 const contextualFilterService = require('./services/contextual-filters');
 const { EventEngineCoordinator } = require('./services/event-engines');
 const ExtendedForwardReturnsCalculator = require('./services/forward-returns');
+const PriceAdjustment = require('./services/price-adjustment');
+const DataQuality = require('./services/data-quality');
+const UniverseService = require('./services/universes');
+const { ParseSchema } = require('./services/parse-schema');
+const QueryClarifier = require('./services/query-clarifier');
+const ComparisonAnalyzer = require('./services/comparison');
+const SymbolResolver = require('./services/symbol-resolver');
+const ParseCache = require('./services/parse-cache');
+const ResultExplainer = require('./services/result-explainer');
+const EngineRegistry = require('./services/engine-registry');
+const EventComposition = require('./services/event-composition');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -85,9 +96,9 @@ app.use((req, res, next) => {
 
 const requiredEnvVars = ['JWT_SECRET', 'MONGODB_URI'];
 const optionalEnvVars = {
-    'OPENAI_API_KEY': 'AI features will be disabled',
+    'OPENAI_API_KEY': 'LLM query parsing disabled unless LLM_PROVIDER is set - rule-based parsing only',
     'STRIPE_SECRET_KEY': 'Billing will be disabled',
-    'FRED_API_KEY': 'Macro data will be simulated'
+    'FRED_API_KEY': 'Macro data will be read from local files (MACRO_DATA_DIR)'
 };
 
 for (const envVar of requiredEnvVars) {
@@ -105,6 +116,10 @@ for (const [envVar, message] of Object.entries(optionalEnvVars)) {
 
 console.log('✅ Environment validation complete');
 
+const marketDataProviders = MarketDataService.getProviderSummary();
+console.log(`📈 Market data provider: ${marketDataProviders.default}` +
+    (Object.keys(marketDataProviders.overrides).length > 0 ? ` (overrides: ${JSON.stringify(marketDataProviders.overrides)})` : ''));
+
 // ========================================
 // DATABASE SCHEMAS
 // ========================================
@@ -142,6 +157,7 @@ const QueryCacheSchema = new mongoose.Schema({
     parameters: { type: Object, required: true },
     results: { type: Array, required: true },
     summary: { type: Object, required: true },
+    explanation: Object,
     executionTime: { type: Number, required: true },
     hitCount: { type: Number, default: 1 },
     createdAt: { type: Date, default: Date.now, expires: 86400 }
@@ -159,6 +175,9 @@ const QueryHistorySchema = new mongoose.Schema({
     cached: { type: Boolean, default: false },
     aiParsed: { type: Boolean, default: false },
     aiDescription: String,
+    // Natural-language queries only: the validated parse, reused by ParseCache for equivalent questions
+    normalizedQuery: { type: String, index: true },
+    parse: Object,
     ipAddress: String,
     userAgent: String,
     createdAt: { type: Date, default: Date.now }
@@ -200,28 +219,28 @@ const TIER_LIMITS = {
         queries: 200,
         price: 29,
         features: ['basic_patterns', 'csv_export', 'email_support'],
-        strategies: ['PERCENT_MOVE', 'REVERSAL'],
+        engineTier: 'starter',
         description: 'Basic patterns (gaps, reversals)'
     },
     pro: {
         queries: 1000,
         price: 79,
         features: ['all_strategies', 'real_time_alerts', 'priority_support', 'api_access'],
-        strategies: 'all',
+        engineTier: 'pro',
         description: 'All premium strategies + alerts'
     },
     pro_journal: {
         queries: 1000,
         price: 84,
         features: ['all_strategies', 'trading_journal', 'pnl_calendar', 'performance_analytics'],
-        strategies: 'all',
+        engineTier: 'pro',
         description: 'Pro + Complete Trading Journal'
     },
     enterprise: {
         queries: -1,
         price: 199,
-        features: ['unlimited_queries', 'custom_strategies', 'white_label', 'phone_support'],
-        strategies: 'all',
+        features: ['unlimited_queries', 'custom_strategies', 'white_label', 'phone_support', 'api_access'],
+        engineTier: 'enterprise',
         description: 'Unlimited + Custom strategies'
     }
 };
@@ -245,6 +264,7 @@ async function getCachedResult(cacheKey) {
             return {
                 results: cached.results,
                 summary: cached.summary,
+                explanation: cached.explanation,
                 executionTime: cached.executionTime
             };
         }
@@ -254,7 +274,7 @@ async function getCachedResult(cacheKey) {
     return null;
 }
 
-async function cacheResult(cacheKey, strategy, ticker, parameters, results, summary, executionTime) {
+async function cacheResult(cacheKey, strategy, ticker, parameters, results, summary, executionTime, explanation = null) {
     try {
         await QueryCache.findOneAndUpdate(
             { queryHash: cacheKey },
@@ -265,6 +285,7 @@ async function cacheResult(cacheKey, strategy, ticker, parameters, results, summ
                 parameters,
                 results,
                 summary,
+                explanation,
                 executionTime,
                 hitCount: 1
             },
@@ -299,6 +320,30 @@ async function updateUserUsage(userId) {
     }
 }
 
+// Pending parse confirmations live in a signed token rather than the database: nothing to clean up,
+// and the interpretation cannot be altered except through the confirm route's edits
+const CONFIRMATION_TTL = '30m';
+
+function createConfirmationToken(userId, query, interpretation) {
+    const { validation, ...parse } = interpretation;
+    return jwt.sign(
+        { purpose: 'parse_confirmation', userId: String(userId), query, interpretation: parse },
+        process.env.JWT_SECRET,
+        { expiresIn: CONFIRMATION_TTL }
+    );
+}
+
+function verifyConfirmationToken(token, userId) {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== 'parse_confirmation') {
+        throw new Error('Not a confirmation token');
+    }
+    if (payload.userId !== String(userId)) {
+        throw new Error('Confirmation token belongs to another user');
+    }
+    return payload;
+}
+
 function getUpgradeTier(currentTier) {
     const upgrades = {
         starter: { tier: 'pro', price: 79, queries: 1000, message: 'Upgrade to Pro for 1,000 queries + all premium strategies' },
@@ -372,6 +417,41 @@ const checkSubscriptionLimits = async (req, res, next) => {
     }
 };
 
+// Engines are granted by EngineRegistry tier (engineTier above). Types not known yet (natural-language
+// queries before parsing) pass only for tiers above starter.
+const hasStrategyAccess = (tierInfo, eventType) => EngineRegistry.has(eventType)
+    ? EngineRegistry.isAvailableTo(eventType, tierInfo.engineTier)
+    : tierInfo.engineTier !== 'starter';
+
+// Cheapest subscription that can run the engine
+const requiredTierFor = eventType => Object.keys(TIER_LIMITS)
+    .find(name => EngineRegistry.isAvailableTo(eventType, TIER_LIMITS[name].engineTier)) || 'pro';
+
+const strategyDenied = (tier, eventType) => {
+    const requiredTier = requiredTierFor(eventType);
+    return {
+        error: `Strategy "${eventType}" requires ${requiredTier === 'enterprise' ? 'Enterprise' : 'Pro'} subscription`,
+        strategy: eventType,
+        currentTier: tier,
+        requiredTier,
+        upgrade: {
+            tier: requiredTier,
+            price: TIER_LIMITS[requiredTier].price,
+            message: requiredTier === 'enterprise' ? 'Upgrade to Enterprise for custom strategies' : 'Upgrade to Pro for all premium strategies'
+        }
+    };
+};
+
+// First engine in a parsed event the tier cannot run: the event type itself or, for COMPOSITE,
+// any leaf of its expression. null when everything is allowed.
+const findDeniedStrategy = (tierInfo, parsed) => {
+    const leaves = parsed.event_type === 'COMPOSITE' && parsed.parameters?.expression
+        ? EventComposition.collectLeaves(parsed.parameters.expression)
+        : [];
+    return [parsed.event_type, ...leaves.map(leaf => leaf.event_type)]
+        .find(eventType => !hasStrategyAccess(tierInfo, eventType)) || null;
+};
+
 const checkStrategyAccess = (req, res, next) => {
     try {
         const user = req.user;
@@ -380,18 +460,8 @@ const checkStrategyAccess = (req, res, next) => {
         const data = req.body;
         const strategy = data.strategy || data.event_type;
         
-        if (tierInfo.strategies !== 'all' && !tierInfo.strategies.includes(strategy)) {
-            return res.status(403).json({
-                error: `Strategy "${strategy}" requires Pro subscription`,
-                strategy: strategy,
-                currentTier: user.subscription.tier,
-                requiredTier: 'pro',
-                upgrade: {
-                    tier: 'pro',
-                    price: TIER_LIMITS.pro.price,
-                    message: 'Upgrade to Pro for all premium strategies'
-                }
-            });
+        if (!hasStrategyAccess(tierInfo, strategy)) {
+            return res.status(403).json(strategyDenied(user.subscription.tier, strategy));
         }
         
         next();
@@ -401,6 +471,25 @@ const checkStrategyAccess = (req, res, next) => {
     }
 };
 
+const checkFeatureAccess = (feature) => (req, res, next) => {
+    const tier = req.user.subscription.tier;
+    if (!TIER_LIMITS[tier]?.features.includes(feature)) {
+        const requiredTier = Object.keys(TIER_LIMITS).find(name => TIER_LIMITS[name].features.includes(feature));
+        return res.status(403).json({
+            error: `This endpoint requires the "${feature}" feature`,
+            feature,
+            currentTier: tier,
+            requiredTier,
+            upgrade: requiredTier ? {
+                tier: requiredTier,
+                price: TIER_LIMITS[requiredTier].price,
+                message: `Upgrade to ${requiredTier} for ${feature.replace(/_/g, ' ')}`
+            } : null
+        });
+    }
+    next();
+};
+
 // ========================================
 // AUTHENTICATION ROUTES
 // ========================================
@@ -520,6 +609,449 @@ app.get('/api/auth/profile', authenticateToken, async (req, res) => {
     }
 });
 
+// ========================================
+// ANALYSIS PIPELINE
+// ========================================
+
+// Engine run, context filters and forward returns for one parsed event. Engine failures throw;
+// filter and forward-return failures degrade to unfiltered matches / raw match rows.
+async function computeEventAnalysis(aiResult, { dateRange, priceBasis, interval, forwardPeriods }) {
+    console.log(`🔍 Running ${aiResult.event_type} analysis for ${aiResult.ticker}`);
+    
+    const eventResult = await engineCoordinator.runEventAnalysis(
+        aiResult.event_type,
+        aiResult.ticker,
+        aiResult.parameters,
+        { range: dateRange, priceBasis }
+    );
+    
+    // Contextual filters
+    // Intraday matches keep their timestamp so MARKET_HOURS can look at the time of day
+    const matchKey = match => interval === '1d'
+        ? new Date(match.date).toISOString().split('T')[0]
+        : new Date(match.date).toISOString();
+    let filteredMatches = eventResult.matches || [];
+    let filterWarnings = [];
+    if (aiResult.context_filters && aiResult.context_filters.length > 0 && filteredMatches.length > 0) {
+        try {
+            const matchDates = filteredMatches.map(matchKey);
+            const filteredDates = contextualFilterService.applyContextFilters(
+                matchDates, 
+                aiResult.context_filters, 
+                aiResult.additional_filters
+            );
+            filterWarnings = contextualFilterService.getFilterWarnings(matchDates, aiResult.context_filters);
+            
+            // Filter matches to only include those that pass context filters
+            filteredMatches = filteredMatches.filter(match => filteredDates.includes(matchKey(match)));
+            
+            console.log(`🔍 Context filters applied: ${eventResult.matches.length} → ${filteredMatches.length} matches`);
+        } catch (filterError) {
+            console.warn('Context filter application failed:', filterError.message);
+            // Continue with unfiltered matches
+        }
+    }
+    
+    // Forward returns
+    let results = [];
+    let summary = eventResult.summary;
+    let returnsByPeriod = {};
+    let baselineReturnsByPeriod = {};
+    
+    if (filteredMatches.length > 0) {
+        try {
+            // Forward windows may run past end_date, so fetch from the analysis start up to today
+            const marketData = await MarketDataService.getHistoricalData(aiResult.ticker, {
+                start_date: eventResult.analysis_period?.start || dateRange.start_date
+            }, { priceBasis, interval });
+            
+            const forwardResults = ExtendedForwardReturnsCalculator.calculate(
+                marketData, 
+                filteredMatches, 
+                forwardPeriods,
+                { analysisPeriod: eventResult.analysis_period, priceBasis, interval, dataQuality: eventResult.data_quality }
+            );
+            
+            results = forwardResults.results;
+            summary = { ...summary, ...forwardResults.summary };
+            returnsByPeriod = forwardResults.returnsByPeriod;
+            baselineReturnsByPeriod = forwardResults.baselineReturnsByPeriod;
+            
+            // Add context filter info to summary
+            if (aiResult.context_filters && aiResult.context_filters.length > 0) {
+                const filterSummary = contextualFilterService.getFilterSummary(
+                    aiResult.context_filters, 
+                    aiResult.additional_filters
+                );
+                summary['Context Filters'] = filterSummary;
+                summary['Filtered Matches'] = `${filteredMatches.length} of ${eventResult.matches.length} total matches`;
+                if (filterWarnings.length > 0) {
+                    summary['Context Filter Warnings'] = filterWarnings.join('; ');
+                }
+            }
+            
+        } catch (forwardError) {
+            console.warn('Forward returns calculation failed:', forwardError.message);
+            results = filteredMatches.map(match => ({
+                'Match Date': new Date(match.date).toISOString().split('T')[0],
+                'Event': aiResult.description,
+                'Details': JSON.stringify(match)
+            }));
+        }
+    } else {
+        results = [];
+        summary['Data Quality'] = DataQuality.describeAll(eventResult.data_quality);
+        summary.message = `No historical instances found matching: "${aiResult.description}"`;
+        if (aiResult.context_filters && aiResult.context_filters.length > 0) {
+            summary.message += ` with applied context filters`;
+        }
+        if (filterWarnings.length > 0) {
+            summary['Context Filter Warnings'] = filterWarnings.join('; ');
+        }
+    }
+    
+    return { eventResult, filteredMatches, results, summary, returnsByPeriod, baselineReturnsByPeriod };
+}
+
+// Template explanation as computed, reworded by the LLM for 'polished', or omitted for 'none'
+async function presentExplanation(explanation, style) {
+    if (!explanation || style === 'none') return undefined;
+    if (style === 'polished') {
+        return ResultExplainer.polish(explanation, EnhancedAIParser.getLLMProvider());
+    }
+    return explanation;
+}
+
+// QueryHistory fields that let ParseCache reuse this parse. Structured requests have no question
+// to match, and a user's edits to a confirmed parse are their own intent, not the question's.
+function historyParseFields(query, aiResult) {
+    if (aiResult.parser === 'structured' || aiResult.parse_source === 'edited') return {};
+    const { validation, parse_source, ...parse } = aiResult;
+    return { normalizedQuery: ParseCache.normalizeQuery(query), parse };
+}
+
+// Sends a 400 listing symbols with no market data (with close table names) and returns false.
+// Names were already mapped to symbols by ParseSchema; this is the existence check before any engine runs.
+async function checkParseSymbols(res, aiResult) {
+    const { unresolved, unverified } = await SymbolResolver.verifyParse(aiResult);
+    if (unverified.length > 0) {
+        console.warn(`Could not verify symbols: ${unverified.map(entry => entry.value).join(', ')}`);
+    }
+    if (unresolved.length === 0) return true;
+
+    res.status(400).json({
+        error: `Unknown symbol${unresolved.length > 1 ? 's' : ''}: ${unresolved.map(entry => entry.value).join(', ')}`,
+        unresolved,
+        suggestion: 'Use a ticker symbol, or a company, index or sector name'
+    });
+    return false;
+}
+
+// Everything after parsing: date range, cache, engine run, context filters, forward returns,
+// usage and history. Shared by /api/analyze, /api/analyze/confirm and /api/events/run;
+// aiResult is a parse already validated by ParseSchema.
+async function runAnalysisPipeline(req, res, { query, aiResult, periods, start_date, end_date, price_basis, explanation: explanationMode, startTime = Date.now() }) {
+    // Explicit request dates override whatever range the AI picked up from the query
+    const dateRange = {
+        start_date: start_date || aiResult.start_date || undefined,
+        end_date: end_date || aiResult.end_date || undefined
+    };
+    
+    try {
+        MarketDataService.resolveDateRange(dateRange);
+    } catch (rangeError) {
+        return res.status(400).json({
+            error: 'Invalid analysis date range',
+            details: rangeError.message,
+            dateRange
+        });
+    }
+    
+    let priceBasis;
+    try {
+        priceBasis = PriceAdjustment.normalizeBasis(price_basis || aiResult.price_basis);
+    } catch (basisError) {
+        return res.status(400).json({
+            error: 'Invalid price basis',
+            details: basisError.message,
+            validOptions: PriceAdjustment.PRICE_BASES
+        });
+    }
+    
+    let explanationStyle;
+    try {
+        explanationStyle = ResultExplainer.normalizeMode(explanationMode);
+    } catch (modeError) {
+        return res.status(400).json({ error: modeError.message });
+    }
+    
+    // Intraday engines run on intraday bars; forward horizons are then counted in bars
+    let interval;
+    try {
+        interval = engineCoordinator.getDataInterval(aiResult.event_type, aiResult.parameters);
+    } catch (intervalError) {
+        return res.status(400).json({
+            error: 'Invalid bar interval',
+            details: intervalError.message
+        });
+    }
+    const forwardPeriods = periods || ExtendedForwardReturnsCalculator.getDefaultPeriods(interval);
+    
+    if (!await checkParseSymbols(res, aiResult)) return;
+    
+    if (aiResult.variants) {
+        return runComparisonPipeline(req, res, { query, aiResult, dateRange, priceBasis, interval, forwardPeriods, startTime });
+    }
+    
+    // Step 2: Check cache
+    const cacheKey = generateQueryHash(
+        aiResult.event_type, 
+        aiResult.ticker, 
+        {
+            ...aiResult.parameters,
+            contextFilters: aiResult.context_filters || [],
+            additionalFilters: aiResult.additional_filters || {},
+            dateRange, priceBasis, interval, periods: forwardPeriods
+        }
+    );
+    
+    const cachedResult = await getCachedResult(cacheKey);
+    if (cachedResult) {
+        console.log(`📋 Cache hit for AI query: ${aiResult.event_type}`);
+        
+        await updateUserUsage(req.user._id);
+        
+        await QueryHistory.create({
+            userId: req.user._id,
+            query: query,
+            strategy: aiResult.event_type,
+            ticker: aiResult.ticker,
+            parameters: aiResult.parameters,
+            results: cachedResult.results,
+            summary: cachedResult.summary,
+            executionTime: cachedResult.executionTime,
+            cached: true,
+            aiParsed: aiResult.parser !== 'structured',
+            aiDescription: aiResult.description,
+            ...historyParseFields(query, aiResult),
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        
+        return res.json({
+            query: query,
+            aiParsing: {
+                eventType: aiResult.event_type,
+                ticker: aiResult.ticker,
+                description: aiResult.description,
+                confidence: aiResult.confidence,
+                parser: aiResult.parser,
+                parseSource: aiResult.parse_source
+            },
+            results: cachedResult.results,
+            summary: cachedResult.summary,
+            explanation: await presentExplanation(cachedResult.explanation, explanationStyle),
+            cached: true,
+            executionTime: cachedResult.executionTime
+        });
+    }
+    
+    // Step 3: Run the engine, context filters and forward returns
+    let analysis;
+    try {
+        analysis = await computeEventAnalysis(aiResult, { dateRange, priceBasis, interval, forwardPeriods });
+    } catch (engineError) {
+        console.error(`Engine ${aiResult.event_type} failed:`, engineError.message);
+        
+        return res.status(500).json({
+            error: 'Event analysis engine temporarily unavailable',
+            eventType: aiResult.event_type,
+            details: engineError.message,
+            engineStatus: engineCoordinator.getEngineHealthStatus(),
+            suggestion: 'Please try again in a few minutes or try a different analysis type'
+        });
+    }
+    const { eventResult, filteredMatches, results, summary } = analysis;
+    
+    const explanation = ResultExplainer.explain({
+        description: aiResult.description,
+        ticker: aiResult.ticker,
+        totalMatches: filteredMatches.length,
+        analysisPeriod: eventResult.analysis_period,
+        returnsByPeriod: analysis.returnsByPeriod,
+        baselineReturnsByPeriod: analysis.baselineReturnsByPeriod
+    });
+    
+    const executionTime = Date.now() - startTime;
+    
+    // Step 4: Cache and log (the template explanation is cached; polishing happens per request)
+    await cacheResult(
+        cacheKey, 
+        aiResult.event_type, 
+        aiResult.ticker, 
+        aiResult.parameters, 
+        results, 
+        summary, 
+        executionTime,
+        explanation
+    );
+    
+    await updateUserUsage(req.user._id);
+    
+    await QueryHistory.create({
+        userId: req.user._id,
+        query: query,
+        strategy: aiResult.event_type,
+        ticker: aiResult.ticker,
+        parameters: aiResult.parameters,
+        results,
+        summary,
+        executionTime,
+        cached: false,
+        aiParsed: aiResult.parser !== 'structured',
+        aiDescription: aiResult.description,
+        ...historyParseFields(query, aiResult),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+    
+    console.log(`✅ AI analysis completed: ${filteredMatches.length} matches found in ${executionTime}ms`);
+    
+    // Step 5: Return comprehensive response
+    res.json({
+        query: query,
+        aiParsing: {
+            eventType: aiResult.event_type,
+            ticker: aiResult.ticker,
+            description: aiResult.description,
+            confidence: aiResult.confidence,
+            parser: aiResult.parser,
+            parseSource: aiResult.parse_source,
+            validation: aiResult.validation,
+            parameters: aiResult.parameters,
+            contextFilters: aiResult.context_filters || [],
+            dateRange,
+            priceBasis,
+            interval
+        },
+        eventAnalysis: {
+            matches: filteredMatches.length,
+            totalMatches: eventResult.matches?.length || 0,
+            analysisPeriod: eventResult.analysis_period || null,
+            dataQuality: eventResult.data_quality || {},
+            summary: eventResult.summary
+        },
+        results,
+        summary,
+        explanation: await presentExplanation(explanation, explanationStyle),
+        cached: false,
+        executionTime,
+        engineHealth: engineCoordinator.getEngineHealthStatus()[aiResult.event_type]
+    });
+}
+
+// "X vs Y" parses: runs each variant through computeEventAnalysis and puts their forward
+// returns side by side with a significance test per timeframe. Counts as one query.
+async function runComparisonPipeline(req, res, { query, aiResult, dateRange, priceBasis, interval, forwardPeriods, startTime }) {
+    const cacheKey = generateQueryHash(
+        aiResult.event_type,
+        aiResult.ticker,
+        { variants: aiResult.variants, dateRange, priceBasis, interval, periods: forwardPeriods }
+    );
+    
+    let results;
+    let summary;
+    let executionTime;
+    const cachedResult = await getCachedResult(cacheKey);
+    
+    if (cachedResult) {
+        console.log(`📋 Cache hit for comparison: ${aiResult.variants.map(v => v.label).join(' vs ')}`);
+        ({ results, summary, executionTime } = cachedResult);
+    } else {
+        const runs = [];
+        for (const variant of aiResult.variants) {
+            const variantParse = { ...aiResult, ...variant, description: `${aiResult.description} (${variant.label})` };
+            try {
+                runs.push({ variant, analysis: await computeEventAnalysis(variantParse, { dateRange, priceBasis, interval, forwardPeriods }) });
+            } catch (engineError) {
+                console.error(`Engine ${aiResult.event_type} failed for variant ${variant.label}:`, engineError.message);
+                
+                return res.status(500).json({
+                    error: 'Event analysis engine temporarily unavailable',
+                    eventType: aiResult.event_type,
+                    variant: variant.label,
+                    details: engineError.message,
+                    engineStatus: engineCoordinator.getEngineHealthStatus(),
+                    suggestion: 'Please try again in a few minutes or try a different analysis type'
+                });
+            }
+        }
+        
+        results = ComparisonAnalyzer.compare(
+            runs.map(run => ({ label: run.variant.label, returnsByPeriod: run.analysis.returnsByPeriod })),
+            Object.keys(forwardPeriods)
+        );
+        summary = {
+            ...ComparisonAnalyzer.summarize(results),
+            'Variants': runs.map(run => ({
+                label: run.variant.label,
+                ticker: run.variant.ticker,
+                matches: run.analysis.filteredMatches.length,
+                totalMatches: run.analysis.eventResult.matches?.length || 0,
+                analysisPeriod: run.analysis.eventResult.analysis_period || null,
+                dataQuality: DataQuality.describeAll(run.analysis.eventResult.data_quality || {})
+            }))
+        };
+        executionTime = Date.now() - startTime;
+        
+        await cacheResult(cacheKey, aiResult.event_type, aiResult.ticker, { ...aiResult.parameters, variants: aiResult.variants }, results, summary, executionTime);
+    }
+    
+    await updateUserUsage(req.user._id);
+    
+    await QueryHistory.create({
+        userId: req.user._id,
+        query: query,
+        strategy: aiResult.event_type,
+        ticker: aiResult.ticker,
+        parameters: { ...aiResult.parameters, variants: aiResult.variants },
+        results,
+        summary,
+        executionTime,
+        cached: Boolean(cachedResult),
+        aiParsed: aiResult.parser !== 'structured',
+        aiDescription: aiResult.description,
+        ...historyParseFields(query, aiResult),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+    
+    console.log(`✅ Comparison completed: ${summary['Comparison']} in ${executionTime}ms`);
+    
+    res.json({
+        query: query,
+        aiParsing: {
+            eventType: aiResult.event_type,
+            ticker: aiResult.ticker,
+            description: aiResult.description,
+            confidence: aiResult.confidence,
+            parser: aiResult.parser,
+            parseSource: aiResult.parse_source,
+            validation: aiResult.validation,
+            parameters: aiResult.parameters,
+            variants: aiResult.variants,
+            dateRange,
+            priceBasis,
+            interval
+        },
+        comparison: ComparisonAnalyzer.formatTable(results),
+        results,
+        summary,
+        cached: Boolean(cachedResult),
+        executionTime
+    });
+}
+
 // ========================================
 // MAIN AI-POWERED ANALYSIS ROUTE
 // ========================================
@@ -528,7 +1060,7 @@ app.post('/api/analyze', authenticateToken, checkSubscriptionLimits, checkStrate
     const startTime = Date.now();
     
     try {
-        const { query, periods } = req.body;
+        const { query, periods, start_date, end_date, price_basis, explanation, confirmation = 'auto' } = req.body;
         
         if (!query || typeof query !== 'string') {
             return res.status(400).json({ 
@@ -537,6 +1069,10 @@ app.post('/api/analyze', authenticateToken, checkSubscriptionLimits, checkStrate
             });
         }
         
+        if (!['auto', 'always', 'never'].includes(confirmation)) {
+            return res.status(400).json({ error: 'confirmation must be one of: auto, always, never' });
+        }
+        
         console.log(`🤖 Processing AI query: "${query}" for user ${req.user.email}`);
         
         // Step 1: Process natural language with AI
@@ -548,6 +1084,7 @@ app.post('/api/analyze', authenticateToken, checkSubscriptionLimits, checkStrate
             return res.status(400).json({
                 error: 'Could not understand your query',
                 details: error.message,
+                ...(error.validation ? { validation: error.validation } : {}),
                 suggestions: EnhancedAIParser.getAdvancedSuggestions(),
                 fallback: 'Try using simpler language or one of the examples above'
             });
@@ -570,212 +1107,405 @@ app.post('/api/analyze', authenticateToken, checkSubscriptionLimits, checkStrate
         
         console.log(`✅ AI parsed query as: ${aiResult.event_type} for ${aiResult.ticker}`);
         
-        // Step 2: Check cache
-        const cacheKey = generateQueryHash(
-            aiResult.event_type, 
-            aiResult.ticker, 
-            { ...aiResult.parameters, periods: periods || { '1D': 1, '2D': 2, '3D': 3, '4D': 4, '1W': 5, '2W': 10, '1M': 21, '2M': 42, '3M': 63, '6M': 126, '12M': 252 } }
-        );
+        // checkStrategyAccess only saw the raw request; the parse decides which engines run
+        const denied = findDeniedStrategy(TIER_LIMITS[req.user.subscription.tier], aiResult);
+        if (denied) {
+            return res.status(403).json(strategyDenied(req.user.subscription.tier, denied));
+        }
         
-        const cachedResult = await getCachedResult(cacheKey);
-        if (cachedResult) {
-            console.log(`📋 Cache hit for AI query: ${aiResult.event_type}`);
-            
-            await updateUserUsage(req.user._id);
-            
-            await QueryHistory.create({
-                userId: req.user._id,
-                query: query,
-                strategy: aiResult.event_type,
-                ticker: aiResult.ticker,
-                parameters: aiResult.parameters,
-                results: cachedResult.results,
-                summary: cachedResult.summary,
-                executionTime: cachedResult.executionTime,
-                cached: true,
-                aiParsed: true,
-                aiDescription: aiResult.description,
-                ipAddress: req.ip,
-                userAgent: req.get('User-Agent')
-            });
-            
-            return res.json({
-                query: query,
-                aiParsing: {
-                    eventType: aiResult.event_type,
-                    ticker: aiResult.ticker,
-                    description: aiResult.description,
-                    confidence: aiResult.confidence
-                },
-                results: cachedResult.results,
-                summary: cachedResult.summary,
-                cached: true,
-                executionTime: cachedResult.executionTime
-            });
+        // Unknown symbols are reported now rather than after the user confirms
+        if (!await checkParseSymbols(res, aiResult)) return;
+        
+        // Step 2: Low-confidence or vague parses are returned for confirmation instead of being run.
+        // Nothing is counted against the quota until the interpretation is confirmed.
+        if (confirmation !== 'never') {
+            const review = QueryClarifier.review(query, aiResult);
+            if (confirmation === 'always' || review.needsConfirmation) {
+                return res.json({
+                    status: 'needs_confirmation',
+                    query,
+                    interpretation: {
+                        eventType: aiResult.event_type,
+                        ticker: aiResult.ticker,
+                        description: aiResult.description,
+                        parameters: aiResult.parameters,
+                        contextFilters: aiResult.context_filters || [],
+                        additionalFilters: aiResult.additional_filters || {},
+                        startDate: aiResult.start_date || null,
+                        endDate: aiResult.end_date || null,
+                        priceBasis: aiResult.price_basis || null,
+                        confidence: aiResult.confidence,
+                        parser: aiResult.parser || 'llm',
+                        parseSource: aiResult.parse_source
+                    },
+                    reasons: review.reasons,
+                    questions: review.questions,
+                    editableParameters: review.editableParameters,
+                    confirmationToken: createConfirmationToken(req.user._id, query, aiResult),
+                    expiresIn: CONFIRMATION_TTL,
+                    next: 'POST /api/analyze/confirm with confirmationToken and optional answers / edits'
+                });
+            }
         }
         
-        // Step 3: Run event analysis
-        console.log(`🔍 Running ${aiResult.event_type} analysis for ${aiResult.ticker}`);
+        await runAnalysisPipeline(req, res, { query, aiResult, periods, start_date, end_date, price_basis, explanation, startTime });
+        
+    } catch (error) {
+        console.error('AI analysis route error:', error);
+        
+        const executionTime = Date.now() - startTime;
         
-        let eventResult;
+        res.status(500).json({
+            error: 'Analysis failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+            executionTime,
+            suggestion: 'Please try again or contact support if the problem persists'
+        });
+    }
+});
+
+// Runs a parse returned by /api/analyze as needs_confirmation, optionally edited.
+// answers: { [question id]: value }; edits: partial parse, e.g. { parameters: { percent_move: 3 } }
+app.post('/api/analyze/confirm', authenticateToken, checkSubscriptionLimits, async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { confirmationToken, answers, edits, periods, start_date, end_date, price_basis, explanation } = req.body;
+        
+        if (!confirmationToken || typeof confirmationToken !== 'string') {
+            return res.status(400).json({ error: 'confirmationToken from /api/analyze is required' });
+        }
+        
+        let pending;
         try {
-            eventResult = await engineCoordinator.runEventAnalysis(
-                aiResult.event_type,
-                aiResult.ticker,
-                aiResult.parameters
-            );
-        } catch (engineError) {
-            console.error(`Engine ${aiResult.event_type} failed:`, engineError.message);
-            
-            return res.status(500).json({
-                error: 'Event analysis engine temporarily unavailable',
-                eventType: aiResult.event_type,
-                details: engineError.message,
-                engineStatus: engineCoordinator.getEngineHealthStatus(),
-                suggestion: 'Please try again in a few minutes or try a different analysis type'
+            pending = verifyConfirmationToken(confirmationToken, req.user._id);
+        } catch (tokenError) {
+            return res.status(400).json({
+                error: 'Invalid or expired confirmation token',
+                details: tokenError.message,
+                suggestion: 'Submit the query to /api/analyze again'
             });
         }
         
-        // Step 4: Apply contextual filters
-        let filteredMatches = eventResult.matches || [];
-        if (aiResult.context_filters && aiResult.context_filters.length > 0 && filteredMatches.length > 0) {
-            try {
-                const matchDates = filteredMatches.map(match => new Date(match.date).toISOString().split('T')[0]);
-                const filteredDates = contextualFilterService.applyContextFilters(
-                    matchDates, 
-                    aiResult.context_filters, 
-                    aiResult.additional_filters
-                );
-                
-                // Filter matches to only include those that pass context filters
-                filteredMatches = filteredMatches.filter(match => {
-                    const matchDate = new Date(match.date).toISOString().split('T')[0];
-                    return filteredDates.includes(matchDate);
-                });
-                
-                console.log(`🔍 Context filters applied: ${eventResult.matches.length} → ${filteredMatches.length} matches`);
-            } catch (filterError) {
-                console.warn('Context filter application failed:', filterError.message);
-                // Continue with unfiltered matches
-            }
+        let aiResult;
+        try {
+            aiResult = ParseSchema.assertValid(QueryClarifier.applyEdits(pending.interpretation, { answers, edits }));
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Edited interpretation is invalid',
+                details: validationError.message,
+                ...(validationError.validation ? { validation: validationError.validation } : {})
+            });
         }
         
-        // Step 5: Calculate forward returns
-        let results = [];
-        let summary = eventResult.summary;
+        if (Object.keys(answers || {}).length > 0 || Object.keys(edits || {}).length > 0) {
+            aiResult.parse_source = 'edited';
+        }
+        
+        // Edits can change the event type, so tier access is checked on the confirmed parse
+        const denied = findDeniedStrategy(TIER_LIMITS[req.user.subscription.tier], aiResult);
+        if (denied) {
+            return res.status(403).json(strategyDenied(req.user.subscription.tier, denied));
+        }
         
-        if (filteredMatches.length > 0 && aiResult.event_type !== 'MACRO_EVENT') {
+        console.log(`✅ Confirmed query "${pending.query}" as: ${aiResult.event_type} for ${aiResult.ticker}`);
+        
+        await runAnalysisPipeline(req, res, { query: pending.query, aiResult, periods, start_date, end_date, price_basis, explanation, startTime });
+        
+    } catch (error) {
+        console.error('Confirm analysis route error:', error);
+        
+        res.status(500).json({
+            error: 'Analysis failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+            executionTime: Date.now() - startTime
+        });
+    }
+});
+
+// ========================================
+// STRUCTURED ANALYSIS ROUTE
+// ========================================
+
+// Same shape the parser produces (event_type, ticker, parameters, context_filters,
+// additional_filters, start_date, end_date, price_basis) plus periods and explanation. No LLM
+// involved unless explanation is 'polished'; otherwise identical to /api/analyze, including
+// caching, usage and history.
+app.post('/api/events/run', authenticateToken, checkFeatureAccess('api_access'), checkSubscriptionLimits, checkStrategyAccess, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { query, periods, start_date, end_date, price_basis, explanation, ...event } = req.body;
+
+        if (periods !== undefined && (!periods || typeof periods !== 'object' || Array.isArray(periods) || Object.keys(periods).length === 0)) {
+            return res.status(400).json({ error: 'periods must map timeframe labels to bar counts (e.g. {"1D": 1, "1W": 5, "1M": 21})' });
+        }
+
+        let aiResult;
+        try {
+            aiResult = ParseSchema.assertValid({ ...event, start_date, end_date, price_basis, confidence: 1 });
+        } catch (validationError) {
+            return res.status(400).json({
+                error: 'Invalid event definition',
+                details: validationError.message,
+                ...(validationError.validation ? { validation: validationError.validation } : {}),
+                eventTypes: ParseSchema.EVENT_TYPES
+            });
+        }
+        aiResult.parser = 'structured';
+
+        // checkStrategyAccess covers the top-level type; composite leaves are checked here
+        const denied = findDeniedStrategy(TIER_LIMITS[req.user.subscription.tier], aiResult);
+        if (denied) {
+            return res.status(403).json(strategyDenied(req.user.subscription.tier, denied));
+        }
+
+        console.log(`🧩 Structured ${aiResult.event_type} request for ${aiResult.ticker} from user ${req.user.email}`);
+
+        await runAnalysisPipeline(req, res, {
+            query: typeof query === 'string' && query.trim() ? query.trim() : aiResult.description,
+            aiResult,
+            periods,
+            start_date,
+            end_date,
+            price_basis,
+            explanation,
+            startTime
+        });
+
+    } catch (error) {
+        console.error('Structured analysis route error:', error);
+
+        res.status(500).json({
+            error: 'Analysis failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+            executionTime: Date.now() - startTime
+        });
+    }
+});
+
+// Parameter schemas for /api/events/run
+app.get('/api/events/schema', authenticateToken, (req, res) => {
+    res.json({
+        eventTypes: ParseSchema.EVENT_TYPES.map(eventType => ({
+            eventType,
+            parameters: ParseSchema.getEngineSchema(eventType)
+        })),
+        contextFilters: ParseSchema.CONTEXT_FILTERS
+    });
+});
+
+// ========================================
+// UNIVERSE SCAN ROUTES
+// ========================================
+
+app.get('/api/universes', authenticateToken, async (req, res) => {
+    try {
+        const universes = await UniverseService.listUniverses(req.user._id);
+        res.json({ universes, maxSize: UniverseService.MAX_UNIVERSE_SIZE });
+    } catch (error) {
+        console.error('Universe list error:', error.message);
+        res.status(500).json({ error: 'Failed to load universes' });
+    }
+});
+
+app.post('/api/universes', authenticateToken, async (req, res) => {
+    try {
+        const { name, description, tickers } = req.body;
+        const universe = await UniverseService.saveUniverse(req.user._id, { name, description, tickers });
+        res.status(201).json({ universe });
+    } catch (error) {
+        res.status(400).json({ error: 'Could not save universe', details: error.message });
+    }
+});
+
+app.delete('/api/universes/:name', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await UniverseService.deleteUniverse(req.user._id, req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: `Universe "${req.params.name}" not found` });
+        }
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        console.error('Universe delete error:', error.message);
+        res.status(500).json({ error: 'Failed to delete universe' });
+    }
+});
+
+// Runs one event pattern across a universe and ranks the tickers by forward returns.
+// The pattern comes from a natural language query or an explicit event_type + parameters.
+app.post('/api/scan', authenticateToken, checkSubscriptionLimits, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const {
+            query, event_type, parameters, universe, tickers,
+            start_date, end_date, price_basis, periods, rank_by, timeframe, triggered_only
+        } = req.body;
+
+        // Step 1: Resolve the pattern
+        let pattern;
+        if (query) {
             try {
-                const marketData = await MarketDataService.getHistoricalData(aiResult.ticker);
-                const forwardPeriods = periods || { '1D': 1, '2D': 2, '3D': 3, '4D': 4, '1W': 5, '2W': 10, '1M': 21, '2M': 42, '3M': 63, '6M': 126, '12M': 252 };
-                
-                const forwardResults = ExtendedForwardReturnsCalculator.calculate(
-                    marketData, 
-                    filteredMatches, 
-                    forwardPeriods
-                );
-                
-                results = forwardResults.results;
-                summary = { ...summary, ...forwardResults.summary };
-                
-                // Add context filter info to summary
-                if (aiResult.context_filters && aiResult.context_filters.length > 0) {
-                    const filterSummary = contextualFilterService.getFilterSummary(
-                        aiResult.context_filters, 
-                        aiResult.additional_filters
-                    );
-                    summary['Context Filters'] = filterSummary;
-                    summary['Filtered Matches'] = `${filteredMatches.length} of ${eventResult.matches.length} total matches`;
-                }
-                
-            } catch (forwardError) {
-                console.warn('Forward returns calculation failed:', forwardError.message);
-                results = filteredMatches.map(match => ({
-                    'Match Date': new Date(match.date).toISOString().split('T')[0],
-                    'Event': aiResult.description,
-                    'Details': JSON.stringify(match)
-                }));
+                pattern = await EnhancedAIParser.processNaturalLanguage(query, req.user._id);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Could not understand your query',
+                    details: error.message,
+                    ...(error.validation ? { validation: error.validation } : {}),
+                    suggestions: EnhancedAIParser.getAdvancedSuggestions()
+                });
+            }
+            if (pattern.error) {
+                return res.status(400).json({ error: pattern.error, suggestions: pattern.suggestions });
             }
-        } else if (aiResult.event_type === 'MACRO_EVENT') {
-            results = filteredMatches.map(match => ({
-                'Signal': match.signal || 'Macro conditions analysis',
-                'Date': new Date().toISOString().split('T')[0],
-                'Analysis': aiResult.description
-            }));
         } else {
-            results = [];
-            summary.message = `No historical instances found matching: "${aiResult.description}"`;
-            if (aiResult.context_filters && aiResult.context_filters.length > 0) {
-                summary.message += ` with applied context filters`;
+            // Structured requests go through the same schema as parsed queries (tickers come from the universe)
+            const checked = ParseSchema.validate(
+                { event_type, parameters: parameters || {}, description: `${event_type} scan` },
+                { requireTicker: false }
+            );
+            if (!checked.valid) {
+                return res.status(400).json({
+                    error: 'A valid event_type (or a natural language query) is required',
+                    validation: { normalized: checked.normalized, rejected: checked.rejected, defaulted: checked.defaulted, ambiguous: checked.ambiguous }
+                });
             }
+            pattern = checked.result;
         }
-        
+
+        // Checked here rather than in checkStrategyAccess: parsed queries only know their type now
+        const denied = findDeniedStrategy(TIER_LIMITS[req.user.subscription.tier], pattern);
+        if (denied) {
+            return res.status(403).json(strategyDenied(req.user.subscription.tier, denied));
+        }
+
+        // Step 2: Resolve the universe (request body wins over anything named in the query)
+        let resolvedUniverse;
+        try {
+            resolvedUniverse = await UniverseService.resolve(tickers || universe || pattern.universe, req.user._id);
+        } catch (universeError) {
+            return res.status(400).json({
+                error: 'Invalid universe',
+                details: universeError.message,
+                builtIn: UniverseService.getBuiltInUniverses().map(u => u.name)
+            });
+        }
+
+        const dateRange = {
+            start_date: start_date || pattern.start_date || undefined,
+            end_date: end_date || pattern.end_date || undefined
+        };
+
+        let priceBasis;
+        try {
+            MarketDataService.resolveDateRange(dateRange);
+            priceBasis = PriceAdjustment.normalizeBasis(price_basis || pattern.price_basis);
+        } catch (optionError) {
+            return res.status(400).json({ error: 'Invalid scan options', details: optionError.message });
+        }
+
+        // Contextual filters from the query narrow each ticker's matches before forward returns
+        const contextFilters = pattern.context_filters || [];
+        const filterWarnings = new Set();
+        const filterMatches = contextFilters.length === 0 ? null : (matches, interval) => {
+            const keyOf = match => interval === '1d'
+                ? new Date(match.date).toISOString().split('T')[0]
+                : new Date(match.date).toISOString();
+            const kept = contextualFilterService.applyContextFilters(
+                matches.map(keyOf),
+                contextFilters,
+                pattern.additional_filters
+            );
+            contextualFilterService.getFilterWarnings(matches.map(keyOf), contextFilters).forEach(warning => filterWarnings.add(warning));
+            return matches.filter(match => kept.includes(keyOf(match)));
+        };
+
+        // Step 3: Scan
+        let scan;
+        try {
+            scan = await engineCoordinator.runUniverseScan(
+                pattern.event_type,
+                resolvedUniverse.tickers,
+                pattern.parameters || {},
+                {
+                    range: dateRange,
+                    priceBasis,
+                    periods,
+                    rankBy: rank_by,
+                    timeframe,
+                    triggeredOnly: Boolean(triggered_only),
+                    filterMatches
+                }
+            );
+        } catch (scanError) {
+            return res.status(400).json({ error: 'Scan failed', details: scanError.message });
+        }
+
         const executionTime = Date.now() - startTime;
-        
-        // Step 6: Cache and log
-        await cacheResult(
-            cacheKey, 
-            aiResult.event_type, 
-            aiResult.ticker, 
-            aiResult.parameters, 
-            results, 
-            summary, 
-            executionTime
-        );
-        
+        const summary = {
+            'Universe': `${resolvedUniverse.name} (${resolvedUniverse.tickers.length} tickers)`,
+            'Scanned': `${scan.scanned} of ${scan.universe_size}`,
+            'Triggered On Latest Bar': scan.triggered.length > 0 ? scan.triggered.join(', ') : 'None',
+            'Ranked By': `${scan.rank_by} over ${scan.timeframe}`,
+            'Analysis Period': `${scan.analysis_period.start} to ${scan.analysis_period.end}`,
+            'Price Basis': PriceAdjustment.describeBasis(priceBasis)
+        };
+        if (contextFilters.length > 0) {
+            summary['Context Filters'] = contextualFilterService.getFilterSummary(contextFilters, pattern.additional_filters);
+        }
+        if (filterWarnings.size > 0) {
+            summary['Context Filter Warnings'] = [...filterWarnings].join('; ');
+        }
+
+        // Step 4: Log (one scan counts as one query)
         await updateUserUsage(req.user._id);
-        
+
         await QueryHistory.create({
             userId: req.user._id,
-            query: query,
-            strategy: aiResult.event_type,
-            ticker: aiResult.ticker,
-            parameters: aiResult.parameters,
-            results,
+            query: query || `${pattern.event_type} scan of ${resolvedUniverse.name}`,
+            strategy: pattern.event_type,
+            ticker: resolvedUniverse.name,
+            parameters: pattern.parameters || {},
+            results: scan.rows,
             summary,
             executionTime,
             cached: false,
-            aiParsed: true,
-            aiDescription: aiResult.description,
+            aiParsed: Boolean(query),
+            aiDescription: pattern.description,
             ipAddress: req.ip,
             userAgent: req.get('User-Agent')
         });
-        
-        console.log(`✅ AI analysis completed: ${filteredMatches.length} matches found in ${executionTime}ms`);
-        
-        // Step 7: Return comprehensive response
+
+        console.log(`✅ Scan completed: ${scan.scanned} tickers, ${scan.triggered.length} triggered in ${executionTime}ms`);
+
         res.json({
-            query: query,
-            aiParsing: {
-                eventType: aiResult.event_type,
-                ticker: aiResult.ticker,
-                description: aiResult.description,
-                confidence: aiResult.confidence,
-                parameters: aiResult.parameters,
-                contextFilters: aiResult.context_filters || []
-            },
-            eventAnalysis: {
-                matches: filteredMatches.length,
-                totalMatches: eventResult.matches?.length || 0,
-                summary: eventResult.summary
-            },
-            results,
+            query: query || null,
+            eventType: pattern.event_type,
+            description: pattern.description,
+            parameters: pattern.parameters || {},
+            universe: resolvedUniverse,
+            interval: scan.interval,
+            rankBy: scan.rank_by,
+            timeframe: scan.timeframe,
+            timeframes: scan.timeframes,
+            analysisPeriod: scan.analysis_period,
+            triggered: scan.triggered,
+            results: scan.rows,
+            failed: scan.failed,
+            dataQuality: Object.fromEntries(
+                Object.entries(scan.data_quality).map(([ticker, report]) => [ticker, report.summary])
+            ),
             summary,
-            cached: false,
-            executionTime,
-            engineHealth: engineCoordinator.getEngineHealthStatus()[aiResult.event_type]
+            executionTime
         });
-        
+
     } catch (error) {
-        console.error('AI analysis route error:', error);
-        
-        const executionTime = Date.now() - startTime;
-        
+        console.error('Scan route error:', error);
         res.status(500).json({
-            error: 'Analysis failed',
+            error: 'Scan failed',
             details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
-            executionTime,
-            suggestion: 'Please try again or contact support if the problem persists'
+            executionTime: Date.now() - startTime
         });
     }
 });
@@ -789,25 +1519,14 @@ app.get('/api/strategies', authenticateToken, (req, res) => {
         const userTier = req.user.subscription.tier;
         const tierInfo = TIER_LIMITS[userTier];
         
-        const strategies = {
-            PERCENT_MOVE: { name: 'Percent Move Analysis', tier: 'starter', category: 'basic_patterns' },
-            REVERSAL: { name: 'Reversal Patterns', tier: 'starter', category: 'basic_patterns' },
-            SECTOR_SPREAD: { name: 'Sector Spread Analysis', tier: 'pro', category: 'premium_strategies' },
-            MOMENTUM_BULLISH: { name: 'Bullish Momentum', tier: 'pro', category: 'premium_strategies' },
-            MOMENTUM_BEARISH: { name: 'Bearish Momentum', tier: 'pro', category: 'premium_strategies' },
-            VOLATILITY_EVENT: { name: 'Volatility Events', tier: 'pro', category: 'premium_strategies' },
-            MACRO_EVENT: { name: 'Macro Events', tier: 'pro', category: 'premium_strategies' },
-            TOY_BAROMETER: { name: 'TOY (Turn of Year)', tier: 'pro', category: 'seasonal_analysis' }
-        };
-        
-        if (tierInfo.strategies !== 'all') {
-            Object.keys(strategies).forEach(key => {
-                if (!tierInfo.strategies.includes(key)) {
-                    strategies[key].locked = true;
-                    strategies[key].upgradeRequired = 'pro';
-                }
-            });
-        }
+        const strategies = {};
+        EngineRegistry.list().forEach(definition => {
+            strategies[definition.id] = EngineRegistry.describe(definition);
+            if (!EngineRegistry.isAvailableTo(definition.id, tierInfo.engineTier)) {
+                strategies[definition.id].locked = true;
+                strategies[definition.id].upgradeRequired = requiredTierFor(definition.id);
+            }
+        });
         
         res.json({
             strategies,
@@ -904,7 +1623,7 @@ app.get('/api/examples', authenticateToken, (req, res) => {
         const tierInfo = TIER_LIMITS[userTier];
         
         let filteredExamples = examples;
-        if (tierInfo.strategies !== 'all') {
+        if (tierInfo.engineTier === 'starter') {
             filteredExamples = examples.filter(category => category.tier === 'starter');
         }
         
@@ -912,7 +1631,7 @@ app.get('/api/examples', authenticateToken, (req, res) => {
             examples: filteredExamples,
             userTier: {
                 name: userTier,
-                canAccess: tierInfo.strategies === 'all' ? 'all strategies' : 'starter strategies only'
+                canAccess: tierInfo.engineTier === 'starter' ? 'starter strategies only' : 'all strategies'
             },
             instructions: "Ask your question in plain English. I'll analyze historical market events and show you forward performance statistics with beautiful tables.",
             aiCapabilities: [
@@ -976,8 +1695,10 @@ app.get('/api/health', async (req, res) => {
             services: {
                 database: dbStatus,
                 marketData: marketDataStatus,
+                marketDataProvider: MarketDataService.getProviderSummary(),
                 cache: 'operational',
-                ai: process.env.OPENAI_API_KEY ? 'enabled' : 'disabled'
+                ai: EnhancedAIParser.getLLMProvider() ? 'enabled' : 'rules_only',
+                aiProvider: EnhancedAIParser.getLLMStatus()
             },
             environment: process.env.NODE_ENV || 'development',
             uptime: process.uptime(),
@@ -1077,6 +1798,17 @@ cron.schedule('0 2 * * *', async () => {
     }
 });
 
+cron.schedule('30 18 * * 1-5', async () => {
+    try {
+        console.log('📈 Topping up stored price history...');
+        const result = await MarketDataService.refreshStoredSeries();
+        console.log(`✅ Refreshed ${result.refreshed} series (${result.bars} bars)` +
+            (result.failed.length > 0 ? `, failed: ${result.failed.join(', ')}` : ''));
+    } catch (error) {
+        console.error('Price history refresh failed:', error);
+    }
+}, { timezone: 'America/New_York' });
+
 cron.schedule('0 1 1 * *', async () => {
     try {
         console.log('🔄 Resetting monthly usage counters...');
@@ -1111,14 +1843,8 @@ const server = app.listen(PORT, () => {
 ✅ COMPLETE SYSTEM READY:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 🤖 AI Natural Language Processing
-🔧 7 Event Analysis Engines:
-   • Percent Move Analysis
-   • Reversal Patterns  
-   • Sector Spread Analysis
-   • Momentum Patterns (Bullish/Bearish)
-   • Volatility Events (VIX-based)
-   • Macro Events
-   • TOY (Turn of Year) - Wayne Whaley's methodology
+🔧 ${EngineRegistry.list().length} Event Analysis Engines:
+${EngineRegistry.list().map(definition => `   • ${definition.name}`).join('\n')}
    
 📅 Contextual Filters:
    • Earnings seasons
@@ -3,14 +3,106 @@
 // File: backend/services/ai-query-processor.js
 // ========================================
 
-const axios = require('axios');
+const RuleBasedQueryParser = require('./rule-based-parser');
+const { createLLMProvider } = require('./llm-providers');
+const { ParseSchema, ParseValidationError } = require('./parse-schema');
+const ParseCache = require('./parse-cache');
+const EngineRegistry = require('./engine-registry');
+
+// LLM backend for parsing; undefined until first use, null when none is configured
+const llmState = {
+    provider: undefined
+};
 
 class EnhancedAIParser {
+    static getLLMProvider() {
+        if (llmState.provider === undefined) {
+            try {
+                llmState.provider = createLLMProvider();
+            } catch (error) {
+                console.error('LLM provider configuration error:', error.message);
+                llmState.provider = null;
+            }
+        }
+        return llmState.provider;
+    }
+
+    // Swap the backend (tests use a ReplayProvider); null disables LLM parsing
+    static setLLMProvider(provider) {
+        llmState.provider = provider;
+    }
+
+
+    // Confident rule-based parses skip the LLM; weaker ones are kept as the fallback
+    // for when the LLM is not configured or fails. An equivalent question parsed before
+    // (ParseCache) also skips the LLM. Every parse is validated and normalized against
+    // ParseSchema before it is returned (result.validation lists what changed), and
+    // result.parse_source says where it came from: rules, parse_cache, history or llm.
     static async processNaturalLanguage(userQuery, userId) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('AI features not available - OpenAI API key not configured');
+        const ruleResult = this.validateRuleParse(RuleBasedQueryParser.parse(userQuery), userQuery);
+        if (ruleResult && ruleResult.confidence >= RuleBasedQueryParser.ACCEPT_CONFIDENCE) {
+            console.log(`📐 Rule-based parse: "${userQuery}" → ${ruleResult.event_type} for ${ruleResult.ticker}`);
+            return { ...ruleResult, parse_source: 'rules' };
+        }
+
+        const cached = await this.lookupCachedParse(userQuery);
+        if (cached) {
+            return cached;
+        }
+
+        const provider = this.getLLMProvider();
+        if (!provider) {
+            if (ruleResult) {
+                console.log(`📐 Rule-based parse (AI not configured): "${userQuery}" → ${ruleResult.event_type}`);
+                return { ...ruleResult, parse_source: 'rules' };
+            }
+            throw new Error('Query not recognized and AI parsing is not configured (LLM_PROVIDER / OPENAI_API_KEY) - try one of the example phrasings');
         }
 
+        try {
+            const parsed = await this.processWithLLM(userQuery, provider);
+            if (parsed.error) {
+                // The model declined; its suggestions go back to the user unless the rules have an answer
+                return ruleResult ? { ...ruleResult, fallback: true, parse_source: 'rules' } : parsed;
+            }
+            const result = ParseSchema.assertValid(parsed);
+            ParseCache.store(userQuery, result);
+            return { ...result, parse_source: 'llm' };
+        } catch (error) {
+            if (ruleResult) {
+                console.warn(`⚠️ AI parse failed (${error.message}), using rule-based parse`);
+                return { ...ruleResult, fallback: true, parse_source: 'rules' };
+            }
+            throw error;
+        }
+    }
+
+    // A cached parse is revalidated: the schema or symbol table may have changed since it was stored
+    static async lookupCachedParse(userQuery) {
+        const cached = await ParseCache.lookup(userQuery);
+        if (!cached) return null;
+        try {
+            const result = ParseSchema.assertValid(cached.parse);
+            console.log(`♻️ Reused parse (${cached.source}): "${userQuery}" → ${result.event_type} for ${result.ticker}`);
+            return { ...result, parse_source: cached.source };
+        } catch (error) {
+            console.warn(`⚠️ Discarding cached parse for "${userQuery}": ${error.message}`);
+            return null;
+        }
+    }
+
+    // Rule output should always validate; if it does not, drop it rather than run a bad parse
+    static validateRuleParse(ruleResult, userQuery) {
+        if (!ruleResult) return null;
+        try {
+            return ParseSchema.assertValid(ruleResult);
+        } catch (error) {
+            console.warn(`⚠️ Discarding rule-based parse of "${userQuery}": ${error.message}`);
+            return null;
+        }
+    }
+
+    static async processWithLLM(userQuery, provider = this.getLLMProvider()) {
         try {
             const systemPrompt = `You are an expert financial analyst that converts natural language queries into structured market event analysis with contextual filters.
 
@@ -20,15 +112,7 @@ Parse user questions into:
 3. Event Parameters (required)
 4. Contextual Filters (optional)
 
-BASE EVENT TYPES:
-- PERCENT_MOVE: Price moves X% over Y days
-- REVERSAL: Opens up/down X% but closes opposite direction
-- SECTOR_SPREAD: Performance gap between sectors/ETFs  
-- MOMENTUM_BULLISH: Above SMA for X days with <Y% drawdown
-- MOMENTUM_BEARISH: Below SMA for X days with <Y% rally
-- VOLATILITY_EVENT: VIX-based conditions + price action
-- MACRO_EVENT: Economic conditions (CPI, rates, dollar)
-- TOY_BAROMETER: Turn of year seasonal analysis (Nov-Jan patterns)
+${EngineRegistry.buildPromptSections()}
 
 CONTEXTUAL FILTERS:
 - EARNINGS_SEASON: During quarterly earnings periods
@@ -36,8 +120,35 @@ CONTEXTUAL FILTERS:
 - OPTIONS_EXPIRATION: During options expiration weeks
 - DAY_OF_WEEK: Specific weekdays (Monday, Friday, etc.)
 - MONTH_OF_YEAR: Seasonal patterns (January, December, etc.)
-- ECONOMIC_RELEASE: Around CPI, NFP, GDP releases
 - HOLIDAY_EFFECT: Before/after market holidays
+- MARKET_HOURS: Time of day (additional_filters.market_session: regular, extended, opening, midday, closing, full_day, early_close; or market_hours_start/market_hours_end as "HH:MM" ET)
+
+DATE RANGE (optional):
+- start_date: "YYYY-MM-DD", or "max" for the full available history
+- end_date: "YYYY-MM-DD" (omit to analyze up to today)
+- Omit both to use the default 5 year lookback. Use "max" for rare events (e.g. 5% gap reversals) or when the user asks for "all history"
+
+TICKER NAMES:
+- Prefer ticker symbols. If unsure of a symbol, give the name exactly as the user wrote it ("the dollar", "banks", "Palantir"); names are resolved to symbols (indexes to their ETF, DXY to UUP, sectors to their Select Sector SPDR) and ambiguous names are confirmed with the user
+- Never invent a symbol
+
+SYNTHETIC TICKERS (ticker may be an expression; every event type accepts them):
+- Ratio: "XLK/XLF", "SPY/TLT"
+- Weighted combination, rebalanced daily: "0.6*SPY + 0.4*TLT"; long/short spread: "XLK - XLF" (spaces around the minus)
+- Equal-weight basket: "BASKET(AAPL,MSFT,NVDA,AMZN,GOOGL)"
+
+UNIVERSE (optional, for scans across many tickers):
+- universe: "SECTOR_ETFS", "NASDAQ_100", "DOW_30", "MAJOR_INDEXES" or a list of symbols, when the query asks about a group ("which sector ETFs...")
+- Still set ticker to a representative symbol from the group
+
+COMPARISONS (optional, for "X vs Y" questions):
+- variants: 2-4 objects, each overriding the base event's ticker, parameters, context_filters or additional_filters, with a short "label"
+- The first variant is the baseline; the others are tested against it per timeframe
+- "VIX spikes on Friday vs Monday" → base VOLATILITY_EVENT on SPY with variants [{"label": "Friday", "additional_filters": {"day_filter": ["FRIDAY"]}}, {"label": "Monday", "additional_filters": {"day_filter": ["MONDAY"]}}]
+- A spread between two tickers is SECTOR_SPREAD, not a comparison; compare when the user wants each side's own performance
+
+PRICE BASIS (optional):
+- price_basis: "split_adjusted" (default), "total_return" (include dividends) or "raw" (as traded, unadjusted)
 
 EXAMPLES:
 "SPY reversals during earnings season" →
@@ -58,6 +169,25 @@ EXAMPLES:
   "description": "Turn of year seasonal strength analysis"
 }
 
+"SPY first 30 minutes up 1% then fades" →
+{
+  "event_type": "INTRADAY_PATTERN",
+  "ticker": "SPY",
+  "parameters": {"interval": "5m", "window": "opening", "window_minutes": 30, "move_threshold": 1, "direction": "up", "pattern": "reversal"},
+  "context_filters": [],
+  "description": "SPY opening 30 minute rallies of 1%+ that fade into the close"
+}
+
+"SPY when the yield curve is inverted and CPI is above 4%" →
+{
+  "event_type": "MACRO_EVENT",
+  "ticker": "SPY",
+  "parameters": {"conditions": [{"metric": "YIELD_CURVE", "operator": "<", "value": 0}, {"metric": "CPI_YOY", "operator": ">", "value": 4}]},
+  "context_filters": [],
+  "start_date": "max",
+  "description": "SPY while the 10Y-2Y curve is inverted and CPI inflation exceeds 4%"
+}
+
 "QQQ momentum on Fed meeting days" →
 {
   "event_type": "MOMENTUM_BULLISH",
@@ -78,6 +208,9 @@ ALWAYS respond with valid JSON in this exact format:
   "additional_filters": {
     // Optional: day_filter, month_filter, etc.
   },
+  "start_date": "YYYY-MM-DD or max (optional)",
+  "end_date": "YYYY-MM-DD (optional)",
+  "price_basis": "split_adjusted",
   "description": "Human readable description",
   "confidence": 0.95,
   "timeframes": ["1D", "2D", "3D", "4D", "1W", "2W", "1M", "2M", "3M", "6M", "12M"]
@@ -90,30 +223,14 @@ If you can't parse the query, return:
   "available_filters": ["earnings season", "Fed meetings", "options expiration", "day of week"]
 }`;
 
-            const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-                model: 'gpt-4',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userQuery }
-                ],
-                temperature: 0.1,
-                max_tokens: 800
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const aiResponse = response.data.choices[0].message.content;
+            // Transient failures (429/5xx) are retried with backoff inside the provider
+            const aiResponse = await provider.complete([
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userQuery }
+            ]);
             
             try {
-                const parsedResponse = JSON.parse(aiResponse);
-                
-                // Validate the response
-                if (!this.validateEventType(parsedResponse.event_type)) {
-                    throw new Error(`Invalid event type: ${parsedResponse.event_type}`);
-                }
+                const parsedResponse = JSON.parse(this.extractJSON(aiResponse));
                 
                 // Ensure timeframes are set
                 if (!parsedResponse.timeframes) {
@@ -122,7 +239,7 @@ If you can't parse the query, return:
                 
                 console.log(`🤖 Enhanced AI Parse: "${userQuery}" → ${parsedResponse.event_type} with ${parsedResponse.context_filters?.length || 0} filters`);
                 
-                return parsedResponse;
+                return { ...parsedResponse, parser: 'llm' };
                 
             } catch (parseError) {
                 console.error('Failed to parse AI response:', aiResponse);
@@ -132,9 +249,9 @@ If you can't parse the query, return:
         } catch (error) {
             console.error('Enhanced AI Processing Error:', error.message);
             
-            if (error.response?.status === 429) {
+            if (error.status === 429) {
                 throw new Error('AI service temporarily unavailable - too many requests');
-            } else if (error.response?.status === 401) {
+            } else if (error.status === 401 || error.status === 403) {
                 throw new Error('AI service authentication failed');
             } else {
                 throw new Error(`Failed to process query: ${error.message}`);
@@ -142,34 +259,26 @@ If you can't parse the query, return:
         }
     }
 
+    // Local models often wrap the JSON in a markdown fence or add a sentence around it
+    static extractJSON(text) {
+        const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+        const body = fenced ? fenced[1] : text;
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        return start !== -1 && end > start ? body.slice(start, end + 1) : body;
+    }
+
+    static getLLMStatus() {
+        const provider = this.getLLMProvider();
+        return provider ? provider.describe() : { provider: 'none' };
+    }
+
     static validateEventType(eventType) {
-        const validTypes = [
-            'PERCENT_MOVE',
-            'REVERSAL', 
-            'SECTOR_SPREAD',
-            'MOMENTUM_BULLISH',
-            'MOMENTUM_BEARISH',
-            'VOLATILITY_EVENT',
-            'MACRO_EVENT',
-            'TOY_BAROMETER'  // Added your new seasonal analysis
-        ];
-        
-        return validTypes.includes(eventType);
+        return EngineRegistry.has(eventType);
     }
 
     static validateContextFilter(filter) {
-        const validFilters = [
-            'EARNINGS_SEASON',
-            'FED_MEETING',
-            'OPTIONS_EXPIRATION', 
-            'DAY_OF_WEEK',
-            'MONTH_OF_YEAR',
-            'ECONOMIC_RELEASE',
-            'HOLIDAY_EFFECT',
-            'MARKET_HOURS'
-        ];
-        
-        return validFilters.includes(filter);
+        return ParseSchema.CONTEXT_FILTERS.includes(filter);
     }
 
     static getAdvancedSuggestions() {
@@ -204,10 +313,17 @@ If you can't parse the query, return:
             "November to January performance analysis",
             "TOY barometer predicting Q1 returns",
             
-            // Economic Release Context
-            "SPY reactions to CPI surprise announcements",
-            "Dollar moves on NFP release days",
-            "Bond market volatility during inflation reports"
+            // Synthetic Tickers
+            "XLK/XLF ratio up 5% in 10 days",
+            "Equal-weight megacap basket momentum",
+            
+            // Intraday Patterns
+            "SPY first 30 minutes up 1% then fades",
+            "QQQ power hour reversals",
+            
+            // Universe Scans
+            "Which sector ETFs had a bearish reversal today?",
+            "Nasdaq-100 stocks down 10% in 5 days"
         ];
     }
 
@@ -233,16 +349,18 @@ If you can't parse the query, return:
                 "description": "Seasonal patterns",
                 "examples": ["January effect", "December rally", "summer doldrums"]
             },
-            "ECONOMIC_RELEASE": {
-                "description": "Around economic data releases",
-                "examples": ["CPI days", "NFP release", "GDP announcements"]
-            },
             "HOLIDAY_EFFECT": {
                 "description": "Before/after market holidays",
                 "examples": ["before Christmas", "post-holiday", "long weekends"]
+            },
+            "MARKET_HOURS": {
+                "description": "Time of day within the trading session (intraday events)",
+                "examples": ["first hour", "power hour", "midday", "half-day sessions"]
             }
         };
     }
 }
 
+EnhancedAIParser.ParseValidationError = ParseValidationError;
+
 module.exports = EnhancedAIParser;
\ No newline at end of file
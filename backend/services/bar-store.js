@@ -0,0 +1,178 @@
+// ========================================
+// PRICE BAR STORE
+// File: backend/services/bar-store.js
+// Persistent daily OHLCV cache keyed by ticker/date
+// ========================================
+
+const mongoose = require('mongoose');
+
+// Vendor adjClose is deliberately not stored: it is rescaled retroactively after every
+// dividend, so stored values would drift. Total-return series are rebuilt from the
+// stored dividends instead.
+const PriceBarSchema = new mongoose.Schema({
+    ticker: { type: String, required: true },
+    date: { type: Date, required: true },
+    open: Number,
+    high: Number,
+    low: Number,
+    close: Number,
+    volume: Number,
+    source: String,
+    updatedAt: { type: Date, default: Date.now }
+});
+
+PriceBarSchema.index({ ticker: 1, date: 1 }, { unique: true });
+
+// One document per stored ticker describing which date range is on disk
+const PriceSeriesSchema = new mongoose.Schema({
+    ticker: { type: String, required: true, unique: true, index: true },
+    coveredFrom: { type: Date, required: true },
+    lastDate: Date,
+    lastRefreshed: Date,
+    barCount: { type: Number, default: 0 },
+    source: String,
+    actionsFrom: Date,
+    actionsRefreshed: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Splits (value = ratio) and dividends (value = per-share amount) in the provider's price terms
+const CorporateActionSchema = new mongoose.Schema({
+    ticker: { type: String, required: true },
+    type: { type: String, enum: ['split', 'dividend'], required: true },
+    date: { type: Date, required: true },
+    value: { type: Number, required: true }
+});
+
+CorporateActionSchema.index({ ticker: 1, type: 1, date: 1 }, { unique: true });
+
+const PriceBar = mongoose.model('PriceBar', PriceBarSchema);
+const PriceSeries = mongoose.model('PriceSeries', PriceSeriesSchema);
+const CorporateAction = mongoose.model('CorporateAction', CorporateActionSchema);
+
+class BarStore {
+    static isAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    static async getCoverage(ticker) {
+        return PriceSeries.findOne({ ticker: ticker.toUpperCase() }).lean();
+    }
+
+    static async getTrackedTickers() {
+        const series = await PriceSeries.find({}, { ticker: 1 }).lean();
+        return series.map(s => s.ticker);
+    }
+
+    static async getBars(ticker, start, end) {
+        const query = { ticker: ticker.toUpperCase() };
+        if (start || end) {
+            query.date = {};
+            if (start) query.date.$gte = start;
+            if (end) query.date.$lte = end;
+        }
+
+        const bars = await PriceBar.find(query, { _id: 0, ticker: 0, source: 0, updatedAt: 0, __v: 0 })
+            .sort({ date: 1 })
+            .lean();
+
+        return bars;
+    }
+
+    // The fields a stored bar keeps (no adjClose)
+    static toStoredBar(bar) {
+        return { date: bar.date, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    }
+
+    static async upsertBars(ticker, bars, source) {
+        if (bars.length === 0) return 0;
+
+        const symbol = ticker.toUpperCase();
+        const now = new Date();
+        const operations = bars.map(bar => ({
+            updateOne: {
+                filter: { ticker: symbol, date: bar.date },
+                update: {
+                    $set: {
+                        open: bar.open,
+                        high: bar.high,
+                        low: bar.low,
+                        close: bar.close,
+                        volume: bar.volume,
+                        source,
+                        updatedAt: now
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        const result = await PriceBar.bulkWrite(operations, { ordered: false });
+        return result.upsertedCount + result.modifiedCount;
+    }
+
+    static async updateCoverage(ticker, { coveredFrom, source }) {
+        const symbol = ticker.toUpperCase();
+        const [last] = await PriceBar.find({ ticker: symbol }).sort({ date: -1 }).limit(1).lean();
+        const barCount = await PriceBar.countDocuments({ ticker: symbol });
+        const existing = await PriceSeries.findOne({ ticker: symbol });
+
+        const update = {
+            lastDate: last ? last.date : null,
+            lastRefreshed: new Date(),
+            barCount,
+            source
+        };
+
+        if (!existing || coveredFrom < existing.coveredFrom) {
+            update.coveredFrom = coveredFrom;
+        }
+
+        await PriceSeries.findOneAndUpdate({ ticker: symbol }, update, { upsert: true, new: true });
+    }
+
+    static async getActions(ticker, start) {
+        const actions = await CorporateAction.find({ ticker: ticker.toUpperCase(), date: { $gte: start } })
+            .sort({ date: 1 })
+            .lean();
+
+        return {
+            splits: actions.filter(a => a.type === 'split').map(a => ({ date: a.date, ratio: a.value })),
+            dividends: actions.filter(a => a.type === 'dividend').map(a => ({ date: a.date, amount: a.value }))
+        };
+    }
+
+    static async upsertActions(ticker, actions, actionsFrom) {
+        const symbol = ticker.toUpperCase();
+        const entries = [
+            ...actions.splits.map(split => ({ type: 'split', date: split.date, value: split.ratio })),
+            ...actions.dividends.map(dividend => ({ type: 'dividend', date: dividend.date, value: dividend.amount }))
+        ];
+
+        if (entries.length > 0) {
+            await CorporateAction.bulkWrite(entries.map(entry => ({
+                updateOne: {
+                    filter: { ticker: symbol, type: entry.type, date: entry.date },
+                    update: { $set: { value: entry.value } },
+                    upsert: true
+                }
+            })), { ordered: false });
+        }
+
+        const existing = await PriceSeries.findOne({ ticker: symbol }, { actionsFrom: 1 }).lean();
+        const update = { actionsRefreshed: new Date() };
+        if (!existing?.actionsFrom || actionsFrom < existing.actionsFrom) {
+            update.actionsFrom = actionsFrom;
+        }
+        await PriceSeries.updateOne({ ticker: symbol }, update);
+    }
+
+    static async clearTicker(ticker) {
+        const symbol = ticker.toUpperCase();
+        await PriceBar.deleteMany({ ticker: symbol });
+        await CorporateAction.deleteMany({ ticker: symbol });
+        await PriceSeries.deleteOne({ ticker: symbol });
+    }
+}
+
+module.exports = BarStore;
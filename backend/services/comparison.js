@@ -0,0 +1,224 @@
+// ========================================
+// COMPARISON ANALYZER
+// File: backend/services/comparison.js
+// Side-by-side forward returns for query variants ("Friday vs Monday") with Welch t-tests
+// ========================================
+
+// Two-tailed p-value cut-offs and their markers, strictest first
+const SIGNIFICANCE_LEVELS = [
+    { pValue: 0.01, marker: '***' },
+    { pValue: 0.05, marker: '**' },
+    { pValue: 0.1, marker: '*' }
+];
+
+// Below this many samples per side a t-test says nothing useful
+const MIN_SAMPLES = 3;
+
+class ComparisonAnalyzer {
+    // variants: [{ label, returnsByPeriod: { [timeframe]: [returnPct] } }] - the first is the baseline.
+    // Returns one row per timeframe with each variant's stats and a test of each variant against the baseline.
+    static compare(variants, timeframes) {
+        const baseline = variants[0];
+
+        return timeframes.map(timeframe => {
+            const baseReturns = baseline.returnsByPeriod?.[timeframe] || [];
+            return {
+                timeframe,
+                variants: variants.map(variant => ({
+                    label: variant.label,
+                    ...this.describeReturns(variant.returnsByPeriod?.[timeframe] || [])
+                })),
+                differences: variants.slice(1).map(variant => ({
+                    label: variant.label,
+                    baseline: baseline.label,
+                    ...this.welchTTest(variant.returnsByPeriod?.[timeframe] || [], baseReturns)
+                }))
+            };
+        });
+    }
+
+    static describeReturns(returns) {
+        if (returns.length === 0) {
+            return { avgReturn: null, winRate: null, volatility: null, samples: 0 };
+        }
+        const mean = returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
+        const variance = returns.length > 1
+            ? returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / (returns.length - 1)
+            : 0;
+        return {
+            avgReturn: round(mean),
+            winRate: round(returns.filter(ret => ret > 0).length / returns.length * 100, 1),
+            volatility: round(Math.sqrt(variance)),
+            samples: returns.length
+        };
+    }
+
+    // Welch's unequal-variance t-test of mean(a) - mean(b)
+    static welchTTest(a, b) {
+        if (a.length < MIN_SAMPLES || b.length < MIN_SAMPLES) {
+            return { difference: null, tStat: null, df: null, pValue: null, significance: 'insufficient data' };
+        }
+
+        const stats = values => {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+            return { mean, se2: variance / values.length };
+        };
+        const sa = stats(a);
+        const sb = stats(b);
+        const difference = sa.mean - sb.mean;
+        const se2 = sa.se2 + sb.se2;
+
+        if (se2 === 0) {
+            const pValue = difference === 0 ? 1 : 0;
+            return { difference: round(difference), tStat: null, df: null, pValue, significance: this.significance(pValue) };
+        }
+
+        const tStat = difference / Math.sqrt(se2);
+        const df = Math.pow(se2, 2) / (
+            Math.pow(sa.se2, 2) / (a.length - 1) + Math.pow(sb.se2, 2) / (b.length - 1)
+        );
+        const pValue = this.studentTwoTailedP(tStat, df);
+
+        return {
+            difference: round(difference),
+            tStat: round(tStat, 3),
+            df: round(df, 1),
+            pValue: round(pValue, 4),
+            significance: this.significance(pValue)
+        };
+    }
+
+    static significance(pValue) {
+        const level = SIGNIFICANCE_LEVELS.find(entry => pValue < entry.pValue);
+        return level ? level.marker : 'n.s.';
+    }
+
+    // P(|T| >= |t|) for Student's t with df degrees of freedom
+    static studentTwoTailedP(t, df) {
+        return this.regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    }
+
+    // Regularized incomplete beta I_x(a, b), continued fraction (Lentz)
+    static regularizedBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        const front = Math.exp(
+            this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+        );
+        // The fraction converges fast only below the mean; use the symmetry relation above it
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - this.regularizedBeta(1 - x, b, a);
+        }
+
+        const tiny = 1e-30;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        d = Math.abs(d) < tiny ? 1 / tiny : 1 / d;
+        let fraction = d;
+
+        for (let m = 1; m <= 200; m++) {
+            const m2 = 2 * m;
+            let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + numerator * d;
+            d = Math.abs(d) < tiny ? 1 / tiny : 1 / d;
+            c = 1 + numerator / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            fraction *= d * c;
+
+            numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + numerator * d;
+            d = Math.abs(d) < tiny ? 1 / tiny : 1 / d;
+            c = 1 + numerator / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            const delta = d * c;
+            fraction *= delta;
+
+            if (Math.abs(delta - 1) < 1e-10) break;
+        }
+
+        return front * fraction / a;
+    }
+
+    // Lanczos approximation
+    static logGamma(z) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let x = z;
+        let y = z;
+        let tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        let series = 1.000000000190015;
+        for (const coefficient of coefficients) {
+            series += coefficient / ++y;
+        }
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    // Terminal/CSV friendly table: one row per timeframe, variant columns side by side,
+    // then the difference vs the baseline and its significance
+    static formatTable(rows) {
+        if (rows.length === 0) return { headers: [], rows: [] };
+
+        const labels = rows[0].variants.map(variant => variant.label);
+        const compared = labels.slice(1);
+        const pct = value => value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+        return {
+            headers: [
+                'Timeframe',
+                ...labels.flatMap(label => [`${label} Avg`, `${label} Win Rate`, `${label} Samples`]),
+                ...compared.flatMap(label => [`${label} - ${labels[0]}`, `${label} p-value`, `${label} Sig.`])
+            ],
+            rows: rows.map(row => [
+                row.timeframe,
+                ...row.variants.flatMap(variant => [
+                    pct(variant.avgReturn),
+                    variant.winRate === null ? 'N/A' : `${variant.winRate.toFixed(1)}%`,
+                    variant.samples
+                ]),
+                ...row.differences.flatMap(diff => [
+                    pct(diff.difference),
+                    diff.pValue === null ? 'N/A' : diff.pValue.toFixed(3),
+                    diff.significance
+                ])
+            ])
+        };
+    }
+
+    static summarize(rows) {
+        if (rows.length === 0) return {};
+
+        const labels = rows[0].variants.map(variant => variant.label);
+        const summary = {
+            'Comparison': labels.join(' vs '),
+            'Baseline': labels[0],
+            'Significance': '*** p<0.01, ** p<0.05, * p<0.1 (Welch t-test, two-tailed)'
+        };
+
+        labels.slice(1).forEach((label, i) => {
+            const significant = rows
+                .map(row => ({ timeframe: row.timeframe, diff: row.differences[i] }))
+                .filter(entry => entry.diff.pValue !== null && entry.diff.pValue < 0.05);
+
+            summary[`${label} vs ${labels[0]}`] = significant.length > 0
+                ? `Significant at ${significant.map(entry => `${entry.timeframe} (${entry.diff.difference >= 0 ? '+' : ''}${entry.diff.difference.toFixed(2)}%)`).join(', ')}`
+                : 'No timeframe differs significantly (p < 0.05)';
+        });
+
+        return summary;
+    }
+}
+
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+ComparisonAnalyzer.SIGNIFICANCE_LEVELS = SIGNIFICANCE_LEVELS;
+ComparisonAnalyzer.MIN_SAMPLES = MIN_SAMPLES;
+
+module.exports = ComparisonAnalyzer;
@@ -3,6 +3,8 @@
 // File: backend/services/contextual-filters.js
 // ========================================
 
+const TradingCalendar = require('./trading-calendar');
+
 class ContextualFilterService {
     constructor() {
         this.cache = new Map();
@@ -13,7 +15,7 @@ class ContextualFilterService {
     // EARNINGS SEASON FILTERS
     // ========================================
     
-    getEarningsSeasonDates(startYear = 2020, endYear = 2024) {
+    getEarningsSeasonDates(startYear = new Date().getFullYear() - 5, endYear = new Date().getFullYear()) {
         const cacheKey = `earnings_${startYear}_${endYear}`;
         
         if (this.cache.has(cacheKey)) {
@@ -30,8 +32,8 @@ class ContextualFilterService {
             earningsSeasons.push({
                 quarter: 'Q1',
                 year,
-                start: new Date(year, 3, 15), // April 15
-                end: new Date(year, 4, 15),   // May 15
+                start: this.utcDate(year, 4, 15), // April 15
+                end: this.utcDate(year, 5, 15),   // May 15
                 period: `Q1 ${year} Earnings`
             });
             
@@ -39,8 +41,8 @@ class ContextualFilterService {
             earningsSeasons.push({
                 quarter: 'Q2',
                 year,
-                start: new Date(year, 6, 15), // July 15
-                end: new Date(year, 7, 15),   // August 15
+                start: this.utcDate(year, 7, 15), // July 15
+                end: this.utcDate(year, 8, 15),   // August 15
                 period: `Q2 ${year} Earnings`
             });
             
@@ -48,8 +50,8 @@ class ContextualFilterService {
             earningsSeasons.push({
                 quarter: 'Q3', 
                 year,
-                start: new Date(year, 9, 15),  // October 15
-                end: new Date(year, 10, 15),   // November 15
+                start: this.utcDate(year, 10, 15),  // October 15
+                end: this.utcDate(year, 11, 15),    // November 15
                 period: `Q3 ${year} Earnings`
             });
             
@@ -58,8 +60,8 @@ class ContextualFilterService {
                 earningsSeasons.push({
                     quarter: 'Q4',
                     year,
-                    start: new Date(year + 1, 0, 15), // January 15 (next year)
-                    end: new Date(year + 1, 1, 15),   // February 15 (next year)
+                    start: this.utcDate(year + 1, 1, 15), // January 15 (next year)
+                    end: this.utcDate(year + 1, 2, 15),   // February 15 (next year)
                     period: `Q4 ${year} Earnings`
                 });
             }
@@ -70,7 +72,9 @@ class ContextualFilterService {
     }
     
     isEarningsSeason(date) {
-        const earningsSeasons = this.getEarningsSeasonDates();
+        // Q4 reporting runs into the following January/February, so include the prior year
+        const year = date.getUTCFullYear();
+        const earningsSeasons = this.getEarningsSeasonDates(year - 1, year);
         return earningsSeasons.some(season => 
             date >= season.start && date <= season.end
         );
@@ -80,7 +84,8 @@ class ContextualFilterService {
     // FED MEETING FILTERS
     // ========================================
     
-    getFedMeetingDates(startYear = 2020, endYear = 2024) {
+    // Decision dates as UTC 'YYYY-MM-DD' keys; years without a schedule are skipped (see getFilterWarnings)
+    getFedMeetingDates(startYear = new Date().getFullYear() - 5, endYear = new Date().getFullYear()) {
         const cacheKey = `fed_meetings_${startYear}_${endYear}`;
         
         if (this.cache.has(cacheKey)) {
@@ -90,87 +95,31 @@ class ContextualFilterService {
             }
         }
         
-        // FOMC Meeting Schedule (typically 8 meetings per year)
-        const fedMeetings = [
-            // 2020
-            { date: new Date(2020, 0, 29), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 2, 15), type: 'Emergency Cut', year: 2020 },
-            { date: new Date(2020, 2, 3), type: 'Emergency Cut', year: 2020 },
-            { date: new Date(2020, 3, 29), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 5, 10), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 6, 29), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 8, 16), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 10, 5), type: 'FOMC Decision', year: 2020 },
-            { date: new Date(2020, 11, 16), type: 'FOMC Decision', year: 2020 },
-            
-            // 2021
-            { date: new Date(2021, 0, 27), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 2, 17), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 3, 28), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 5, 16), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 6, 28), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 8, 22), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 10, 3), type: 'FOMC Decision', year: 2021 },
-            { date: new Date(2021, 11, 15), type: 'FOMC Decision', year: 2021 },
-            
-            // 2022
-            { date: new Date(2022, 0, 26), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 2, 16), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 4, 4), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 5, 15), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 6, 27), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 8, 21), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 10, 2), type: 'FOMC Decision', year: 2022 },
-            { date: new Date(2022, 11, 14), type: 'FOMC Decision', year: 2022 },
-            
-            // 2023
-            { date: new Date(2023, 1, 1), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 2, 22), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 4, 3), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 5, 14), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 6, 26), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 8, 20), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 10, 1), type: 'FOMC Decision', year: 2023 },
-            { date: new Date(2023, 11, 13), type: 'FOMC Decision', year: 2023 },
-            
-            // 2024
-            { date: new Date(2024, 0, 31), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 2, 20), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 4, 1), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 5, 12), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 6, 31), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 8, 18), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 10, 7), type: 'FOMC Decision', year: 2024 },
-            { date: new Date(2024, 11, 18), type: 'FOMC Decision', year: 2024 }
-        ];
-        
-        const filteredMeetings = fedMeetings.filter(meeting => 
-            meeting.year >= startYear && meeting.year <= endYear
-        );
+        const fedMeetings = [];
+        for (let year = startYear; year <= endYear; year++) {
+            (TradingCalendar.getFomcDecisions(year) || []).forEach(meeting => fedMeetings.push({ ...meeting, year }));
+        }
         
-        this.cache.set(cacheKey, { data: filteredMeetings, timestamp: Date.now() });
-        return filteredMeetings;
+        this.cache.set(cacheKey, { data: fedMeetings, timestamp: Date.now() });
+        return fedMeetings;
     }
     
+    // Within 3 calendar days of a decision
     isFedMeetingWeek(date) {
-        const fedMeetings = this.getFedMeetingDates();
+        const key = TradingCalendar.toDateKey(date);
+        const year = parseInt(key.slice(0, 4));
+        const fedMeetings = this.getFedMeetingDates(year - 1, year + 1);
         
-        return fedMeetings.some(meeting => {
-            const weekStart = new Date(meeting.date);
-            weekStart.setDate(weekStart.getDate() - 3); // 3 days before
-            
-            const weekEnd = new Date(meeting.date);
-            weekEnd.setDate(weekEnd.getDate() + 3); // 3 days after
-            
-            return date >= weekStart && date <= weekEnd;
-        });
+        return fedMeetings.some(meeting =>
+            key >= TradingCalendar.shiftKey(meeting.date, -3) && key <= TradingCalendar.shiftKey(meeting.date, 3)
+        );
     }
 
     // ========================================
     // OPTIONS EXPIRATION FILTERS
     // ========================================
     
-    getOptionsExpirationDates(startYear = 2020, endYear = 2024) {
+    getOptionsExpirationDates(startYear = new Date().getFullYear() - 5, endYear = new Date().getFullYear()) {
         const cacheKey = `options_exp_${startYear}_${endYear}`;
         
         if (this.cache.has(cacheKey)) {
@@ -184,8 +133,8 @@ class ContextualFilterService {
         
         for (let year = startYear; year <= endYear; year++) {
             for (let month = 0; month < 12; month++) {
-                // Monthly options expire on 3rd Friday of each month
-                const thirdFriday = this.getThirdFriday(year, month);
+                // Monthly options expire on 3rd Friday of each month (Thursday when Friday is a holiday)
+                const thirdFriday = this.getMonthlyExpiration(year, month);
                 
                 expirationDates.push({
                     date: thirdFriday,
@@ -212,28 +161,86 @@ class ContextualFilterService {
     }
     
     getThirdFriday(year, month) {
-        // Find the third Friday of the month
-        const firstDay = new Date(year, month, 1);
-        const firstFriday = new Date(year, month, 1 + (5 - firstDay.getDay() + 7) % 7);
-        const thirdFriday = new Date(firstFriday);
-        thirdFriday.setDate(firstFriday.getDate() + 14);
-        return thirdFriday;
+        // Find the third Friday of the month (month is 0-based)
+        return TradingCalendar.fromDateKey(TradingCalendar.nthWeekday(year, month + 1, 5, 3));
+    }
+    
+    getMonthlyExpiration(year, month) {
+        const thirdFriday = TradingCalendar.toDateKey(this.getThirdFriday(year, month));
+        return TradingCalendar.fromDateKey(TradingCalendar.snapToTradingDay(thirdFriday, 'before'));
     }
     
     isOptionsExpirationWeek(date) {
-        const expirations = this.getOptionsExpirationDates();
+        const year = date.getUTCFullYear();
+        const expirations = this.getOptionsExpirationDates(year, year);
         
         return expirations.some(exp => {
+            // Monday through Friday of the expiration week
             const weekStart = new Date(exp.date);
-            weekStart.setDate(weekStart.getDate() - 4); // Start of week
+            weekStart.setUTCDate(weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7));
             
-            const weekEnd = new Date(exp.date);
-            weekEnd.setDate(weekEnd.getDate() + 2); // End of week
+            const weekEnd = new Date(weekStart);
+            weekEnd.setUTCDate(weekEnd.getUTCDate() + 4);
             
             return date >= weekStart && date <= weekEnd;
         });
     }
 
+    // ========================================
+    // HOLIDAY EFFECT FILTERS
+    // ========================================
+    
+    isHolidayAdjacent(date, window = 'both', days = 1) {
+        return TradingCalendar.isAdjacentToHoliday(date, { window, days });
+    }
+    
+    utcDate(year, month, day) {
+        return TradingCalendar.fromDateKey(TradingCalendar.makeKey(year, month, day));
+    }
+
+    // ========================================
+    // MARKET HOURS FILTERS
+    // ========================================
+    
+    // value: a 'YYYY-MM-DD' day (daily matches) or an ISO timestamp (intraday matches).
+    // session: 'regular' | 'extended' | 'opening' | 'midday' | 'closing' | 'full_day' | 'early_close'
+    // Time-of-day sessions only narrow intraday matches; daily matches just need a session that day.
+    isInMarketSession(value, session = 'regular', { market_hours_start, market_hours_end } = {}) {
+        const hasTime = /T\d{2}:\d{2}/.test(value);
+        const exchange = hasTime ? TradingCalendar.toExchangeTime(value) : null;
+        const dateKey = exchange ? exchange.date : TradingCalendar.toDateKey(value);
+        const hours = TradingCalendar.getSessionHours(dateKey);
+        
+        if (session === 'early_close') return TradingCalendar.isEarlyClose(dateKey);
+        if (session === 'full_day') return hours !== null && !TradingCalendar.isEarlyClose(dateKey);
+        if (!exchange) return hours !== null;
+        
+        const minutes = exchange.minutes;
+        if (market_hours_start && market_hours_end) {
+            return minutes >= TradingCalendar.timeToMinutes(market_hours_start) &&
+                minutes < TradingCalendar.timeToMinutes(market_hours_end);
+        }
+        
+        if (!hours) return session === 'extended';
+        
+        const open = TradingCalendar.timeToMinutes(hours.open);
+        const close = TradingCalendar.timeToMinutes(hours.close);
+        const regular = minutes >= open && minutes < close;
+        
+        switch (session) {
+            case 'extended':
+                return !regular;
+            case 'opening':
+                return minutes >= open && minutes < open + 60;
+            case 'midday':
+                return minutes >= open + 60 && minutes < close - 60;
+            case 'closing':
+                return minutes >= close - 60 && minutes < close;
+            default:
+                return regular;
+        }
+    }
+
     // ========================================
     // DAY OF WEEK FILTERS
     // ========================================
@@ -248,7 +255,7 @@ class ContextualFilterService {
         const targetDayNumbers = targetDays.map(day => dayMap[day.toUpperCase()]);
         
         return dates.filter(date => 
-            targetDayNumbers.includes(new Date(date).getDay())
+            targetDayNumbers.includes(new Date(date).getUTCDay())
         );
     }
 
@@ -292,12 +299,28 @@ class ContextualFilterService {
                     if (additionalFilters.month_filter) {
                         filteredDates = filteredDates.filter(dateStr => {
                             const date = new Date(dateStr);
-                            const month = date.getMonth() + 1; // 1-12
+                            const month = date.getUTCMonth() + 1; // 1-12
                             return additionalFilters.month_filter.includes(month);
                         });
                     }
                     break;
                     
+                case 'HOLIDAY_EFFECT':
+                    filteredDates = filteredDates.filter(dateStr => this.isHolidayAdjacent(
+                        dateStr,
+                        additionalFilters.holiday_window || 'both',
+                        additionalFilters.holiday_days || 1
+                    ));
+                    break;
+                    
+                case 'MARKET_HOURS':
+                    filteredDates = filteredDates.filter(dateStr => this.isInMarketSession(
+                        dateStr,
+                        additionalFilters.market_session || 'regular',
+                        additionalFilters
+                    ));
+                    break;
+                    
                 default:
                     console.warn(`Unknown context filter: ${filter}`);
             }
@@ -306,6 +329,22 @@ class ContextualFilterService {
         return filteredDates;
     }
     
+    // Reasons a filter could not be evaluated for some of the dates (they are filtered out, not kept)
+    getFilterWarnings(dates, filters) {
+        const warnings = [];
+        
+        if (filters.includes('FED_MEETING')) {
+            const years = [...new Set(dates.map(date => parseInt(TradingCalendar.toDateKey(date).slice(0, 4))))]
+                .filter(year => !TradingCalendar.hasFomcSchedule(year))
+                .sort((a, b) => a - b);
+            if (years.length > 0) {
+                warnings.push(`No FOMC schedule for ${years.join(', ')} - matches in ${years.length === 1 ? 'that year' : 'those years'} cannot pass FED_MEETING`);
+            }
+        }
+        
+        return warnings;
+    }
+    
     getFilterSummary(filters, additionalFilters = {}) {
         const summaries = [];
         
@@ -333,6 +372,31 @@ class ContextualFilterService {
                         summaries.push(`in ${months.join(' and ')}`);
                     }
                     break;
+                case 'HOLIDAY_EFFECT': {
+                    const window = additionalFilters.holiday_window || 'both';
+                    const days = additionalFilters.holiday_days || 1;
+                    const sessions = days === 1 ? 'the session' : `${days} sessions`;
+                    const side = window === 'before' ? 'before' : window === 'after' ? 'after' : 'before or after';
+                    summaries.push(`${sessions} ${side} market holidays`);
+                    break;
+                }
+                case 'MARKET_HOURS': {
+                    if (additionalFilters.market_hours_start && additionalFilters.market_hours_end) {
+                        summaries.push(`between ${additionalFilters.market_hours_start} and ${additionalFilters.market_hours_end} ET`);
+                        break;
+                    }
+                    const sessionLabels = {
+                        regular: 'during regular trading hours',
+                        extended: 'outside regular trading hours',
+                        opening: 'in the first hour of trading',
+                        midday: 'during midday trading',
+                        closing: 'in the last hour of trading',
+                        full_day: 'on full trading days',
+                        early_close: 'on early-close sessions'
+                    };
+                    summaries.push(sessionLabels[additionalFilters.market_session || 'regular'] || sessionLabels.regular);
+                    break;
+                }
             }
         }
         
@@ -0,0 +1,307 @@
+// ========================================
+// DATA QUALITY SERVICE
+// File: backend/services/data-quality.js
+// Validates fetched bar series and repairs what can be repaired safely
+// ========================================
+
+const TradingCalendar = require('./trading-calendar');
+
+// Daily gaps up to this many sessions are forward-filled so "+N bars" still means N sessions;
+// longer gaps are reported but left alone rather than inventing weeks of prices
+const MAX_FILL_SESSIONS = 3;
+
+// A bar is an outlier when its log return exceeds this many robust standard deviations
+// (and at least MIN_OUTLIER_MOVE), e.g. a bad print at 10x the prior close
+const OUTLIER_SIGMAS = 12;
+const MIN_OUTLIER_MOVE = 0.15;
+
+// Cap on the gap/outlier detail lists carried in the report
+const MAX_REPORTED_ITEMS = 20;
+
+class DataQuality {
+    // bars: provider bars in any order. Returns { bars, report } where bars are sorted,
+    // de-duplicated and repaired (when repair is set) and report lists everything found.
+    static validate(bars, { ticker = null, interval = '1d', repair = true } = {}) {
+        const intraday = interval !== '1d';
+        const issues = {
+            duplicates: 0,
+            invalidPrices: 0,
+            ohlcRepaired: 0,
+            missingSessions: 0,
+            filledSessions: 0,
+            offCalendar: 0,
+            zeroVolume: 0,
+            outliers: 0,
+            outliersRepaired: 0
+        };
+        const gaps = [];
+        const outliers = [];
+        const barKey = bar => intraday
+            ? new Date(bar.date).toISOString()
+            : TradingCalendar.toDateKey(bar.date);
+
+        // 1. Sort and de-duplicate (the later bar for a date wins - vendors append corrections)
+        const sorted = [...(bars || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const byKey = new Map();
+        sorted.forEach(bar => {
+            const key = barKey(bar);
+            if (byKey.has(key)) issues.duplicates++;
+            byKey.set(key, bar);
+        });
+        let series = repair ? [...byKey.values()] : sorted;
+
+        // 2. Prices: no close means no bar; missing or inconsistent OHLC is rebuilt around the close
+        const cleaned = [];
+        for (const bar of series) {
+            if (!(bar.close > 0) || !isFinite(bar.close)) {
+                issues.invalidPrices++;
+                if (!repair) cleaned.push(bar);
+                continue;
+            }
+
+            const fixed = { ...bar };
+            let touched = false;
+            ['open', 'high', 'low'].forEach(field => {
+                if (!(fixed[field] > 0) || !isFinite(fixed[field])) {
+                    fixed[field] = fixed.close;
+                    touched = true;
+                }
+            });
+
+            const top = Math.max(fixed.open, fixed.close);
+            const bottom = Math.min(fixed.open, fixed.close);
+            if (fixed.high < top) { fixed.high = top; touched = true; }
+            if (fixed.low > bottom) { fixed.low = bottom; touched = true; }
+
+            if (touched) issues.ohlcRepaired++;
+            cleaned.push(repair ? fixed : bar);
+        }
+        series = cleaned;
+
+        // 3. Single-bar spikes that immediately reverse are bad prints; one-way moves (crashes) are only flagged
+        const logReturns = [];
+        for (let i = 1; i < series.length; i++) {
+            logReturns.push(Math.log(series[i].close / series[i - 1].close));
+        }
+        const sigma = this.robustSigma(logReturns);
+        const limit = Math.max(OUTLIER_SIGMAS * sigma, MIN_OUTLIER_MOVE);
+
+        for (let i = 1; i < series.length; i++) {
+            const move = logReturns[i - 1];
+            if (!(Math.abs(move) > limit)) continue;
+
+            const next = logReturns[i];
+            const isSpike = next !== undefined && Math.abs(next) > limit && Math.sign(next) !== Math.sign(move);
+            const repaired = repair && isSpike;
+
+            issues.outliers++;
+            if (repaired) issues.outliersRepaired++;
+            if (outliers.length < MAX_REPORTED_ITEMS) {
+                outliers.push({
+                    date: barKey(series[i]),
+                    move: (Math.exp(move) - 1) * 100,
+                    repaired
+                });
+            }
+
+            if (repaired) {
+                const prior = series[i - 1].close;
+                const after = series[i + 1].close;
+                const close = (prior + after) / 2;
+                series[i] = { ...series[i], open: prior, high: Math.max(prior, close), low: Math.min(prior, close), close };
+                if (series[i - 1].adjClose !== undefined) {
+                    series[i].adjClose = close * (series[i - 1].adjClose / prior);
+                }
+                logReturns[i - 1] = Math.log(close / prior);
+                logReturns[i] = Math.log(after / close);
+            }
+        }
+
+        // 4. Volume: zeros only matter when the series normally has volume (indices like ^VIX never do)
+        if (series.some(bar => bar.volume > 0)) {
+            issues.zeroVolume = series.filter(bar => bar.volume === 0).length;
+        }
+
+        // 5. Calendar: sessions with no bar, and bars on days the exchange was closed
+        const sessionOf = bar => intraday
+            ? TradingCalendar.toExchangeTime(bar.date).date
+            : TradingCalendar.toDateKey(bar.date);
+        const present = new Set(series.map(sessionOf));
+        issues.offCalendar = [...present].filter(key => !TradingCalendar.isTradingDay(key)).length;
+
+        if (series.length > 1) {
+            const expected = TradingCalendar.getTradingDays(sessionOf(series[0]), sessionOf(series[series.length - 1]));
+            const missing = expected.filter(key => !present.has(key));
+            issues.missingSessions = missing.length;
+
+            const runs = this.groupConsecutiveSessions(missing, expected);
+            const filledKeys = new Set();
+            for (const run of runs) {
+                const filled = repair && !intraday && run.length <= MAX_FILL_SESSIONS;
+                if (filled) run.forEach(key => filledKeys.add(key));
+                if (gaps.length < MAX_REPORTED_ITEMS) {
+                    gaps.push({ from: run[0], to: run[run.length - 1], sessions: run.length, filled });
+                }
+            }
+
+            if (filledKeys.size > 0) {
+                series = this.fillSessions(series, filledKeys);
+                issues.filledSessions = filledKeys.size;
+            }
+        }
+
+        const report = this.buildReport({
+            ticker,
+            interval,
+            barsChecked: (bars || []).length,
+            series,
+            issues,
+            gaps,
+            outliers,
+            repair
+        });
+
+        return { bars: series, report };
+    }
+
+    // Flat bars at the previous close (zero volume, marked filled) for the missing daily sessions
+    static fillSessions(series, filledKeys) {
+        const result = [];
+        const keys = [...filledKeys].sort();
+        let k = 0;
+
+        for (const bar of series) {
+            const barKey = TradingCalendar.toDateKey(bar.date);
+            while (k < keys.length && keys[k] < barKey) {
+                const prior = result[result.length - 1];
+                if (prior) {
+                    result.push({
+                        date: TradingCalendar.fromDateKey(keys[k]),
+                        open: prior.close,
+                        high: prior.close,
+                        low: prior.close,
+                        close: prior.close,
+                        volume: 0,
+                        ...(prior.adjClose !== undefined ? { adjClose: prior.adjClose } : {}),
+                        filled: true
+                    });
+                }
+                k++;
+            }
+            result.push(bar);
+        }
+
+        return result;
+    }
+
+    // Splits sorted missing session keys into runs of consecutive sessions
+    static groupConsecutiveSessions(missing, expected) {
+        const position = new Map(expected.map((key, i) => [key, i]));
+        const runs = [];
+
+        for (const key of missing) {
+            const run = runs[runs.length - 1];
+            if (run && position.get(key) === position.get(run[run.length - 1]) + 1) {
+                run.push(key);
+            } else {
+                runs.push([key]);
+            }
+        }
+
+        return runs;
+    }
+
+    // 1.4826 * median absolute deviation - a standard deviation estimate that ignores the outliers themselves
+    static robustSigma(values) {
+        values = values.filter(v => isFinite(v));
+        if (values.length === 0) return 0;
+        const median = list => {
+            const sorted = [...list].sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        };
+        const center = median(values);
+        return 1.4826 * median(values.map(v => Math.abs(v - center)));
+    }
+
+    static buildReport({ ticker, interval, barsChecked, series, issues, gaps, outliers, repair }) {
+        const unfilledGaps = issues.missingSessions - issues.filledSessions;
+        const unrepairedOutliers = issues.outliers - issues.outliersRepaired;
+        const repaired = issues.duplicates + issues.invalidPrices + issues.ohlcRepaired + issues.filledSessions +
+            issues.outliersRepaired;
+        const flagged = unfilledGaps + unrepairedOutliers + issues.zeroVolume + issues.offCalendar;
+
+        let status = 'clean';
+        if (flagged > 0 || (!repair && repaired > 0)) {
+            status = 'warnings';
+        } else if (repaired > 0) {
+            status = 'repaired';
+        }
+
+        const report = {
+            ticker,
+            interval,
+            status,
+            repairApplied: repair,
+            barsChecked,
+            barsReturned: series.length,
+            range: series.length > 0 ? {
+                start: TradingCalendar.toDateKey(series[0].date),
+                end: TradingCalendar.toDateKey(series[series.length - 1].date)
+            } : null,
+            issues,
+            gaps,
+            outliers,
+            checkedAt: new Date().toISOString()
+        };
+        report.summary = this.describe(report);
+        return report;
+    }
+
+    // One-line human readable summary of a report
+    static describe(report) {
+        if (!report) return 'Not validated';
+
+        const label = report.ticker ? `${report.ticker}: ` : '';
+        const { issues } = report;
+
+        // Synthetic series: problems live in the component series it was built from
+        const componentNotes = Object.values(report.components || {})
+            .filter(component => component && component.status !== 'clean')
+            .map(component => this.describe(component));
+        const suffix = componentNotes.length > 0 ? ` [components - ${componentNotes.join('; ')}]` : '';
+
+        if (report.status === 'clean') {
+            return `${label}${report.barsReturned} bars validated, no issues found${suffix}`;
+        }
+
+        const parts = [];
+        const add = (count, noun, verb) => {
+            if (count > 0) parts.push(`${count} ${noun}${count === 1 ? '' : 's'} ${verb}`);
+        };
+        const fixed = verb => report.repairApplied === false ? 'found' : verb;
+        add(issues.duplicates, 'duplicate bar', fixed('removed'));
+        add(issues.invalidPrices, 'invalid price bar', fixed('dropped'));
+        add(issues.ohlcRepaired, 'inconsistent OHLC bar', fixed('repaired'));
+        add(issues.filledSessions, 'missing session', 'filled');
+        add(issues.missingSessions - issues.filledSessions, 'missing session', 'not filled');
+        add(issues.outliersRepaired, 'bad print', 'repaired');
+        add(issues.outliers - issues.outliersRepaired, 'outlier', 'flagged');
+        add(issues.zeroVolume, 'zero-volume bar', 'flagged');
+        add(issues.offCalendar, 'non-trading-day bar', 'flagged');
+
+        const details = parts.length > 0 ? `: ${parts.join(', ')}` : '';
+        return `${label}${report.barsReturned} bars validated (${report.status})${details}${suffix}`;
+    }
+
+    // Summary across several series (primary ticker plus any companion series an engine used)
+    static describeAll(reports = {}) {
+        const list = Object.values(reports).filter(Boolean);
+        if (list.length === 0) return 'Not validated';
+        return list.map(report => this.describe(report)).join('; ');
+    }
+}
+
+DataQuality.MAX_FILL_SESSIONS = MAX_FILL_SESSIONS;
+
+module.exports = DataQuality;
@@ -0,0 +1,408 @@
+// ========================================
+// BUILT-IN ENGINE DEFINITIONS
+// File: backend/services/engine-definitions.js
+// Registered with EngineRegistry on first use; adding an engine means adding an entry here
+// ========================================
+
+const {
+    PercentMoveEngine,
+    ReversalEngine,
+    SectorSpreadEngine,
+    MomentumEngine,
+    VolatilityEngine,
+    MacroEngine,
+    IntradayPatternEngine,
+    CompositeEventEngine,
+    IndicatorThresholdEngine,
+    MovingAverageCrossoverEngine,
+    StreakEngine,
+    NewHighLowEngine
+} = require('./event-engines');
+const TOYBarometerEngine = require('./toy-barometer');
+const { MacroDataService } = require('./macro-data');
+
+// Field specs: type number | integer | enum | string | ticker | time (HH:MM) | monthDay (MM-DD) | array | object
+// | expression (an EventComposition tree); see ParseSchema.coerce.
+// Missing fields take `default` when one is given; engines supply their own for the rest.
+const DIRECTION = { type: 'enum', values: ['up', 'down', 'both'], aliases: { bullish: 'up', bearish: 'down', either: 'both', any: 'both' }, default: 'both' };
+
+// Comparison operators shared by the macro and indicator conditions
+const COMPARISON = {
+    type: 'enum',
+    values: ['>=', '<=', '>', '<', 'crosses_above', 'crosses_below'],
+    aliases: { above: '>', below: '<', over: '>', under: '<', 'greater than': '>', 'less than': '<' },
+    required: true
+};
+
+const INDICATOR = {
+    type: 'enum',
+    values: IndicatorThresholdEngine.INDICATORS,
+    aliases: {
+        price: 'close',
+        'upper bollinger': 'bb_upper', upper_bollinger: 'bb_upper', bollinger_upper: 'bb_upper',
+        'lower bollinger': 'bb_lower', lower_bollinger: 'bb_lower', bollinger_lower: 'bb_lower',
+        'middle bollinger': 'bb_middle', bollinger_middle: 'bb_middle',
+        '%b': 'bb_percent_b', percent_b: 'bb_percent_b',
+        'z-score': 'zscore', z_score: 'zscore',
+        'atr%': 'atr_pct', atr_percent: 'atr_pct',
+        macd_hist: 'macd_histogram',
+        volatility: 'realized_vol', 'realized volatility': 'realized_vol',
+        high: 'rolling_high', low: 'rolling_low'
+    }
+};
+
+const MOMENTUM_SCHEMA = {
+    sma_period: { type: 'integer', min: 2, max: 400, default: 20 },
+    days: { type: 'integer', min: 1, max: 2520, default: 60 },
+    threshold: { type: 'number', min: 0, max: 100, default: 1.2 }
+};
+
+const BUILT_IN_ENGINES = [
+    {
+        id: 'PERCENT_MOVE',
+        name: 'Percent Move Analysis',
+        tier: 'starter',
+        category: 'basic_patterns',
+        summary: 'Price moves X% over Y days',
+        parameters: {
+            percent_move: { type: 'number', min: 0.01, max: 1000, default: 5 },
+            days: { type: 'integer', min: 1, max: 2520, default: 5 },
+            direction: DIRECTION
+        },
+        magnitude: { field: 'percent_move' },
+        composable: true,
+        examples: [
+            'What happens when SPY moves up 5% in 3 days?',
+            'Show me forward returns after QQQ drops 4% in 2 days'
+        ],
+        create: () => new PercentMoveEngine()
+    },
+    {
+        id: 'REVERSAL',
+        name: 'Reversal Patterns',
+        tier: 'starter',
+        category: 'basic_patterns',
+        summary: 'Opens up/down X% but closes opposite direction',
+        parameters: {
+            open_threshold: { type: 'number', min: 0, max: 100, default: 2 },
+            close_threshold: { type: 'number', min: 0, max: 100, default: 1 },
+            pattern: { type: 'enum', values: ['bearish', 'bullish'], aliases: { down: 'bearish', up: 'bullish' }, default: 'bearish' }
+        },
+        magnitude: { field: 'open_threshold' },
+        composable: true,
+        examples: [
+            'SPY reversals during earnings season',
+            'Show me QQQ reversal patterns where it opens up 3% but closes down'
+        ],
+        create: () => new ReversalEngine()
+    },
+    {
+        id: 'STREAK',
+        name: 'Up/Down Streaks',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'N consecutive (or N of the last M) up/down closes, gaps, or higher highs / lower lows',
+        parameters: {
+            streak_type: {
+                type: 'enum',
+                values: ['close', 'gap', 'high_low'],
+                aliases: { closes: 'close', gaps: 'gap', higher_highs: 'high_low', lower_lows: 'high_low', 'higher highs': 'high_low', 'lower lows': 'high_low' },
+                default: 'close'
+            },
+            direction: DIRECTION,
+            length: { type: 'integer', min: 1, max: 50, default: 5 },
+            window: { type: 'integer', min: 2, max: 252 },
+            min_day_move: { type: 'number', min: 0, max: 100, default: 0 },
+            min_cumulative_move: { type: 'number', min: 0, max: 1000 },
+            signal: { type: 'enum', values: ['onset', 'every_day'], default: 'onset' }
+        },
+        prompt: {
+            title: 'STREAK PARAMETERS',
+            lines: [
+                'streak_type: "close" (close vs prior close, default), "gap" (open vs prior close) or "high_low" (higher highs up, lower lows down)',
+                'length: sessions in the streak; window: set for "length of the last window sessions" counts, omit for consecutive',
+                'direction: "up", "down" or "both"; min_day_move: % each counted session must move; min_cumulative_move: % total over the streak',
+                'signal: "onset" (default, the session the streak reaches length) or "every_day" (every session it lasts)',
+                '"SPY down 5 days in a row" → {"streak_type": "close", "direction": "down", "length": 5}',
+                '"QQQ up 8 of the last 10 days" → {"streak_type": "close", "direction": "up", "length": 8, "window": 10}',
+                '"three consecutive gap-ups" → {"streak_type": "gap", "direction": "up", "length": 3}'
+            ]
+        },
+        composable: true,
+        examples: ['SPY down 5 days in a row', 'QQQ up 8 of the last 10 days', 'Three consecutive gap-ups in IWM'],
+        create: () => new StreakEngine()
+    },
+    {
+        id: 'SECTOR_SPREAD',
+        name: 'Sector Spread Analysis',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Performance gap between sectors/ETFs',
+        parameters: {
+            sector_a: { type: 'ticker', default: 'XLK' },
+            sector_b: { type: 'ticker', default: 'XLF' },
+            spread_threshold: { type: 'number', min: 0.01, max: 1000, default: 5 },
+            days: { type: 'integer', min: 1, max: 2520, default: 10 }
+        },
+        magnitude: { field: 'spread_threshold' },
+        composable: true,
+        examples: ['XLK outperforms XLF by 5% over 10 days'],
+        create: () => new SectorSpreadEngine()
+    },
+    {
+        id: 'MOMENTUM_BULLISH',
+        name: 'Bullish Momentum',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Above SMA for X days with <Y% drawdown',
+        parameters: MOMENTUM_SCHEMA,
+        fixedParameters: { momentum_type: 'bullish' },
+        composable: true,
+        examples: ['QQQ momentum on Fed meeting days'],
+        create: () => new MomentumEngine()
+    },
+    {
+        id: 'MOMENTUM_BEARISH',
+        name: 'Bearish Momentum',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Below SMA for X days with <Y% rally',
+        parameters: MOMENTUM_SCHEMA,
+        fixedParameters: { momentum_type: 'bearish' },
+        composable: true,
+        examples: ['IWM below its 50-day average for 30 days'],
+        create: () => new MomentumEngine()
+    },
+    {
+        id: 'MA_CROSSOVER',
+        name: 'Moving-Average Crossovers',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Fast moving average crosses the slow one (golden cross = 50/200 up, death cross = down)',
+        parameters: {
+            fast_period: { type: 'integer', min: 1, max: 400, default: 50 },
+            slow_period: { type: 'integer', min: 2, max: 400, default: 200 },
+            ma_type: { type: 'enum', values: ['sma', 'ema'], aliases: { simple: 'sma', exponential: 'ema', ma: 'sma' }, default: 'sma' },
+            direction: { ...DIRECTION, aliases: { ...DIRECTION.aliases, golden: 'up', death: 'down' }, default: 'up' },
+            confirmation_days: { type: 'integer', min: 0, max: 60, default: 0 },
+            min_gap_days: { type: 'integer', min: 0, max: 2520, default: 0 }
+        },
+        composable: true,
+        examples: [
+            'What happens after a golden cross on SPY?',
+            'QQQ death crosses confirmed for 3 days, at least 60 days apart',
+            'SPY 20-day EMA crosses above the 50-day EMA'
+        ],
+        create: () => new MovingAverageCrossoverEngine()
+    },
+    {
+        id: 'NEW_HIGH_LOW',
+        name: 'New Highs/Lows & Drawdowns',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'New N-day or all-time closing highs/lows, or a close X% below its peak',
+        parameters: {
+            mode: {
+                type: 'enum',
+                values: ['high', 'low', 'all_time_high', 'drawdown'],
+                aliases: { new_high: 'high', new_low: 'low', ath: 'all_time_high', 'all time high': 'all_time_high', off_high: 'drawdown', from_peak: 'drawdown' },
+                default: 'high'
+            },
+            lookback: { type: 'integer', min: 2, max: 5040 },
+            min_days_since: { type: 'integer', min: 0, max: 5040, default: 0 },
+            drawdown_pct: { type: 'number', min: 0.1, max: 100, default: 10 },
+            signal: { type: 'enum', values: ['first_touch', 'every_day'], aliases: { first: 'first_touch', onset: 'first_touch' }, default: 'first_touch' }
+        },
+        prompt: {
+            title: 'NEW_HIGH_LOW PARAMETERS',
+            lines: [
+                'mode: "high" / "low" (close beyond the prior `lookback` sessions, default 252 = 52 weeks), "all_time_high" (signals start after `lookback` sessions of history) or "drawdown"',
+                'min_days_since: sessions since the previous new high/low (252 = "first in a year")',
+                'drawdown: drawdown_pct below the peak - all-time, or the last `lookback` sessions when given; signal "first_touch" (default, once per peak) or "every_day"',
+                '"first new all-time high in a year" → {"mode": "all_time_high", "min_days_since": 252}',
+                '"SPY 10% off its high" → {"mode": "drawdown", "drawdown_pct": 10}',
+                '"52-week low while above the 200-day" → COMPOSITE AND of NEW_HIGH_LOW {"mode": "low", "lookback": 252} and INDICATOR_THRESHOLD {"indicator": "close", "operator": ">", "reference": "sma", "reference_period": 200}'
+            ]
+        },
+        composable: true,
+        examples: [
+            'First new all-time high for SPY in a year',
+            'QQQ 52-week lows',
+            'SPY 10% off its high'
+        ],
+        create: () => new NewHighLowEngine()
+    },
+    {
+        id: 'VOLATILITY_EVENT',
+        name: 'Volatility Events',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'VIX-based conditions + price action',
+        parameters: {
+            vix_threshold: { type: 'number', min: 1, max: 200, default: 25 },
+            price_condition: { type: 'enum', values: ['any', 'up', 'down', 'gap_down'], default: 'any' },
+            price_threshold: { type: 'number', min: 0, max: 100, default: 2 }
+        },
+        magnitude: { field: 'vix_threshold', options: [20, 25, 30, 40], label: value => `VIX ${value}`, question: 'What VIX level counts as elevated?' },
+        composable: true,
+        examples: ['What happens to SPY when VIX spikes above 30?', 'VIX spikes on Friday vs Monday'],
+        create: () => new VolatilityEngine()
+    },
+    {
+        id: 'MACRO_EVENT',
+        name: 'Macro Events',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Every historical day macro conditions held (CPI, rates, yield curve, dollar)',
+        parameters: {
+            conditions: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    fields: {
+                        metric: { type: 'enum', values: Object.keys(MacroDataService.METRICS), required: true, upper: true },
+                        operator: COMPARISON,
+                        value: { type: 'number', min: -1000, max: 100000, required: true }
+                    }
+                }
+            },
+            cpi_threshold: { type: 'number', min: -50, max: 100 },
+            dxy_threshold: { type: 'number', min: -100, max: 100 },
+            rate_threshold: { type: 'number', min: 0, max: 100 },
+            signal: { type: 'enum', values: ['every_day', 'onset'], default: 'every_day' }
+        },
+        prompt: {
+            title: 'MACRO_EVENT PARAMETERS',
+            lines: [
+                'conditions: [{"metric": METRIC, "operator": ">=" | "<=" | ">" | "<" | "crosses_above" | "crosses_below", "value": number}]',
+                'metrics: CPI_YOY (% inflation), FED_FUNDS (%), US10Y (%), US2Y (%), YIELD_CURVE (10Y minus 2Y, negative = inverted), DXY (level), DXY_YTD (%)',
+                'signal: "every_day" (default) or "onset" (only the first day of each run)'
+            ]
+        },
+        composable: true,
+        examples: ['SPY when the yield curve is inverted and CPI is above 4%'],
+        create: () => new MacroEngine()
+    },
+    {
+        id: 'INDICATOR_THRESHOLD',
+        name: 'Indicator Thresholds',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'A technical indicator (RSI, Bollinger bands, MACD, ATR, z-score...) meets a condition',
+        parameters: {
+            indicator: { ...INDICATOR, required: true },
+            period: { type: 'integer', min: 1, max: 400 },
+            operator: COMPARISON,
+            value: { type: 'number', min: -100000, max: 100000 },
+            reference: INDICATOR,
+            reference_period: { type: 'integer', min: 1, max: 400 },
+            percentile: { type: 'number', min: 0, max: 100 },
+            lookback: { type: 'integer', min: 20, max: 2520, default: 252 },
+            std_dev: { type: 'number', min: 0.5, max: 5, default: 2 },
+            signal: { type: 'enum', values: ['every_day', 'onset'], default: 'every_day' }
+        },
+        prompt: {
+            title: 'INDICATOR_THRESHOLD PARAMETERS',
+            lines: [
+                `indicator: ${IndicatorThresholdEngine.INDICATORS.join(', ')}; period: its lookback (RSI 14, ATR 14, others 20 by default; MACD is always 12/26/9)`,
+                'rolling_high / rolling_low: highest / lowest close of the previous `period` sessions (breakouts); atr_pct: ATR as % of price; realized_vol: annualized %',
+                'operator: ">=" | "<=" | ">" | "<" | "crosses_above" | "crosses_below", compared with exactly one of:',
+                '  value: a number; reference: another indicator (with reference_period); percentile: the indicator\'s own trailing percentile over lookback sessions (default 252)',
+                'std_dev: Bollinger band width (default 2); signal: "every_day" (default) or "onset"',
+                '"RSI(2) below 5" → {"indicator": "rsi", "period": 2, "operator": "<", "value": 5}',
+                '"close crosses above the upper Bollinger band" → {"indicator": "close", "operator": "crosses_above", "reference": "bb_upper"}',
+                '"ATR% above its 90th percentile" → {"indicator": "atr_pct", "operator": ">", "percentile": 90}'
+            ]
+        },
+        composable: true,
+        examples: [
+            'SPY when RSI(2) drops below 5',
+            'QQQ closes above the upper Bollinger band',
+            'IWM when ATR% is above its 90th percentile'
+        ],
+        create: () => new IndicatorThresholdEngine()
+    },
+    {
+        id: 'TOY_BAROMETER',
+        name: 'TOY (Turn of Year)',
+        tier: 'pro',
+        category: 'seasonal_analysis',
+        summary: 'Turn of year seasonal analysis (Nov-Jan patterns)',
+        parameters: {
+            toy_start: { type: 'monthDay', default: '11-19' },
+            toy_end: { type: 'monthDay', default: '01-19' },
+            threshold: { type: 'number', min: -100, max: 100, default: 3.0 },
+            first_year: { type: 'integer', min: 1900, max: 2100 },
+            last_year: { type: 'integer', min: 1900, max: 2100 },
+            forward_days: { type: 'array', items: { type: 'integer', min: 1, max: 2520 } }
+        },
+        magnitude: { field: 'threshold' },
+        ownData: true,
+        examples: ['Turn of year barometer signals', 'TOY barometer predicting Q1 returns'],
+        create: () => new TOYBarometerEngine()
+    },
+    {
+        id: 'INTRADAY_PATTERN',
+        name: 'Intraday Patterns',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Moves inside a session window (opening range, power hour) and whether the rest of the day continues or reverses them',
+        parameters: {
+            interval: { type: 'enum', values: ['1m', '5m', '15m', '1h'], aliases: { '60m': '1h', '1min': '1m', '5min': '5m', '15min': '15m', hourly: '1h' }, default: '5m' },
+            window: { type: 'enum', values: ['opening', 'closing', 'power_hour', 'custom'], aliases: { open: 'opening', close: 'closing', 'power hour': 'power_hour' }, default: 'opening' },
+            window_minutes: { type: 'integer', min: 1, max: 390, default: 30 },
+            window_start: { type: 'time' },
+            window_end: { type: 'time' },
+            move_threshold: { type: 'number', min: 0, max: 100, default: 1 },
+            direction: DIRECTION,
+            pattern: { type: 'enum', values: ['any', 'reversal', 'continuation'], aliases: { fade: 'reversal' }, default: 'any' },
+            follow_threshold: { type: 'number', min: 0, max: 100, default: 0 }
+        },
+        magnitude: { field: 'move_threshold' },
+        prompt: {
+            title: 'INTRADAY_PATTERN PARAMETERS',
+            lines: [
+                'interval: "1m", "5m" (default), "15m" or "1h"',
+                'window: "opening" (default), "closing", "power_hour" or "custom" (with window_start/window_end "HH:MM" ET); window_minutes for opening/closing (default 30)',
+                'move_threshold: % move inside the window; direction: "up", "down" or "both"',
+                'pattern: "reversal" (rest of day fades the window, or the power hour reverses the day so far), "continuation" or "any"; follow_threshold: minimum % for that follow-through',
+                'Forward timeframes are counted in bars: ["1B", "3B", "6B", "12B", "24B", "48B"]'
+            ]
+        },
+        examples: ['SPY first 30 minutes up 1% then fades', 'QQQ power hour reversals'],
+        create: () => new IntradayPatternEngine()
+    },
+    {
+        id: 'COMPOSITE',
+        name: 'Composite Events (AND / OR / NOT / THEN)',
+        tier: 'pro',
+        category: 'premium_strategies',
+        summary: 'Several daily events combined with AND / OR / NOT / THEN (see COMPOSITE EVENTS)',
+        parameters: {
+            expression: { type: 'expression', required: true }
+        },
+        prompt: {
+            title: 'COMPOSITE EVENTS (parameters.expression is a tree)',
+            lines: registry => [
+                `Event leaf: {"event_type": TYPE, "ticker": optional (defaults to the main ticker), "parameters": {...}}; TYPE is one of ${registry.getComposable().join(', ')}`,
+                '{"op": "AND" | "OR", "operands": [node, node, ...]} - all / any of the events on the same day',
+                '{"op": "NOT", "operand": node} - days the event did not happen',
+                '{"op": "THEN", "first": node, "then": node, "within": trading days} - the second event within N days after the first; dated on the second event',
+                '"SPY reversals while VIX > 25 and the yield curve is not inverted" →',
+                '  {"event_type": "COMPOSITE", "ticker": "SPY", "parameters": {"expression": {"op": "AND", "operands": [',
+                '    {"event_type": "REVERSAL", "parameters": {"open_threshold": 2, "close_threshold": 1, "pattern": "bearish"}},',
+                '    {"event_type": "VOLATILITY_EVENT", "parameters": {"vix_threshold": 25, "price_condition": "any"}},',
+                '    {"op": "NOT", "operand": {"event_type": "MACRO_EVENT", "parameters": {"conditions": [{"metric": "YIELD_CURVE", "operator": "<", "value": 0}]}}}]}}}',
+                '"QQQ drops 5% in 3 days, then rallies 3% within 10 days" →',
+                '  {"event_type": "COMPOSITE", "ticker": "QQQ", "parameters": {"expression": {"op": "THEN", "within": 10,',
+                '    "first": {"event_type": "PERCENT_MOVE", "parameters": {"percent_move": 5, "days": 3, "direction": "down"}},',
+                '    "then": {"event_type": "PERCENT_MOVE", "parameters": {"percent_move": 3, "days": 1, "direction": "up"}}}}}'
+            ]
+        },
+        examples: ['SPY reversals while VIX is above 25', 'QQQ drops 5% in 3 days, then rallies 3% within 10 days'],
+        create: coordinator => new CompositeEventEngine(coordinator)
+    }
+];
+
+module.exports = { BUILT_IN_ENGINES, DIRECTION };
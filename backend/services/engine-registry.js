@@ -0,0 +1,163 @@
+// ========================================
+// ENGINE REGISTRY
+// File: backend/services/engine-registry.js
+// Single list of event engines. Each definition declares its id, display name, tier, parameter
+// schema (with defaults), prompt text and example phrasings; the coordinator, ParseSchema, the
+// parser prompt, tier checks and /api/strategies are all built from it.
+// ========================================
+
+// Lowest to highest; a subscription can use engines at or below its engine tier
+const ENGINE_TIERS = ['starter', 'pro', 'enterprise'];
+
+const REQUIRED_FIELDS = ['id', 'name', 'tier', 'category', 'summary', 'parameters', 'create'];
+
+const registryState = {
+    engines: new Map(), // id -> definition
+    builtInsLoaded: false
+};
+
+class EngineRegistry {
+    // definition: {
+    //   id: 'PERCENT_MOVE', name, tier: ENGINE_TIERS, category, summary (one prompt line),
+    //   parameters: ParseSchema field specs, create: coordinator => engine instance,
+    //   examples?: [phrasing], prompt?: { title, lines } extra parser guidance (replaces the generated
+    //   parameter line), composable?: usable as a COMPOSITE leaf, fixedParameters?: merged into every run,
+    //   ownData?: engine loads its own data (no bars passed), magnitude?: { field, options?, label?, question? }
+    //   (the parameter a vague size word asks about, for QueryClarifier),
+    //   custom?: registered at runtime (enterprise custom strategies)
+    // }
+    static register(definition) {
+        const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Engine definition is missing: ${missing.join(', ')}`);
+        }
+        if (!/^[A-Z][A-Z0-9_]*$/.test(definition.id)) {
+            throw new Error(`Engine id "${definition.id}" must be UPPER_SNAKE_CASE`);
+        }
+        if (!ENGINE_TIERS.includes(definition.tier)) {
+            throw new Error(`Engine tier "${definition.tier}" must be one of: ${ENGINE_TIERS.join(', ')}`);
+        }
+        if (typeof definition.create !== 'function') {
+            throw new Error(`Engine ${definition.id} needs a create(coordinator) function`);
+        }
+        if (registryState.engines.has(definition.id) && !definition.replace) {
+            throw new Error(`Engine ${definition.id} is already registered`);
+        }
+
+        registryState.engines.set(definition.id, {
+            examples: [],
+            composable: false,
+            fixedParameters: {},
+            ownData: false,
+            custom: false,
+            ...definition
+        });
+        return registryState.engines.get(definition.id);
+    }
+
+    static unregister(id) {
+        const definition = registryState.engines.get(id);
+        if (definition && !definition.custom) {
+            throw new Error(`Built-in engine ${id} cannot be removed`);
+        }
+        return registryState.engines.delete(id);
+    }
+
+    // Built-in definitions reference the engine classes, which load the registry themselves,
+    // so they are pulled in on first use rather than when this module loads
+    static ensureBuiltIns() {
+        if (!registryState.builtInsLoaded) {
+            registryState.builtInsLoaded = true;
+            require('./engine-definitions').BUILT_IN_ENGINES.forEach(definition => this.register(definition));
+        }
+    }
+
+    static get(id) {
+        this.ensureBuiltIns();
+        return registryState.engines.get(id) || null;
+    }
+
+    static has(id) {
+        return Boolean(this.get(id));
+    }
+
+    static list() {
+        this.ensureBuiltIns();
+        return [...registryState.engines.values()];
+    }
+
+    static ids() {
+        return this.list().map(definition => definition.id);
+    }
+
+    static getSchema(id) {
+        return this.get(id)?.parameters || null;
+    }
+
+    static getComposable() {
+        return this.list().filter(definition => definition.composable).map(definition => definition.id);
+    }
+
+    // tier: an engine tier ('starter' | 'pro' | 'enterprise')
+    static isAvailableTo(id, tier) {
+        const definition = this.get(id);
+        if (!definition) return false;
+        return ENGINE_TIERS.indexOf(definition.tier) <= ENGINE_TIERS.indexOf(tier);
+    }
+
+    static idsForTier(tier) {
+        return this.ids().filter(id => this.isAvailableTo(id, tier));
+    }
+
+    // "percent_move (number 0.01-1000, default 5), direction (up | down | both, default both)"
+    static describeParameters(schema) {
+        return Object.entries(schema || {}).map(([name, spec]) => {
+            const type = spec.type === 'enum'
+                ? spec.values.join(' | ')
+                : spec.min !== undefined ? `${spec.type} ${spec.min}-${spec.max}` : spec.type;
+            const extra = spec.required ? ', required' : spec.default !== undefined && typeof spec.default !== 'object'
+                ? `, default ${spec.default}` : '';
+            return `${name} (${type}${extra})`;
+        }).join(', ');
+    }
+
+    // Parser prompt sections: the event type list, each engine's parameters, then engine-specific guidance
+    static buildPromptSections() {
+        const engines = this.list();
+        const lines = [
+            'BASE EVENT TYPES:',
+            ...engines.map(definition => `- ${definition.id}: ${definition.summary}`),
+            '',
+            'PARAMETERS (omitted parameters take the default):',
+            ...engines
+                .filter(definition => !definition.prompt)
+                .map(definition => `- ${definition.id}: ${this.describeParameters(definition.parameters)}`)
+        ];
+
+        // prompt.lines may be a function of the registry, for text that lists other engines
+        engines.filter(definition => definition.prompt).forEach(definition => {
+            const promptLines = typeof definition.prompt.lines === 'function' ? definition.prompt.lines(this) : definition.prompt.lines;
+            lines.push('', `${definition.prompt.title}:`, ...promptLines.map(line => line.startsWith(' ') ? line : `- ${line}`));
+        });
+
+        return lines.join('\n');
+    }
+
+    // Public description for /api/strategies
+    static describe(definition) {
+        return {
+            name: definition.name,
+            tier: definition.tier,
+            category: definition.category,
+            description: definition.summary,
+            parameters: definition.parameters,
+            examples: definition.examples,
+            composable: definition.composable,
+            ...(definition.custom ? { custom: true } : {})
+        };
+    }
+}
+
+EngineRegistry.ENGINE_TIERS = ENGINE_TIERS;
+
+module.exports = EngineRegistry;
@@ -0,0 +1,114 @@
+// ========================================
+// EVENT COMPOSITION
+// File: backend/services/event-composition.js
+// Date-set algebra over engine match sets: AND, OR, NOT and THEN ("followed by within N days")
+// ========================================
+
+// Expression nodes (as normalized by ParseSchema):
+//   leaf: { event_type, ticker?, parameters } - event_type is an engine registered as composable
+//   { op: 'AND' | 'OR', operands: [node, ...] }
+//   { op: 'NOT', operand: node }
+//   { op: 'THEN', first: node, then: node, within: tradingDays }
+const OPERATORS = ['AND', 'OR', 'NOT', 'THEN'];
+
+const MAX_DEPTH = 5;
+const MAX_LEAVES = 8;
+
+class EventComposition {
+    static isLeaf(node) {
+        return Boolean(node) && !node.op;
+    }
+
+    // Leaves in evaluation order
+    static collectLeaves(node, leaves = []) {
+        if (this.isLeaf(node)) {
+            leaves.push(node);
+        } else if (node.op === 'NOT') {
+            this.collectLeaves(node.operand, leaves);
+        } else if (node.op === 'THEN') {
+            this.collectLeaves(node.first, leaves);
+            this.collectLeaves(node.then, leaves);
+        } else {
+            node.operands.forEach(operand => this.collectLeaves(operand, leaves));
+        }
+        return leaves;
+    }
+
+    // leafDates: Map of leaf node -> Set of 'YYYY-MM-DD'; grid: the session dates, ascending.
+    // Returns the Set of session dates on which the whole expression holds. A THEN is dated on
+    // the day its second event occurs, so forward returns start once the sequence is complete.
+    static evaluate(node, leafDates, grid) {
+        return this.evaluateNode(node, leafDates, grid, new Map(grid.map((date, i) => [date, i])));
+    }
+
+    static evaluateNode(node, leafDates, grid, index) {
+        const evaluate = child => this.evaluateNode(child, leafDates, grid, index);
+
+        if (this.isLeaf(node)) {
+            return new Set([...(leafDates.get(node) || [])].filter(date => index.has(date)));
+        }
+
+        switch (node.op) {
+            case 'AND': {
+                const [first, ...rest] = node.operands.map(evaluate);
+                return new Set([...first].filter(date => rest.every(set => set.has(date))));
+            }
+            case 'OR': {
+                const union = new Set();
+                node.operands.forEach(operand => evaluate(operand).forEach(date => union.add(date)));
+                return union;
+            }
+            case 'NOT': {
+                const excluded = evaluate(node.operand);
+                return new Set(grid.filter(date => !excluded.has(date)));
+            }
+            case 'THEN': {
+                const triggers = evaluate(node.first);
+                const follows = evaluate(node.then);
+                const result = new Set();
+                triggers.forEach(date => {
+                    const start = index.get(date);
+                    for (let i = start + 1; i <= Math.min(start + node.within, grid.length - 1); i++) {
+                        if (follows.has(grid[i])) {
+                            result.add(grid[i]);
+                            break;
+                        }
+                    }
+                });
+                return result;
+            }
+            default:
+                throw new Error(`Unknown composition operator: ${node.op}`);
+        }
+    }
+
+    static describeLeaf(leaf, defaultTicker) {
+        const ticker = leaf.ticker && leaf.ticker !== defaultTicker ? ` ${leaf.ticker}` : '';
+        const parameters = Object.entries(leaf.parameters || {})
+            .filter(([, value]) => typeof value !== 'object')
+            .map(([key, value]) => `${key}=${value}`)
+            .join(', ');
+        return `${leaf.event_type}${ticker}${parameters ? `(${parameters})` : ''}`;
+    }
+
+    // "(REVERSAL AND VOLATILITY_EVENT(vix_threshold=25)) THEN within 10d PERCENT_MOVE(...)"
+    static describe(node, defaultTicker) {
+        if (this.isLeaf(node)) return this.describeLeaf(node, defaultTicker);
+
+        const wrap = child => this.isLeaf(child) || child.op === 'NOT' ? this.describe(child, defaultTicker) : `(${this.describe(child, defaultTicker)})`;
+        switch (node.op) {
+            case 'NOT':
+                return `NOT ${wrap(node.operand)}`;
+            case 'THEN':
+                return `${wrap(node.first)} THEN within ${node.within}d ${wrap(node.then)}`;
+            default:
+                return node.operands.map(wrap).join(` ${node.op} `);
+        }
+    }
+}
+
+EventComposition.OPERATORS = OPERATORS;
+EventComposition.MAX_DEPTH = MAX_DEPTH;
+EventComposition.MAX_LEAVES = MAX_LEAVES;
+
+module.exports = EventComposition;
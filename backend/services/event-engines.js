@@ -4,7 +4,15 @@
 // ========================================
 
 const MarketDataService = require('./market-data');
-const TOYBarometerEngine = require('./toy-barometer');
+const TradingCalendar = require('./trading-calendar');
+const { MacroDataService } = require('./macro-data');
+const ExtendedForwardReturnsCalculator = require('./forward-returns');
+const EventComposition = require('./event-composition');
+const EngineRegistry = require('./engine-registry');
+const Indicators = require('./indicators');
+
+// Metrics a universe scan can rank tickers by (all measured on the ranking timeframe except matches)
+const SCAN_RANKINGS = ['avg_return', 'win_rate', 'return_vol', 'matches'];
 
 // Base Event Engine Class
 class BaseEventEngine {
@@ -177,19 +185,19 @@ class SectorSpreadEngine extends BaseEventEngine {
         super('Sector Spread');
     }
 
-    async analyze(data, parameters) {
-        return this.safeExecute(this._analyzeSectorSpread, data, parameters);
+    async analyze(data, parameters, context) {
+        return this.safeExecute(this._analyzeSectorSpread, data, parameters, context);
     }
 
-    async _analyzeSectorSpread({ sector_a = 'XLK', sector_b = 'XLF', spread_threshold = 5, days = 10 }) {
-        // Fetch data for both sectors
-        const [dataA, dataB] = await Promise.all([
-            MarketDataService.getHistoricalData(sector_a),
-            MarketDataService.getHistoricalData(sector_b)
+    async _analyzeSectorSpread(data, { sector_a = 'XLK', sector_b = 'XLF', spread_threshold = 5, days = 10 }, { range, priceBasis } = {}) {
+        // Fetch data for both sectors over the requested analysis window
+        const [seriesA, seriesB] = await Promise.all([
+            MarketDataService.getSeries(sector_a, range, { priceBasis }),
+            MarketDataService.getSeries(sector_b, range, { priceBasis })
         ]);
         
         // Align dates
-        const alignedData = this._alignDataSeries(dataA, dataB);
+        const alignedData = MarketDataService.alignSeries(seriesA.bars, seriesB.bars);
         const matches = [];
         
         for (let i = 0; i < alignedData.length - days; i++) {
@@ -220,24 +228,10 @@ class SectorSpreadEngine extends BaseEventEngine {
                 avg_spread: matches.length > 0 ? 
                     matches.reduce((sum, m) => sum + Math.abs(m.spread), 0) / matches.length : 0,
                 criteria: `${sector_a} vs ${sector_b} spread >${Math.abs(spread_threshold)}% over ${days} days`
-            }
+            },
+            data_quality: { [sector_a]: seriesA.quality, [sector_b]: seriesB.quality }
         };
     }
-
-    _alignDataSeries(dataA, dataB) {
-        const aligned = [];
-        const dateMapA = new Map(dataA.map(item => [item.date.toISOString().split('T')[0], item]));
-        const dateMapB = new Map(dataB.map(item => [item.date.toISOString().split('T')[0], item]));
-        
-        for (const [dateStr, itemA] of dateMapA) {
-            const itemB = dateMapB.get(dateStr);
-            if (itemB) {
-                aligned.push({ date: itemA.date, a: itemA, b: itemB });
-            }
-        }
-        
-        return aligned.sort((a, b) => a.date - b.date);
-    }
 }
 
 // ========================================
@@ -254,37 +248,37 @@ class MomentumEngine extends BaseEventEngine {
     }
 
     _analyzeMomentum(data, { sma_period = 20, days = 60, momentum_type = 'bullish', threshold = 1.2 }) {
-        const dataWithSMA = this._calculateSMA(data, sma_period);
+        const sma = Indicators.sma(Indicators.closes(data), sma_period);
         const matches = [];
         let lastMatchDate = null;
         const minGapDays = 30;
         
-        for (let i = sma_period; i < dataWithSMA.length - days; i++) {
+        for (let i = sma_period; i < data.length - days; i++) {
             // Skip if too close to last match
-            const currentDate = new Date(dataWithSMA[i + days].date);
+            const currentDate = new Date(data[i + days].date);
             if (lastMatchDate && (currentDate - lastMatchDate) / (1000 * 60 * 60 * 24) < minGapDays) {
                 continue;
             }
             
             let isValidPeriod = true;
             let extremeValue = 0;
-            let startPrice = dataWithSMA[i].close;
+            let startPrice = data[i].close;
             
             if (momentum_type === 'bullish') {
                 // Check if price stayed above SMA
                 let highestPrice = startPrice;
                 
                 for (let j = i; j < i + days; j++) {
-                    if (dataWithSMA[j].close <= dataWithSMA[j].sma) {
+                    if (data[j].close <= sma[j]) {
                         isValidPeriod = false;
                         break;
                     }
                     
-                    if (dataWithSMA[j].close > highestPrice) {
-                        highestPrice = dataWithSMA[j].close;
+                    if (data[j].close > highestPrice) {
+                        highestPrice = data[j].close;
                     }
                     
-                    const drawdown = ((dataWithSMA[j].close - highestPrice) / highestPrice) * 100;
+                    const drawdown = ((data[j].close - highestPrice) / highestPrice) * 100;
                     if (drawdown < extremeValue) {
                         extremeValue = drawdown;
                     }
@@ -293,11 +287,11 @@ class MomentumEngine extends BaseEventEngine {
                 // Check if max drawdown is within threshold
                 if (isValidPeriod && extremeValue >= -Math.abs(threshold)) {
                     matches.push({
-                        date: dataWithSMA[i + days].date,
+                        date: data[i + days].date,
                         startPrice,
-                        endPrice: dataWithSMA[i + days].close,
+                        endPrice: data[i + days].close,
                         maxDrawdown: extremeValue,
-                        periodReturn: ((dataWithSMA[i + days].close / startPrice) - 1) * 100,
+                        periodReturn: ((data[i + days].close / startPrice) - 1) * 100,
                         daysAboveSMA: days
                     });
                     lastMatchDate = currentDate;
@@ -307,16 +301,16 @@ class MomentumEngine extends BaseEventEngine {
                 let lowestPrice = startPrice;
                 
                 for (let j = i; j < i + days; j++) {
-                    if (dataWithSMA[j].close >= dataWithSMA[j].sma) {
+                    if (data[j].close >= sma[j]) {
                         isValidPeriod = false;
                         break;
                     }
                     
-                    if (dataWithSMA[j].close < lowestPrice) {
-                        lowestPrice = dataWithSMA[j].close;
+                    if (data[j].close < lowestPrice) {
+                        lowestPrice = data[j].close;
                     }
                     
-                    const rally = ((dataWithSMA[j].close - lowestPrice) / lowestPrice) * 100;
+                    const rally = ((data[j].close - lowestPrice) / lowestPrice) * 100;
                     if (rally > extremeValue) {
                         extremeValue = rally;
                     }
@@ -325,11 +319,11 @@ class MomentumEngine extends BaseEventEngine {
                 // Check if max rally is within threshold
                 if (isValidPeriod && extremeValue <= Math.abs(threshold)) {
                     matches.push({
-                        date: dataWithSMA[i + days].date,
+                        date: data[i + days].date,
                         startPrice,
-                        endPrice: dataWithSMA[i + days].close,
+                        endPrice: data[i + days].close,
                         maxRally: extremeValue,
-                        periodReturn: ((dataWithSMA[i + days].close / startPrice) - 1) * 100,
+                        periodReturn: ((data[i + days].close / startPrice) - 1) * 100,
                         daysBelowSMA: days
                     });
                     lastMatchDate = currentDate;
@@ -348,20 +342,6 @@ class MomentumEngine extends BaseEventEngine {
             }
         };
     }
-
-    _calculateSMA(data, period) {
-        const result = [...data];
-        
-        for (let i = period - 1; i < result.length; i++) {
-            let sum = 0;
-            for (let j = i - period + 1; j <= i; j++) {
-                sum += result[j].close;
-            }
-            result[i].sma = sum / period;
-        }
-        
-        return result;
-    }
 }
 
 // ========================================
@@ -373,17 +353,17 @@ class VolatilityEngine extends BaseEventEngine {
         super('Volatility Events');
     }
 
-    async analyze(data, parameters) {
-        return this.safeExecute(this._analyzeVolatility, data, parameters);
+    async analyze(data, parameters, context) {
+        return this.safeExecute(this._analyzeVolatility, data, parameters, context);
     }
 
-    async _analyzeVolatility({ ticker = 'SPY', vix_threshold = 25, price_condition = 'any', price_threshold = 2 }) {
-        // Get VIX data
-        const vixData = await MarketDataService.getHistoricalData('^VIX');
+    async _analyzeVolatility(data, { vix_threshold = 25, price_condition = 'any', price_threshold = 2 }, { range, ticker = 'SPY' } = {}) {
+        // Get VIX data for the same window as the price series (an index level, so always raw)
+        const vixSeries = await MarketDataService.getSeries('^VIX', range, { priceBasis: 'raw' });
         const priceData = data;
         
         // Align VIX and price data
-        const alignedData = this._alignDataSeries(priceData, vixData);
+        const alignedData = MarketDataService.alignSeries(priceData, vixSeries.bars);
         const matches = [];
         
         for (let i = 1; i < alignedData.length; i++) {
@@ -420,24 +400,10 @@ class VolatilityEngine extends BaseEventEngine {
                 avg_vix: matches.length > 0 ? 
                     matches.reduce((sum, m) => sum + m.vix_level, 0) / matches.length : 0,
                 criteria: `VIX >${vix_threshold} with ${ticker} ${price_condition} moves`
-            }
+            },
+            data_quality: { '^VIX': vixSeries.quality }
         };
     }
-
-    _alignDataSeries(dataA, dataB) {
-        const aligned = [];
-        const dateMapA = new Map(dataA.map(item => [item.date.toISOString().split('T')[0], item]));
-        const dateMapB = new Map(dataB.map(item => [item.date.toISOString().split('T')[0], item]));
-        
-        for (const [dateStr, itemA] of dateMapA) {
-            const itemB = dateMapB.get(dateStr);
-            if (itemB) {
-                aligned.push({ date: itemA.date, a: itemA, b: itemB });
-            }
-        }
-        
-        return aligned.sort((a, b) => a.date - b.date);
-    }
 }
 
 // ========================================
@@ -453,67 +419,878 @@ class MacroEngine extends BaseEventEngine {
         return this.safeExecute(this._analyzeMacro, data, parameters);
     }
 
-    _analyzeMacro({ cpi_threshold, dxy_threshold, rate_threshold }) {
-        // Simulated macro data - replace with FRED API
-        const currentMacro = {
-            CPI: 3.2,
-            DXY_YTD: 2.8,
-            Interest_Rate: 5.25,
-            last_updated: new Date().toISOString()
+    // Matches every session on which all conditions held, using the macro values that had
+    // been published by that date. conditions: [{ metric, operator, value }] with operator
+    // '>=', '<=', '>', '<', 'crosses_above' or 'crosses_below'; the legacy cpi/dxy/rate
+    // thresholds are shorthand for '>=' conditions.
+    async _analyzeMacro(data, { conditions = [], cpi_threshold, dxy_threshold, rate_threshold, signal = 'every_day' }) {
+        const rules = this._buildConditions(conditions, { cpi_threshold, dxy_threshold, rate_threshold });
+        if (rules.length === 0) {
+            throw new Error('Macro analysis needs at least one condition');
+        }
+
+        const metrics = [...new Set(rules.map(rule => rule.metric))];
+        const dateKeys = data.map(bar => new Date(bar.date).toISOString().split('T')[0]);
+        const valuesByDate = await MacroDataService.getValuesAsOf(metrics, dateKeys);
+
+        const matches = [];
+        const heldCounts = rules.map(() => 0);
+        let latestResults = rules.map(() => false);
+        let previousValues = null;
+        let previousMet = false;
+
+        data.forEach((bar, i) => {
+            const values = valuesByDate.get(dateKeys[i]);
+            const results = rules.map(rule => this._evaluate(rule, values[rule.metric], previousValues?.[rule.metric]));
+            results.forEach((met, r) => { if (met) heldCounts[r]++; });
+            latestResults = results;
+
+            const allMet = results.every(Boolean);
+            if (allMet && (signal !== 'onset' || !previousMet)) {
+                matches.push({
+                    date: bar.date,
+                    price: bar.close,
+                    macro: { ...values },
+                    signal: signal === 'onset' ? 'Macro conditions began' : 'Macro conditions met'
+                });
+            }
+
+            previousMet = allMet;
+            previousValues = values;
+        });
+
+        const latest = dateKeys.length > 0 ? valuesByDate.get(dateKeys[dateKeys.length - 1]) : {};
+        const currentlyMet = previousMet;
+
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                sessions_checked: data.length,
+                signal: currentlyMet ? '✅ All macro conditions met today' : '❌ Macro conditions not met today',
+                conditions: rules.map((rule, r) => ({
+                    metric: MacroDataService.getMetricInfo(rule.metric).label,
+                    operator: rule.operator,
+                    threshold: rule.value,
+                    current: latest[rule.metric],
+                    met: latestResults[r],
+                    held_pct: data.length > 0 ? (heldCounts[r] / data.length) * 100 : 0
+                })),
+                current_macro: latest,
+                criteria: rules.map(rule => `${MacroDataService.getMetricInfo(rule.metric).label} ${rule.operator.replace('_', ' ')} ${rule.value}`).join(' AND ')
+            }
         };
-        
-        const conditions = [];
-        let conditionsMet = 0;
-        let totalConditions = 0;
-        
-        if (cpi_threshold !== undefined) {
-            totalConditions++;
-            const met = currentMacro.CPI >= cpi_threshold;
-            conditions.push({
-                metric: 'CPI',
-                threshold: cpi_threshold,
-                current: currentMacro.CPI,
-                met
-            });
-            if (met) conditionsMet++;
+    }
+
+    _buildConditions(conditions, { cpi_threshold, dxy_threshold, rate_threshold }) {
+        const rules = conditions.map(condition => ({
+            metric: String(condition.metric || '').toUpperCase(),
+            operator: condition.operator || '>=',
+            value: Number(condition.value)
+        }));
+
+        if (cpi_threshold !== undefined) rules.push({ metric: 'CPI_YOY', operator: '>=', value: Number(cpi_threshold) });
+        if (dxy_threshold !== undefined) rules.push({ metric: 'DXY_YTD', operator: '>=', value: Number(dxy_threshold) });
+        if (rate_threshold !== undefined) rules.push({ metric: 'FED_FUNDS', operator: '>=', value: Number(rate_threshold) });
+
+        const operators = ['>=', '<=', '>', '<', 'crosses_above', 'crosses_below'];
+        for (const rule of rules) {
+            if (!MacroDataService.getMetricInfo(rule.metric)) {
+                throw new Error(`Unknown macro metric: ${rule.metric}`);
+            }
+            if (!operators.includes(rule.operator)) {
+                throw new Error(`Unknown macro operator: ${rule.operator}`);
+            }
+            if (!isFinite(rule.value)) {
+                throw new Error(`Macro condition on ${rule.metric} needs a numeric value`);
+            }
         }
-        
-        if (dxy_threshold !== undefined) {
-            totalConditions++;
-            const met = currentMacro.DXY_YTD >= dxy_threshold;
-            conditions.push({
-                metric: 'DXY YTD',
-                threshold: dxy_threshold,
-                current: currentMacro.DXY_YTD,
-                met
+
+        return rules;
+    }
+
+    _evaluate({ operator, value }, current, previous) {
+        if (current === null || current === undefined) return false;
+
+        switch (operator) {
+            case '>=': return current >= value;
+            case '<=': return current <= value;
+            case '>': return current > value;
+            case '<': return current < value;
+            case 'crosses_above': return previous !== null && previous !== undefined && previous < value && current >= value;
+            case 'crosses_below': return previous !== null && previous !== undefined && previous > value && current <= value;
+            default: return false;
+        }
+    }
+}
+
+// ========================================
+// ENGINE 7: INTRADAY PATTERNS
+// ========================================
+
+// Session windows: 'opening' / 'closing' take window_minutes, 'power_hour' is the last 60
+// minutes and 'custom' uses window_start / window_end (exchange time, 'HH:MM').
+// The window move is compared with the other leg of the session - the rest of the day
+// when the window ends before the close, otherwise the part of the day before it.
+class IntradayPatternEngine extends BaseEventEngine {
+    constructor() {
+        super('Intraday Patterns');
+        this.intraday = true;
+    }
+
+    async analyze(data, parameters) {
+        return this.safeExecute(this._analyzeIntraday, data, parameters);
+    }
+
+    _analyzeIntraday(data, {
+        interval = MarketDataService.DEFAULT_INTRADAY_INTERVAL,
+        window = 'opening',
+        window_minutes = 30,
+        window_start,
+        window_end,
+        move_threshold = 1,
+        direction = 'both',
+        pattern = 'any',
+        follow_threshold = 0
+    }) {
+        const sessions = this._groupBySession(data);
+        const matches = [];
+
+        for (const [sessionDate, bars] of sessions) {
+            const hours = TradingCalendar.getSessionHours(sessionDate);
+            if (!hours) continue;
+
+            const openMinutes = TradingCalendar.timeToMinutes(hours.open);
+            const closeMinutes = TradingCalendar.timeToMinutes(hours.close);
+            const bounds = this._resolveWindow(window, window_minutes, window_start, window_end, openMinutes, closeMinutes);
+            if (!bounds) continue;
+
+            const windowBars = bars.filter(bar => bar.minutes >= bounds.start && bar.minutes < bounds.end);
+            if (windowBars.length === 0) continue;
+
+            const windowOpen = windowBars[0].open;
+            const windowClose = windowBars[windowBars.length - 1].close;
+            const windowMove = ((windowClose / windowOpen) - 1) * 100;
+
+            if (direction === 'up' && windowMove < move_threshold) continue;
+            if (direction === 'down' && windowMove > -Math.abs(move_threshold)) continue;
+            if (direction === 'both' && Math.abs(windowMove) < Math.abs(move_threshold)) continue;
+
+            const afterBars = bars.filter(bar => bar.minutes >= bounds.end);
+            const beforeBars = bars.filter(bar => bar.minutes < bounds.start);
+
+            let followLeg = null;
+            let followMove = null;
+            if (afterBars.length > 0) {
+                followLeg = 'rest_of_session';
+                followMove = ((afterBars[afterBars.length - 1].close / windowClose) - 1) * 100;
+            } else if (beforeBars.length > 0) {
+                followLeg = 'prior_session';
+                followMove = ((windowOpen / beforeBars[0].open) - 1) * 100;
+            }
+
+            if (pattern !== 'any') {
+                if (followMove === null || Math.abs(followMove) < follow_threshold) continue;
+                const sameSign = Math.sign(followMove) === Math.sign(windowMove);
+                if (pattern === 'reversal' && sameSign) continue;
+                if (pattern === 'continuation' && !sameSign) continue;
+            }
+
+            // Stamp the match on the bar that completes the pattern so forward returns
+            // never include the bars that defined it
+            const usesRestOfSession = pattern !== 'any' && followLeg === 'rest_of_session';
+            const signalBar = usesRestOfSession ? afterBars[afterBars.length - 1] : windowBars[windowBars.length - 1];
+
+            matches.push({
+                date: signalBar.date,
+                session: sessionDate,
+                window: `${TradingCalendar.minutesToTime(bounds.start)}-${TradingCalendar.minutesToTime(bounds.end)}`,
+                windowMove,
+                followMove,
+                followLeg,
+                price: signalBar.close
             });
-            if (met) conditionsMet++;
         }
-        
-        if (rate_threshold !== undefined) {
-            totalConditions++;
-            const met = currentMacro.Interest_Rate >= rate_threshold;
-            conditions.push({
-                metric: 'Fed Funds Rate',
-                threshold: rate_threshold,
-                current: currentMacro.Interest_Rate,
-                met
+
+        const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                sessions_scanned: sessions.size,
+                interval,
+                avg_window_move: average(matches.map(m => m.windowMove)),
+                avg_follow_move: average(matches.filter(m => m.followMove !== null).map(m => m.followMove)),
+                criteria: `${direction === 'both' ? '' : direction + ' '}${Math.abs(move_threshold)}% ${window.replace('_', ' ')} window moves${pattern === 'any' ? '' : ` followed by a ${pattern}`} on ${interval} bars`
+            }
+        };
+    }
+
+    // Regular-session bars grouped by exchange date, each tagged with its minute of day
+    _groupBySession(data) {
+        const sessions = new Map();
+        for (const bar of data) {
+            const { date, minutes } = TradingCalendar.toExchangeTime(bar.date);
+            if (!sessions.has(date)) sessions.set(date, []);
+            sessions.get(date).push({ ...bar, minutes });
+        }
+        return sessions;
+    }
+
+    _resolveWindow(window, windowMinutes, windowStart, windowEnd, openMinutes, closeMinutes) {
+        let start;
+        let end;
+
+        if (window === 'custom') {
+            if (!windowStart || !windowEnd) {
+                throw new Error('Custom intraday windows need window_start and window_end (HH:MM)');
+            }
+            start = TradingCalendar.timeToMinutes(windowStart);
+            end = TradingCalendar.timeToMinutes(windowEnd);
+        } else if (window === 'closing' || window === 'power_hour') {
+            end = closeMinutes;
+            start = closeMinutes - (window === 'power_hour' ? 60 : windowMinutes);
+        } else if (window === 'opening') {
+            start = openMinutes;
+            end = openMinutes + windowMinutes;
+        } else {
+            throw new Error(`Unknown intraday window: ${window}`);
+        }
+
+        start = Math.max(start, openMinutes);
+        end = Math.min(end, closeMinutes);
+        return start < end ? { start, end } : null;
+    }
+}
+
+// ========================================
+// ENGINE 8: COMPOSITE EVENTS (AND / OR / NOT / THEN)
+// ========================================
+
+// Runs each leaf event through the coordinator and combines the match dates on the
+// ticker's session grid. Leaves default to the composite's ticker.
+class CompositeEventEngine extends BaseEventEngine {
+    constructor(coordinator) {
+        super('Composite');
+        this.coordinator = coordinator;
+    }
+
+    async analyze(data, parameters, context) {
+        return this.safeExecute(this._analyzeComposite, data, parameters, context);
+    }
+
+    async _analyzeComposite(data, { expression }, { ticker, range, priceBasis } = {}) {
+        if (!expression) {
+            throw new Error('Composite events need an expression');
+        }
+
+        const dayKey = date => new Date(date).toISOString().split('T')[0];
+        const leaves = EventComposition.collectLeaves(expression);
+        const leafDates = new Map();
+        const leafMatches = {};
+        let dataQuality = {};
+
+        for (const leaf of leaves) {
+            const result = await this.coordinator.runEventAnalysis(
+                leaf.event_type,
+                leaf.ticker || ticker,
+                { ...leaf.parameters },
+                { range, priceBasis }
+            );
+            const label = EventComposition.describeLeaf(leaf, ticker);
+            leafDates.set(leaf, new Set((result.matches || []).map(match => dayKey(match.date))));
+            leafMatches[label] = (result.matches || []).length;
+            dataQuality = { ...dataQuality, ...(result.data_quality || {}) };
+        }
+
+        const grid = data.map(bar => dayKey(bar.date));
+        const dates = EventComposition.evaluate(expression, leafDates, grid);
+        const barsByDate = new Map(data.map(bar => [dayKey(bar.date), bar]));
+
+        const matches = [...dates].sort().map(date => {
+            const bar = barsByDate.get(date);
+            return {
+                date: bar.date,
+                close: bar.close,
+                events: leaves
+                    .filter(leaf => leafDates.get(leaf).has(date))
+                    .map(leaf => EventComposition.describeLeaf(leaf, ticker))
+            };
+        });
+
+        const description = EventComposition.describe(expression, ticker);
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                criteria: description,
+                leaf_matches: leafMatches
+            },
+            data_quality: dataQuality
+        };
+    }
+}
+
+// ========================================
+// ENGINE 9: INDICATOR THRESHOLDS
+// ========================================
+
+// Series the engine can test. rolling_high / rolling_low are the highest / lowest close of the
+// `period` sessions before the current one, so a close can break through them.
+const INDICATORS = [
+    'close', 'rsi', 'sma', 'ema', 'macd', 'macd_signal', 'macd_histogram', 'atr', 'atr_pct',
+    'bb_upper', 'bb_middle', 'bb_lower', 'bb_percent_b', 'bb_width', 'zscore',
+    'rolling_high', 'rolling_low', 'realized_vol'
+];
+
+const INDICATOR_LABELS = {
+    close: 'close',
+    rsi: 'RSI',
+    sma: 'SMA',
+    ema: 'EMA',
+    macd: 'MACD',
+    macd_signal: 'MACD signal',
+    macd_histogram: 'MACD histogram',
+    atr: 'ATR',
+    atr_pct: 'ATR%',
+    bb_upper: 'upper Bollinger',
+    bb_middle: 'middle Bollinger',
+    bb_lower: 'lower Bollinger',
+    bb_percent_b: 'Bollinger %B',
+    bb_width: 'Bollinger width',
+    zscore: 'z-score',
+    rolling_high: 'prior high',
+    rolling_low: 'prior low',
+    realized_vol: 'realized volatility'
+};
+
+// Which Indicators.DEFAULT_PERIODS entry applies when no period is given (MACD is always 12/26/9)
+const INDICATOR_PERIOD_KEYS = {
+    rsi: 'rsi', sma: 'sma', ema: 'ema', atr: 'atr', atr_pct: 'atr',
+    bb_upper: 'bollinger', bb_middle: 'bollinger', bb_lower: 'bollinger', bb_percent_b: 'bollinger', bb_width: 'bollinger',
+    zscore: 'zscore', rolling_high: 'rolling', rolling_low: 'rolling', realized_vol: 'realized_vol'
+};
+
+// Matches sessions where an indicator meets a condition against one of: a fixed `value`
+// ("RSI(2) < 5"), another series `reference` ("close crosses above bb_upper") or its own
+// trailing `percentile` over `lookback` sessions ("atr_pct > 90th percentile of the last year").
+class IndicatorThresholdEngine extends BaseEventEngine {
+    constructor() {
+        super('Indicator Thresholds');
+    }
+
+    async analyze(data, parameters) {
+        return this.safeExecute(this._analyzeIndicator, data, parameters);
+    }
+
+    _analyzeIndicator(data, {
+        indicator,
+        period,
+        operator,
+        value,
+        reference,
+        reference_period,
+        percentile,
+        lookback = 252,
+        std_dev = 2,
+        signal = 'every_day'
+    }) {
+        if (!INDICATORS.includes(indicator)) {
+            throw new Error(`Unknown indicator: ${indicator}`);
+        }
+        const comparisons = [value, reference, percentile].filter(option => option !== undefined && option !== null);
+        if (comparisons.length !== 1) {
+            throw new Error('Indicator conditions need exactly one of value, reference or percentile');
+        }
+
+        const series = this._series(data, indicator, period, std_dev);
+        let threshold;
+        let thresholdLabel;
+        if (reference !== undefined && reference !== null) {
+            threshold = this._series(data, reference, reference_period ?? period, std_dev);
+            thresholdLabel = this._label(reference, reference_period ?? period, std_dev);
+        } else if (percentile !== undefined && percentile !== null) {
+            threshold = Indicators.rollingPercentile(series, lookback, percentile);
+            thresholdLabel = `its ${percentile}th percentile over ${lookback} sessions`;
+        } else {
+            threshold = data.map(() => value);
+            thresholdLabel = String(value);
+        }
+
+        const label = this._label(indicator, period, std_dev);
+        const criteria = `${label} ${operator.replace('_', ' ')} ${thresholdLabel}`;
+        if (!series.some((point, i) => point !== null && threshold[i] !== null)) {
+            throw new Error(`Not enough data to compute ${criteria}`);
+        }
+
+        const round = number => number === null ? null : Math.round(number * 10000) / 10000;
+        const matches = [];
+        let held = 0;
+        let previousMet = false;
+
+        data.forEach((bar, i) => {
+            const met = this._evaluate(operator, series, threshold, i);
+            if (met) held++;
+
+            if (met && (signal !== 'onset' || !previousMet)) {
+                matches.push({
+                    date: bar.date,
+                    price: bar.close,
+                    indicator: round(series[i]),
+                    threshold: round(threshold[i]),
+                    signal: criteria
+                });
+            }
+            previousMet = met;
+        });
+
+        const last = data.length - 1;
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                sessions_checked: data.length,
+                indicator: label,
+                current: round(series[last]),
+                current_threshold: round(threshold[last]),
+                currently_met: previousMet,
+                held_pct: data.length > 0 ? (held / data.length) * 100 : 0,
+                criteria
+            }
+        };
+    }
+
+    // Crossings compare both sides on the previous session too, so a moving reference works
+    _evaluate(operator, series, threshold, i) {
+        const current = series[i];
+        const limit = threshold[i];
+        if (current === null || limit === null) return false;
+
+        switch (operator) {
+            case '>=': return current >= limit;
+            case '<=': return current <= limit;
+            case '>': return current > limit;
+            case '<': return current < limit;
+            case 'crosses_above':
+            case 'crosses_below': {
+                const previous = i > 0 ? series[i - 1] : null;
+                const previousLimit = i > 0 ? threshold[i - 1] : null;
+                if (previous === null || previousLimit === null) return false;
+                return operator === 'crosses_above'
+                    ? previous < previousLimit && current >= limit
+                    : previous > previousLimit && current <= limit;
+            }
+            default: return false;
+        }
+    }
+
+    _series(data, indicator, period, stdDev) {
+        const closes = Indicators.closes(data);
+        const lookback = this._period(indicator, period);
+
+        switch (indicator) {
+            case 'close': return closes;
+            case 'rsi': return Indicators.rsi(closes, lookback);
+            case 'sma': return Indicators.sma(closes, lookback);
+            case 'ema': return Indicators.ema(closes, lookback);
+            case 'macd': return Indicators.macd(closes).macd;
+            case 'macd_signal': return Indicators.macd(closes).signal;
+            case 'macd_histogram': return Indicators.macd(closes).histogram;
+            case 'atr': return Indicators.atr(data, lookback);
+            case 'atr_pct': return Indicators.atrPercent(data, lookback);
+            case 'bb_upper': return Indicators.bollinger(closes, lookback, stdDev).upper;
+            case 'bb_middle': return Indicators.bollinger(closes, lookback, stdDev).middle;
+            case 'bb_lower': return Indicators.bollinger(closes, lookback, stdDev).lower;
+            case 'bb_percent_b': return Indicators.bollinger(closes, lookback, stdDev).percentB;
+            case 'bb_width': return Indicators.bollinger(closes, lookback, stdDev).width;
+            case 'zscore': return Indicators.zScore(closes, lookback);
+            case 'rolling_high': return [null, ...Indicators.rollingHigh(closes, lookback).slice(0, -1)];
+            case 'rolling_low': return [null, ...Indicators.rollingLow(closes, lookback).slice(0, -1)];
+            case 'realized_vol': return Indicators.realizedVolatility(closes, lookback);
+            default: throw new Error(`Unknown indicator: ${indicator}`);
+        }
+    }
+
+    _period(indicator, period) {
+        return period || Indicators.DEFAULT_PERIODS[INDICATOR_PERIOD_KEYS[indicator]] || null;
+    }
+
+    // "RSI(2)", "upper Bollinger(20, 2)", "MACD(12, 26, 9)"
+    _label(indicator, period, stdDev) {
+        const name = INDICATOR_LABELS[indicator];
+        if (indicator === 'close') return name;
+        if (indicator.startsWith('macd')) return `${name}(12, 26, 9)`;
+        const lookback = this._period(indicator, period);
+        return indicator.startsWith('bb_') ? `${name}(${lookback}, ${stdDev})` : `${name}(${lookback})`;
+    }
+}
+
+IndicatorThresholdEngine.INDICATORS = INDICATORS;
+
+// ========================================
+// ENGINE 10: MOVING-AVERAGE CROSSOVERS
+// ========================================
+
+// Fast average crossing the slow one: up is a golden cross (50/200 by default), down a death cross.
+// With confirmation_days the fast average must stay on the new side that many more sessions and
+// the signal is dated on the confirming session, when it is known. Signals within min_gap_days
+// sessions of the previous one are dropped, collapsing whipsaws into one event.
+class MovingAverageCrossoverEngine extends BaseEventEngine {
+    constructor() {
+        super('MA Crossover');
+    }
+
+    async analyze(data, parameters) {
+        return this.safeExecute(this._analyzeCrossover, data, parameters);
+    }
+
+    _analyzeCrossover(data, { fast_period = 50, slow_period = 200, ma_type = 'sma', direction = 'up', confirmation_days = 0, min_gap_days = 0 }) {
+        if (fast_period >= slow_period) {
+            throw new Error('fast_period must be shorter than slow_period');
+        }
+
+        const closes = Indicators.closes(data);
+        const average = ma_type === 'ema' ? Indicators.ema : Indicators.sma;
+        const fast = average.call(Indicators, closes, fast_period);
+        const slow = average.call(Indicators, closes, slow_period);
+        const side = i => fast[i] === null || slow[i] === null ? 0 : Math.sign(fast[i] - slow[i]);
+
+        const matches = [];
+        let crosses = 0;
+        let filtered = 0;
+        let lastSignal = -Infinity;
+        // Last non-zero side: a cross that touches equality on the way is dated where the side flips
+        let previousSide = 0;
+
+        for (let i = 0; i < data.length - confirmation_days; i++) {
+            const now = side(i);
+            if (now === 0) continue;
+            const before = previousSide;
+            previousSide = now;
+            if (before === 0 || now === before) continue;
+
+            const crossDirection = now > 0 ? 'up' : 'down';
+            if (direction !== 'both' && crossDirection !== direction) continue;
+            crosses++;
+
+            // The fast average has to hold the new side through the confirmation window
+            let confirmed = true;
+            for (let j = i + 1; j <= i + confirmation_days; j++) {
+                if (side(j) !== now) {
+                    confirmed = false;
+                    break;
+                }
+            }
+            const signal = i + confirmation_days;
+            if (!confirmed || signal - lastSignal < min_gap_days) {
+                filtered++;
+                continue;
+            }
+
+            matches.push({
+                date: data[signal].date,
+                price: data[signal].close,
+                cross_date: data[i].date,
+                direction: crossDirection,
+                cross: crossDirection === 'up' ? 'golden' : 'death',
+                fast_ma: Math.round(fast[signal] * 100) / 100,
+                slow_ma: Math.round(slow[signal] * 100) / 100
             });
-            if (met) conditionsMet++;
+            lastSignal = signal;
         }
-        
-        const allConditionsMet = conditionsMet === totalConditions && totalConditions > 0;
-        
+
+        const label = `${fast_period}/${slow_period} ${ma_type.toUpperCase()}`;
+        const last = data.length - 1;
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                crosses_found: crosses,
+                filtered_out: filtered,
+                current_state: side(last) > 0 ? `fast above slow (${label})` : side(last) < 0 ? `fast below slow (${label})`
+                    : slow[last] === null ? 'not enough data' : `fast equal to slow (${label})`,
+                criteria: `${label} ${{ up: 'golden crosses', down: 'death crosses', both: 'crossovers' }[direction]}`
+                    + (confirmation_days > 0 ? `, confirmed for ${confirmation_days} sessions` : '')
+                    + (min_gap_days > 0 ? `, at least ${min_gap_days} sessions apart` : '')
+            }
+        };
+    }
+}
+
+// ========================================
+// ENGINE 11: UP / DOWN STREAKS
+// ========================================
+
+// A session counts toward a streak when it moved at least min_day_move % in the streak direction:
+//   close    - close vs the prior close
+//   gap      - open vs the prior close
+//   high_low - a higher high (up) or a lower low (down) than the prior session
+// Without `window` the last `length` sessions must all count; with it, `length` of the last
+// `window` sessions ("up 8 of the last 10"). The cumulative return is close to close over the
+// streak (or the window), and min_cumulative_move is checked against it.
+class StreakEngine extends BaseEventEngine {
+    constructor() {
+        super('Streaks');
+    }
+
+    async analyze(data, parameters) {
+        return this.safeExecute(this._analyzeStreak, data, parameters);
+    }
+
+    _analyzeStreak(data, {
+        streak_type = 'close',
+        direction = 'both',
+        length = 5,
+        window,
+        min_day_move = 0,
+        min_cumulative_move,
+        signal = 'onset'
+    }) {
+        if (window !== undefined && window !== null && window < length) {
+            throw new Error('window must be at least as long as length');
+        }
+
+        const directions = direction === 'both' ? ['up', 'down'] : [direction];
+        const flags = Object.fromEntries(directions.map(dir => [dir, data.map((bar, i) => this._counts(data, i, dir, streak_type, min_day_move))]));
+        const matches = [];
+        const longest = { up: 0, down: 0 };
+        const previousMet = { up: false, down: false };
+
+        // Running streak lengths (consecutive) and trailing-window counts (N of M)
+        const runs = { up: 0, down: 0 };
+        const windowCounts = { up: 0, down: 0 };
+
+        data.forEach((bar, i) => {
+            let matched = false;
+            for (const dir of directions) {
+                const counted = flags[dir][i];
+                runs[dir] = counted ? runs[dir] + 1 : 0;
+                longest[dir] = Math.max(longest[dir], runs[dir]);
+                windowCounts[dir] += counted ? 1 : 0;
+                if (window && i >= window && flags[dir][i - window]) windowCounts[dir]--;
+
+                const span = window ? window : runs[dir];
+                const count = window ? windowCounts[dir] : runs[dir];
+                const ready = !window || i >= window;
+                const cumulative = ready && span > 0 ? ((bar.close / data[i - span].close) - 1) * 100 : null;
+                const bigEnough = min_cumulative_move === undefined || min_cumulative_move === null
+                    || (cumulative !== null && (dir === 'up' ? cumulative >= min_cumulative_move : cumulative <= -min_cumulative_move));
+                const met = ready && count >= length && bigEnough;
+
+                if (met && !matched && (signal !== 'onset' || !previousMet[dir])) {
+                    matches.push({
+                        date: bar.date,
+                        price: bar.close,
+                        direction: dir,
+                        streak_type,
+                        streak_length: count,
+                        ...(window ? { window } : {}),
+                        cumulative_return: Math.round(cumulative * 100) / 100
+                    });
+                    matched = true;
+                }
+                previousMet[dir] = met;
+            }
+        });
+
+        const side = direction === 'both' ? 'up or down' : direction;
+        const label = streak_type === 'high_low'
+            ? { up: 'higher highs', down: 'lower lows', both: 'higher highs or lower lows' }[direction]
+            : `${side} ${streak_type === 'gap' ? 'gaps' : 'closes'}`;
+        return {
+            matches,
+            summary: {
+                total_matches: matches.length,
+                longest_up_streak: flags.up ? longest.up : null,
+                longest_down_streak: flags.down ? longest.down : null,
+                current_streak: directions.map(dir => `${runs[dir]} ${dir}`).join(', '),
+                criteria: `${window ? `${length} of ${window}` : `${length} consecutive`} ${label}`
+                    + (min_day_move > 0 ? ` of at least ${min_day_move}%` : '')
+                    + (min_cumulative_move ? `, ${min_cumulative_move}%+ in total` : '')
+            }
+        };
+    }
+
+    // Whether session i counts toward a streak in direction dir
+    _counts(data, i, dir, streakType, minMove) {
+        if (i === 0) return false;
+        const bar = data[i];
+        const prior = data[i - 1];
+        const sign = dir === 'up' ? 1 : -1;
+        let move;
+
+        switch (streakType) {
+            case 'gap':
+                if (bar.open === undefined || bar.open === null) return false;
+                move = ((bar.open / prior.close) - 1) * 100;
+                break;
+            case 'high_low':
+                move = dir === 'up'
+                    ? (((bar.high ?? bar.close) / (prior.high ?? prior.close)) - 1) * 100
+                    : (((bar.low ?? bar.close) / (prior.low ?? prior.close)) - 1) * 100;
+                break;
+            default:
+                move = ((bar.close / prior.close) - 1) * 100;
+        }
+        return move * sign > 0 && move * sign >= minMove;
+    }
+}
+
+// ========================================
+// ENGINE 12: NEW HIGHS / LOWS AND DRAWDOWNS
+// ========================================
+
+// Modes, all on closes:
+//   high / low    - close above the highest (below the lowest) close of the prior `lookback` sessions
+//   all_time_high - close above every earlier close, once `lookback` sessions (default 252) of
+//                   history are behind it - the first sessions of a history are trivially highs
+//   drawdown      - close at least drawdown_pct below its peak (all-time, or the last `lookback`
+//                   sessions); 'first_touch' signals once per peak, 'every_day' on every such session
+// min_days_since skips a new high/low that comes within that many sessions of the previous one
+// ("first new all-time high in a year"); the start of the history counts as the previous one. Highs and peaks are measured on the ticker's full history,
+// so the start of the analysis range does not reset them.
+class NewHighLowEngine extends BaseEventEngine {
+    constructor() {
+        super('New Highs/Lows');
+    }
+
+    async analyze(data, parameters, context) {
+        return this.safeExecute(this._analyzeHighLow, data, parameters, context);
+    }
+
+    async _analyzeHighLow(data, {
+        mode = 'high',
+        lookback,
+        min_days_since = 0,
+        drawdown_pct = 10,
+        signal = 'first_touch'
+    }, { ticker, priceBasis } = {}) {
+        const dayKey = date => new Date(date).toISOString().split('T')[0];
+        const { bars, fullHistory } = await this._loadHistory(data, ticker, priceBasis);
+        const closes = Indicators.closes(bars);
+        const inRange = new Set(data.map(bar => dayKey(bar.date)));
+
+        const events = mode === 'drawdown'
+            ? this._drawdowns(bars, closes, lookback, drawdown_pct, signal)
+            : this._newExtremes(bars, closes, mode, lookback || 252, min_days_since);
+        const matches = events.filter(match => inRange.has(dayKey(match.date)));
+
+        const last = closes.length - 1;
+        const peak = lookback ? Math.max(...closes.slice(-lookback)) : Math.max(...closes);
+        const window = mode === 'all_time_high' || (mode === 'drawdown' && !lookback) ? 'all-time' : `${lookback || 252}-session`;
+        const criteria = {
+            high: `new ${window} closing highs`,
+            low: `new ${window} closing lows`,
+            all_time_high: 'new all-time closing highs',
+            drawdown: `${drawdown_pct}%+ below the ${window} peak${signal === 'first_touch' ? ' (first touch per peak)' : ''}`
+        }[mode] + (min_days_since > 0 && mode !== 'drawdown' ? `, ${min_days_since}+ sessions after the previous one` : '');
+
         return {
-            matches: allConditionsMet ? [{ date: new Date(), signal: 'Macro conditions met' }] : [],
+            matches,
             summary: {
-                conditions_met: `${conditionsMet}/${totalConditions}`,
-                signal: allConditionsMet ? '✅ All macro conditions met' : '❌ Macro conditions not met',
-                conditions,
-                current_macro: currentMacro
+                total_matches: matches.length,
+                current_drawdown: last >= 0 ? Math.round(((closes[last] / peak) - 1) * 10000) / 100 : null,
+                history: fullHistory ? 'full history' : 'analysis range only',
+                criteria
             }
         };
     }
+
+    // Full daily history for the ticker; falls back to the analysis bars when it cannot be loaded
+    async _loadHistory(data, ticker, priceBasis) {
+        if (ticker) {
+            try {
+                const series = await MarketDataService.getSeries(ticker, 'max', { priceBasis });
+                const lastKey = new Date(data[data.length - 1].date).getTime();
+                if (series.bars.length > 0 && new Date(series.bars[series.bars.length - 1].date).getTime() >= lastKey) {
+                    return { bars: series.bars, fullHistory: true };
+                }
+            } catch (error) {
+                console.warn(`Full history unavailable for ${ticker}: ${error.message}`);
+            }
+        }
+        return { bars: data, fullHistory: false };
+    }
+
+    _newExtremes(bars, closes, mode, lookback, minDaysSince) {
+        const low = mode === 'low';
+        const prior = mode === 'all_time_high'
+            ? null
+            : (low ? Indicators.rollingLow(closes, lookback) : Indicators.rollingHigh(closes, lookback));
+        const matches = [];
+        let runningHigh = closes[0];
+        // Nothing before the first bar is known, so it stands in for the previous extreme
+        let previous = 0;
+
+        for (let i = 1; i < closes.length; i++) {
+            let reference;
+            if (mode === 'all_time_high') {
+                reference = runningHigh;
+                runningHigh = Math.max(runningHigh, closes[i]);
+            } else {
+                // prior[i - 1] covers the `lookback` sessions before this one
+                if (i < lookback) continue;
+                reference = prior[i - 1];
+            }
+
+            const isNew = low ? closes[i] < reference : closes[i] > reference;
+            if (!isNew) continue;
+
+            const daysSince = i - previous;
+            previous = i;
+            // Warm-up highs still reset the clock for min_days_since, but are not signals
+            if (mode === 'all_time_high' && i < lookback) continue;
+            if (daysSince < minDaysSince) continue;
+
+            matches.push({
+                date: bars[i].date,
+                price: closes[i],
+                new_extreme: mode,
+                previous_extreme: Math.round(reference * 100) / 100,
+                days_since_previous: daysSince
+            });
+        }
+        return matches;
+    }
+
+    _drawdowns(bars, closes, lookback, drawdownPct, signal) {
+        const peaks = lookback ? Indicators.rollingHigh(closes, lookback) : null;
+        const matches = [];
+        let runningPeak = -Infinity;
+        let peakIndex = 0;
+        let touched = false;
+
+        for (let i = 0; i < closes.length; i++) {
+            if (closes[i] >= runningPeak) {
+                runningPeak = closes[i];
+                peakIndex = i;
+            }
+            const peak = lookback ? peaks[i] : runningPeak;
+            if (peak === null) continue;
+            if (closes[i] >= peak) {
+                // A new peak starts a new episode for first-touch signals
+                touched = false;
+                continue;
+            }
+
+            const drawdown = ((closes[i] / peak) - 1) * 100;
+            if (drawdown > -drawdownPct) continue;
+            if (signal === 'first_touch' && touched) continue;
+            touched = true;
+
+            const from = lookback ? closes.lastIndexOf(peak, i) : peakIndex;
+            matches.push({
+                date: bars[i].date,
+                price: closes[i],
+                drawdown: Math.round(drawdown * 100) / 100,
+                peak: Math.round(peak * 100) / 100,
+                peak_date: bars[from].date,
+                days_from_peak: i - from
+            });
+        }
+        return matches;
+    }
 }
 
 // ========================================
@@ -522,74 +1299,252 @@ class MacroEngine extends BaseEventEngine {
 
 class EventEngineCoordinator {
     constructor() {
-        this.engines = new Map([
-            ['PERCENT_MOVE', new PercentMoveEngine()],
-            ['REVERSAL', new ReversalEngine()],
-            ['SECTOR_SPREAD', new SectorSpreadEngine()],
-            ['MOMENTUM_BULLISH', new MomentumEngine()],
-            ['MOMENTUM_BEARISH', new MomentumEngine()],
-            ['VOLATILITY_EVENT', new VolatilityEngine()],
-            ['MACRO_EVENT', new MacroEngine()],
-            ['TOY_BAROMETER', new TOYBarometerEngine()]  // Your seasonal analysis
-        ]);
+        this.engines = new Map(); // id -> engine instance, created from EngineRegistry
+        EngineRegistry.ids().forEach(id => this.getEngine(id));
     }
 
-    async runEventAnalysis(eventType, ticker, parameters) {
-        const engine = this.engines.get(eventType);
+    // Engines registered after construction (custom strategies) are created on first use
+    getEngine(eventType) {
+        const definition = EngineRegistry.get(eventType);
+        if (!definition) {
+            this.engines.delete(eventType);
+            return null;
+        }
+        if (!this.engines.has(eventType)) {
+            this.engines.set(eventType, definition.create(this));
+        }
+        return this.engines.get(eventType);
+    }
+
+    // range: { start_date, end_date } or a period such as '10y' / 'max' (defaults to 5y)
+    // priceBasis: 'raw' | 'split_adjusted' | 'total_return' (defaults to split_adjusted)
+    // series: preloaded { bars, quality } for the ticker (universe scans); fetched when omitted
+    async runEventAnalysis(eventType, ticker, parameters, { range, priceBasis, series: preloaded } = {}) {
+        const engine = this.getEngine(eventType);
         
         if (!engine) {
             throw new Error(`Unknown event type: ${eventType}`);
         }
+        const definition = EngineRegistry.get(eventType);
         
         console.log(`🔍 Running ${eventType} analysis for ${ticker}`);
         
-        // Special handling for TOY Barometer (doesn't need market data the same way)
-        if (eventType === 'TOY_BAROMETER') {
-            const result = await engine.analyze({ ticker, ...parameters });
+        // Engines that load their own data (TOY Barometer) get the ticker instead of bars
+        if (definition.ownData) {
+            const result = await engine.analyze({ ticker, ...parameters }, { range, priceBasis });
             if (!result.success) {
                 throw new Error(result.error);
             }
             return result.data;
         }
         
-        // Get market data (except for macro events)
-        let data = null;
-        if (eventType !== 'MACRO_EVENT') {
-            data = await MarketDataService.getHistoricalData(ticker);
-            if (!data || data.length === 0) {
-                throw new Error(`No market data available for ${ticker}`);
-            }
+        // Get market data (macro events use the ticker's sessions as their date grid)
+        const interval = this.getDataInterval(eventType, parameters);
+        const series = preloaded || await MarketDataService.getSeries(ticker, range, { priceBasis, interval });
+        const data = series.bars;
+        if (!data || data.length === 0) {
+            throw new Error(`No market data available for ${ticker}`);
         }
+        const analysisPeriod = MarketDataService.describeDataRange(data);
+        const dataQuality = { [ticker]: series.quality };
         
-        // Add momentum type parameter for momentum engines
-        if (eventType === 'MOMENTUM_BULLISH') {
-            parameters.momentum_type = 'bullish';
-        } else if (eventType === 'MOMENTUM_BEARISH') {
-            parameters.momentum_type = 'bearish';
-        }
+        // Parameters fixed by the definition, e.g. momentum_type for the two momentum engines
+        Object.assign(parameters, definition.fixedParameters);
         
         // Run the analysis
-        const result = await engine.analyze(data, parameters);
+        const result = await engine.analyze(data, parameters, { ticker, range, priceBasis });
         
         if (!result.success) {
             throw new Error(result.error);
         }
         
-        return result.data;
+        return {
+            ...result.data,
+            analysis_period: analysisPeriod,
+            interval,
+            data_quality: { ...dataQuality, ...(result.data.data_quality || {}) }
+        };
+    }
+
+    // Runs one event type/parameter set across a ticker list and ranks the tickers by what the
+    // pattern did next. Each ticker is fetched once from the analysis start to today (forward
+    // windows run past the analysis end) and trimmed to the analysis range for the engine.
+    // rankBy: 'avg_return' (default) | 'win_rate' | 'return_vol' | 'matches', on `timeframe`
+    // filterMatches: optional (matches, interval) => matches hook, e.g. contextual filters
+    // triggeredOnly: keep only tickers whose latest bar matched
+    async runUniverseScan(eventType, tickers, parameters = {}, {
+        range,
+        priceBasis,
+        periods,
+        rankBy = 'avg_return',
+        timeframe,
+        triggeredOnly = false,
+        filterMatches = null,
+        concurrency
+    } = {}) {
+        if (!this.getEngine(eventType)) {
+            throw new Error(`Unknown event type: ${eventType}`);
+        }
+        if (!SCAN_RANKINGS.includes(rankBy)) {
+            throw new Error(`Invalid rank_by "${rankBy}" - use one of: ${SCAN_RANKINGS.join(', ')}`);
+        }
+
+        const interval = this.getDataInterval(eventType, parameters);
+        const forwardPeriods = periods || ExtendedForwardReturnsCalculator.getDefaultPeriods(interval);
+        const rankTimeframe = timeframe || (forwardPeriods['1W'] ? '1W' : Object.keys(forwardPeriods)[0]);
+        if (!forwardPeriods[rankTimeframe]) {
+            throw new Error(`Unknown timeframe "${rankTimeframe}" - use one of: ${Object.keys(forwardPeriods).join(', ')}`);
+        }
+
+        const { start, end } = MarketDataService.resolveDateRange(range || MarketDataService.getDefaultPeriod(interval));
+        console.log(`🔭 Scanning ${tickers.length} tickers for ${eventType}`);
+
+        const { series, errors } = await MarketDataService.getBatchHistoricalData(
+            tickers,
+            { start_date: start },
+            { priceBasis, interval, concurrency }
+        );
+
+        const rows = [];
+        const failed = Object.entries(errors).map(([ticker, error]) => ({ ticker, error }));
+        const dataQuality = {};
+
+        for (const ticker of tickers) {
+            if (!series[ticker]) continue;
+
+            const { bars, quality } = series[ticker];
+            const analysisBars = bars.filter(bar => new Date(bar.date) <= end);
+            dataQuality[ticker] = quality;
+
+            try {
+                if (analysisBars.length === 0) {
+                    throw new Error(`No market data available for ${ticker} in the analysis range`);
+                }
+
+                const analysis = await this.runEventAnalysis(eventType, ticker, { ...parameters }, {
+                    range,
+                    priceBasis,
+                    series: { bars: analysisBars, quality }
+                });
+
+                let matches = analysis.matches || [];
+                if (filterMatches && matches.length > 0) {
+                    matches = filterMatches(matches, interval);
+                }
+
+                const forward = ExtendedForwardReturnsCalculator.calculate(bars, matches, forwardPeriods, {
+                    analysisPeriod: analysis.analysis_period,
+                    priceBasis,
+                    interval
+                });
+
+                rows.push(this.buildScanRow(ticker, matches, forward, analysisBars, rankTimeframe, interval, quality));
+            } catch (error) {
+                failed.push({ ticker, error: error.message });
+            }
+        }
+
+        const ranked = this.rankScanRows(rows, rankBy);
+        const triggered = ranked.filter(row => row.triggered).map(row => row.ticker);
+
+        return {
+            event_type: eventType,
+            interval,
+            rank_by: rankBy,
+            timeframe: rankTimeframe,
+            timeframes: Object.keys(forwardPeriods),
+            analysis_period: {
+                start: TradingCalendar.toDateKey(start),
+                end: TradingCalendar.toDateKey(end)
+            },
+            universe_size: tickers.length,
+            scanned: rows.length,
+            triggered,
+            rows: triggeredOnly ? ranked.filter(row => row.triggered) : ranked,
+            failed,
+            data_quality: dataQuality
+        };
+    }
+
+    // One ranked-table row: match counts, whether the latest bar matched, and forward stats per timeframe
+    buildScanRow(ticker, matches, forward, analysisBars, timeframe, interval, quality) {
+        const keyOf = date => interval === '1d'
+            ? TradingCalendar.toDateKey(date)
+            : new Date(date).toISOString();
+        const round = value => (typeof value === 'number' && isFinite(value)) ? Math.round(value * 100) / 100 : null;
+
+        const stats = {};
+        for (const row of forward.performanceTable.rows) {
+            stats[row.timeframe] = {
+                avgReturn: round(row.avgReturnRaw),
+                winRate: round(row.winRateRaw),
+                returnVol: round(row.returnVolRatio),
+                samples: row.samples
+            };
+        }
+
+        const lastBar = analysisBars[analysisBars.length - 1];
+        const lastMatch = matches.length > 0
+            ? matches.reduce((latest, match) => new Date(match.date) > new Date(latest.date) ? match : latest)
+            : null;
+        const ranked = stats[timeframe] || { avgReturn: null, winRate: null, returnVol: null, samples: 0 };
+
+        return {
+            ticker,
+            matches: matches.length,
+            triggered: Boolean(lastMatch) && keyOf(lastMatch.date) === keyOf(lastBar.date),
+            lastMatch: lastMatch ? keyOf(lastMatch.date) : null,
+            lastClose: round(lastBar.close),
+            avgReturn: ranked.avgReturn,
+            winRate: ranked.winRate,
+            returnVol: ranked.returnVol,
+            samples: ranked.samples,
+            stats,
+            dataQuality: quality ? quality.status : null
+        };
+    }
+
+    // Best first; tickers without forward samples sink to the bottom, ties go to more matches
+    rankScanRows(rows, rankBy) {
+        const metric = {
+            avg_return: row => row.avgReturn,
+            win_rate: row => row.winRate,
+            return_vol: row => row.returnVol,
+            matches: row => row.matches
+        }[rankBy];
+        const score = row => (rankBy === 'matches' || row.samples > 0) && metric(row) !== null ? metric(row) : -Infinity;
+
+        return [...rows]
+            .sort((a, b) => (score(b) - score(a)) || (b.matches - a.matches) || a.ticker.localeCompare(b.ticker))
+            .map((row, i) => ({ rank: i + 1, ...row }));
+    }
+
+    // Bar interval an event type runs on: '1d', or the requested intraday interval for intraday engines
+    getDataInterval(eventType, parameters = {}) {
+        const engine = this.getEngine(eventType);
+        if (!engine || !engine.intraday) {
+            return '1d';
+        }
+
+        const interval = MarketDataService.normalizeInterval(parameters.interval || MarketDataService.DEFAULT_INTRADAY_INTERVAL);
+        if (interval === '1d') {
+            throw new Error(`${eventType} needs an intraday interval (${MarketDataService.INTRADAY_INTERVALS.join(', ')})`);
+        }
+        return interval;
     }
 
     getEngineHealthStatus() {
         const status = {};
-        for (const [type, engine] of this.engines) {
-            status[type] = engine.getHealthStatus();
+        for (const type of EngineRegistry.ids()) {
+            status[type] = this.getEngine(type).getHealthStatus();
         }
         return status;
     }
 
     getAvailableEngines() {
         const available = [];
-        for (const [type, engine] of this.engines) {
-            if (engine.isHealthy) {
+        for (const type of EngineRegistry.ids()) {
+            if (this.getEngine(type).isHealthy) {
                 available.push(type);
             }
         }
@@ -604,5 +1559,11 @@ module.exports = {
     SectorSpreadEngine,
     MomentumEngine,
     VolatilityEngine,
-    MacroEngine
+    MacroEngine,
+    IntradayPatternEngine,
+    CompositeEventEngine,
+    IndicatorThresholdEngine,
+    MovingAverageCrossoverEngine,
+    StreakEngine,
+    NewHighLowEngine
 };
\ No newline at end of file
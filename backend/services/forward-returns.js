@@ -3,8 +3,41 @@
 // File: backend/services/forward-returns.js
 // ========================================
 
+const PriceAdjustment = require('./price-adjustment');
+const TradingCalendar = require('./trading-calendar');
+const DataQuality = require('./data-quality');
+const { MacroDataService } = require('./macro-data');
+
+const DAILY_PERIODS = {
+    '1D': 1,
+    '2D': 2, 
+    '3D': 3,
+    '4D': 4,
+    '1W': 5,    // 5 trading days
+    '2W': 10,   // 10 trading days
+    '1M': 21,   // ~21 trading days
+    '2M': 42,   // ~42 trading days  
+    '3M': 63,   // ~63 trading days
+    '6M': 126,  // ~126 trading days
+    '12M': 252  // ~252 trading days
+};
+
+// Intraday horizons are counted in regular-session bars and run across the overnight gap
+const INTRADAY_PERIODS = {
+    '1B': 1,
+    '3B': 3,
+    '6B': 6,
+    '12B': 12,
+    '24B': 24,
+    '48B': 48
+};
+
 class ExtendedForwardReturnsCalculator {
-    static calculate(data, matches, customPeriods = null) {
+    // options.analysisPeriod: { start, end } of the window the engine scanned
+    // options.priceBasis: basis the data was prepared with - must match the engine's data
+    // options.interval: bar interval of data; intraday matches are keyed by timestamp, not day
+    // options.dataQuality: { [ticker]: report } from DataQuality, summarized in 'Data Quality'
+    static calculate(data, matches, customPeriods = null, options = {}) {
         if (!matches || matches.length === 0) {
             return { 
                 results: [], 
@@ -12,24 +45,16 @@ class ExtendedForwardReturnsCalculator {
                     'Total Matches': 0,
                     'Message': 'No historical instances found for this event pattern'
                 },
-                performanceTable: this.getEmptyPerformanceTable()
+                performanceTable: this.getEmptyPerformanceTable(),
+                returnsByPeriod: {},
+                baselineReturnsByPeriod: {}
             };
         }
 
-        // Define all timeframes with trading days
-        const periods = customPeriods || {
-            '1D': 1,
-            '2D': 2, 
-            '3D': 3,
-            '4D': 4,
-            '1W': 5,    // 5 trading days
-            '2W': 10,   // 10 trading days
-            '1M': 21,   // ~21 trading days
-            '2M': 42,   // ~42 trading days  
-            '3M': 63,   // ~63 trading days
-            '6M': 126,  // ~126 trading days
-            '12M': 252  // ~252 trading days
-        };
+        // Define all timeframes in bars (trading days for daily data)
+        const interval = options.interval || '1d';
+        const intraday = interval !== '1d';
+        const periods = customPeriods || this.getDefaultPeriods(interval);
 
         console.log(`📊 Calculating forward returns for ${matches.length} matches across ${Object.keys(periods).length} timeframes`);
 
@@ -46,16 +71,17 @@ class ExtendedForwardReturnsCalculator {
         });
 
         // Create date index for faster lookup
+        const barKey = date => intraday
+            ? new Date(date).toISOString()
+            : new Date(date).toISOString().split('T')[0];
         const dataByDate = new Map();
         data.forEach((item, index) => {
-            const dateStr = new Date(item.date).toISOString().split('T')[0];
-            dataByDate.set(dateStr, { ...item, index });
+            dataByDate.set(barKey(item.date), { ...item, index });
         });
 
         // Process each match
         for (const match of matches) {
-            const matchDate = new Date(match.date);
-            const matchDateStr = matchDate.toISOString().split('T')[0];
+            const matchDateStr = barKey(match.date);
             const currentData = dataByDate.get(matchDateStr);
 
             if (!currentData) {
@@ -64,7 +90,7 @@ class ExtendedForwardReturnsCalculator {
             }
 
             const row = {
-                'Match Date': matchDateStr,
+                'Match Date': intraday ? this.formatExchangeTime(match.date) : matchDateStr,
                 'Price': `$${currentData.close.toFixed(2)}`,
                 'Event Details': this.formatEventDetails(match)
             };
@@ -97,29 +123,80 @@ class ExtendedForwardReturnsCalculator {
         }
 
         // Calculate summary statistics
-        const summary = this.calculateSummaryStats(performanceData, matches.length);
+        const analysisPeriod = options.analysisPeriod || {
+            start: new Date(data[0].date).toISOString().split('T')[0],
+            end: new Date(data[data.length - 1].date).toISOString().split('T')[0]
+        };
+        const priceBasis = PriceAdjustment.normalizeBasis(options.priceBasis);
+        const summary = this.calculateSummaryStats(performanceData, matches.length, analysisPeriod, priceBasis, options.dataQuality);
+        if (intraday) {
+            summary['Bar Interval'] = `${interval} (regular session, horizons in bars)`;
+        }
         
         // Generate performance table
         const performanceTable = this.generatePerformanceTable(performanceData);
 
         console.log(`✅ Forward returns calculated: ${results.length} matches processed`);
 
+        // Raw per-period returns, for comparisons and significance tests
+        const returnsByPeriod = Object.fromEntries(
+            Object.entries(performanceData).map(([period, data]) => [period, data.returns])
+        );
+
         return { 
             results, 
             summary, 
             performanceTable,
+            returnsByPeriod,
+            baselineReturnsByPeriod: this.calculateBaseline(data, periods, analysisPeriod),
             metadata: {
                 totalMatches: matches.length,
                 dataPointsAnalyzed: results.length,
                 timeframes: Object.keys(periods),
+                interval,
+                priceBasis,
                 calculatedAt: new Date().toISOString()
             }
         };
     }
 
+    // Unconditional forward returns from every bar inside the analysis period - what the
+    // same horizons returned without the event, for comparison with the matches
+    static calculateBaseline(data, periods, analysisPeriod) {
+        const dayOf = date => new Date(date).toISOString().split('T')[0];
+        const inPeriod = date => !analysisPeriod
+            || (dayOf(date) >= analysisPeriod.start && dayOf(date) <= analysisPeriod.end);
+
+        const baseline = Object.fromEntries(Object.keys(periods).map(period => [period, []]));
+        data.forEach((bar, index) => {
+            if (!inPeriod(bar.date)) return;
+            for (const [label, bars] of Object.entries(periods)) {
+                if (index + bars < data.length) {
+                    baseline[label].push(((data[index + bars].close - bar.close) / bar.close) * 100);
+                }
+            }
+        });
+        return baseline;
+    }
+
+    static getDefaultPeriods(interval = '1d') {
+        return { ...(interval === '1d' ? DAILY_PERIODS : INTRADAY_PERIODS) };
+    }
+
+    static formatExchangeTime(date) {
+        const { date: day, time } = TradingCalendar.toExchangeTime(date);
+        return `${day} ${time} ET`;
+    }
+
     static formatEventDetails(match) {
         // Format event details based on match type
-        if (match.return !== undefined) {
+        if (match.events !== undefined) {
+            return match.events.length > 0 ? match.events.join(' + ') : 'Composite condition met';
+        } else if (match.windowMove !== undefined) {
+            const follow = match.followMove === null ? '' :
+                `, ${match.followLeg === 'prior_session' ? 'Prior' : 'Rest of day'}: ${match.followMove > 0 ? '+' : ''}${match.followMove.toFixed(2)}%`;
+            return `${match.window} ET: ${match.windowMove > 0 ? '+' : ''}${match.windowMove.toFixed(2)}%${follow}`;
+        } else if (match.return !== undefined) {
             return `${match.return > 0 ? '+' : ''}${match.return.toFixed(2)}% move`;
         } else if (match.openMove !== undefined && match.closeMove !== undefined) {
             return `Open: ${match.openMove > 0 ? '+' : ''}${match.openMove.toFixed(1)}%, Close: ${match.closeMove > 0 ? '+' : ''}${match.closeMove.toFixed(1)}%`;
@@ -127,6 +204,24 @@ class ExtendedForwardReturnsCalculator {
             return `Spread: ${match.spread > 0 ? '+' : ''}${match.spread.toFixed(2)}%`;
         } else if (match.vix_level !== undefined) {
             return `VIX: ${match.vix_level.toFixed(1)}, Price: ${match.price_change > 0 ? '+' : ''}${match.price_change.toFixed(2)}%`;
+        } else if (match.macro !== undefined) {
+            return Object.entries(match.macro)
+                .filter(([, value]) => value !== null)
+                .map(([metric, value]) => `${MacroDataService.getMetricInfo(metric)?.label || metric}: ${value.toFixed(2)}`)
+                .join(', ') || match.signal;
+        } else if (match.indicator !== undefined) {
+            return `${match.signal}: ${match.indicator.toFixed(2)} vs ${match.threshold.toFixed(2)}`;
+        } else if (match.streak_length !== undefined) {
+            const kind = { close: 'closes', gap: 'gaps', high_low: match.direction === 'up' ? 'higher highs' : 'lower lows' }[match.streak_type];
+            return `${match.streak_length}${match.window ? ` of ${match.window}` : ''} ${match.streak_type === 'high_low' ? '' : `${match.direction} `}${kind}, `
+                + `${match.cumulative_return > 0 ? '+' : ''}${match.cumulative_return.toFixed(2)}% cumulative`;
+        } else if (match.new_extreme !== undefined) {
+            const label = { high: 'New high', low: 'New low', all_time_high: 'New all-time high' }[match.new_extreme];
+            return `${label} (prior ${match.previous_extreme.toFixed(2)})${match.days_since_previous !== null ? `, ${match.days_since_previous} sessions since the last` : ''}`;
+        } else if (match.drawdown !== undefined) {
+            return `${match.drawdown.toFixed(2)}% from peak ${match.peak.toFixed(2)} (${match.days_from_peak} sessions)`;
+        } else if (match.cross !== undefined) {
+            return `${match.cross === 'golden' ? 'Golden' : 'Death'} cross: fast ${match.fast_ma.toFixed(2)}, slow ${match.slow_ma.toFixed(2)}`;
         } else if (match.toy_return !== undefined) {
             return `TOY: ${match.toy_return > 0 ? '+' : ''}${match.toy_return.toFixed(2)}% (${match.signal})`;
         } else {
@@ -151,11 +246,12 @@ class ExtendedForwardReturnsCalculator {
         }
     }
 
-    static calculateSummaryStats(performanceData, totalMatches) {
+    static calculateSummaryStats(performanceData, totalMatches, analysisPeriod = null, priceBasis = PriceAdjustment.DEFAULT_PRICE_BASIS, dataQuality = null) {
         const summary = {
             'Total Matches': totalMatches,
-            'Analysis Period': '2020-2024',
-            'Data Quality': 'Historical market data'
+            'Analysis Period': analysisPeriod ? `${analysisPeriod.start} to ${analysisPeriod.end}` : 'N/A',
+            'Price Basis': PriceAdjustment.describeBasis(priceBasis),
+            'Data Quality': DataQuality.describeAll(dataQuality || {})
         };
 
         for (const [period, data] of Object.entries(performanceData)) {
@@ -337,21 +433,9 @@ class ExtendedForwardReturnsCalculator {
         return periodsConfig;
     }
 
-    // Method to get trading days between dates (accounts for weekends/holidays)
+    // Method to get trading days between dates (NYSE sessions, both ends inclusive)
     static getTradingDaysBetween(startDate, endDate) {
-        let tradingDays = 0;
-        const currentDate = new Date(startDate);
-        
-        while (currentDate <= endDate) {
-            const dayOfWeek = currentDate.getDay();
-            // Skip weekends (0 = Sunday, 6 = Saturday)
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                tradingDays++;
-            }
-            currentDate.setDate(currentDate.getDate() + 1);
-        }
-        
-        return tradingDays;
+        return TradingCalendar.getTradingDaysBetween(startDate, endDate);
     }
 
     // Method for volatility-adjusted returns
@@ -0,0 +1,231 @@
+// ========================================
+// TECHNICAL INDICATORS
+// File: backend/services/indicators.js
+// Whole-series indicators. Each takes an array of numbers (or bars for ATR) and returns an
+// array of the same length, with null until the lookback is filled. Inputs are never mutated.
+// ========================================
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Default lookback per indicator, used when a caller gives no period
+const DEFAULT_PERIODS = {
+    sma: 20,
+    ema: 20,
+    rsi: 14,
+    atr: 14,
+    bollinger: 20,
+    zscore: 20,
+    rolling: 20,
+    realized_vol: 20
+};
+
+class Indicators {
+    static closes(bars) {
+        return bars.map(bar => bar.close);
+    }
+
+    // Running sum: O(n) regardless of period
+    static sma(values, period = DEFAULT_PERIODS.sma) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) result[i] = sum / period;
+        }
+        return result;
+    }
+
+    // Seeded with the SMA of the first `period` values. Leading nulls in the input (another
+    // indicator's warm-up) are skipped.
+    static ema(values, period = DEFAULT_PERIODS.ema) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null && value !== undefined);
+        if (start === -1 || values.length - start < period) return result;
+
+        const k = 2 / (period + 1);
+        let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+        result[start + period - 1] = previous;
+        for (let i = start + period; i < values.length; i++) {
+            previous = values[i] * k + previous * (1 - k);
+            result[i] = previous;
+        }
+        return result;
+    }
+
+    // Wilder's RSI (0-100)
+    static rsi(values, period = DEFAULT_PERIODS.rsi) {
+        const result = new Array(values.length).fill(null);
+        if (values.length <= period) return result;
+
+        let gain = 0;
+        let loss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            if (change > 0) gain += change; else loss -= change;
+        }
+        gain /= period;
+        loss /= period;
+
+        const value = () => loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+        result[period] = value();
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+            loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = value();
+        }
+        return result;
+    }
+
+    // Returns { macd, signal, histogram }
+    static macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+        const fastEma = this.ema(values, fast);
+        const slowEma = this.ema(values, slow);
+        const macd = values.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+        const signal = this.ema(macd, signalPeriod);
+        const histogram = macd.map((value, i) => value !== null && signal[i] !== null ? value - signal[i] : null);
+        return { macd, signal, histogram };
+    }
+
+    static trueRange(bars) {
+        return bars.map((bar, i) => {
+            const high = bar.high ?? bar.close;
+            const low = bar.low ?? bar.close;
+            if (i === 0) return high - low;
+            const previousClose = bars[i - 1].close;
+            return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+        });
+    }
+
+    // Wilder-smoothed average true range, in price units
+    static atr(bars, period = DEFAULT_PERIODS.atr) {
+        const ranges = this.trueRange(bars);
+        const result = new Array(bars.length).fill(null);
+        if (bars.length < period) return result;
+
+        let previous = ranges.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+        result[period - 1] = previous;
+        for (let i = period; i < bars.length; i++) {
+            previous = (previous * (period - 1) + ranges[i]) / period;
+            result[i] = previous;
+        }
+        return result;
+    }
+
+    // ATR as a percentage of the close, comparable across price levels
+    static atrPercent(bars, period = DEFAULT_PERIODS.atr) {
+        return this.atr(bars, period).map((value, i) => value !== null ? (value / bars[i].close) * 100 : null);
+    }
+
+    // Population standard deviation over a rolling window, from running sums
+    static rollingStd(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            sumSquares += values[i] * values[i];
+            if (i >= period) {
+                sum -= values[i - period];
+                sumSquares -= values[i - period] * values[i - period];
+            }
+            if (i >= period - 1) {
+                const mean = sum / period;
+                result[i] = Math.sqrt(Math.max(sumSquares / period - mean * mean, 0));
+            }
+        }
+        return result;
+    }
+
+    // Returns { middle, upper, lower, percentB, width } - percentB is 0 at the lower band and
+    // 1 at the upper; width is the band spread as a % of the middle
+    static bollinger(values, period = DEFAULT_PERIODS.bollinger, stdDev = 2) {
+        const middle = this.sma(values, period);
+        const std = this.rollingStd(values, period);
+        const upper = middle.map((value, i) => value !== null ? value + stdDev * std[i] : null);
+        const lower = middle.map((value, i) => value !== null ? value - stdDev * std[i] : null);
+        const percentB = values.map((value, i) => upper[i] === null ? null
+            : upper[i] === lower[i] ? 0.5 : (value - lower[i]) / (upper[i] - lower[i]));
+        const width = middle.map((value, i) => value ? ((upper[i] - lower[i]) / value) * 100 : null);
+        return { middle, upper, lower, percentB, width };
+    }
+
+    // Standard deviations from the rolling mean
+    static zScore(values, period = DEFAULT_PERIODS.zscore) {
+        const mean = this.sma(values, period);
+        const std = this.rollingStd(values, period);
+        return values.map((value, i) => mean[i] === null ? null : std[i] === 0 ? 0 : (value - mean[i]) / std[i]);
+    }
+
+    // Highest / lowest value over the trailing window, including the current one (monotonic deque)
+    static rollingHigh(values, period = DEFAULT_PERIODS.rolling) {
+        return this.rollingExtreme(values, period, (a, b) => a >= b);
+    }
+
+    static rollingLow(values, period = DEFAULT_PERIODS.rolling) {
+        return this.rollingExtreme(values, period, (a, b) => a <= b);
+    }
+
+    static rollingExtreme(values, period, keeps) {
+        const result = new Array(values.length).fill(null);
+        const window = [];
+        let head = 0;
+        for (let i = 0; i < values.length; i++) {
+            while (window.length > head && keeps(values[i], values[window[window.length - 1]])) window.pop();
+            window.push(i);
+            if (window[head] <= i - period) head++;
+            if (i >= period - 1) result[i] = values[window[head]];
+        }
+        return result;
+    }
+
+    // Annualized standard deviation of daily log returns, in %
+    static realizedVolatility(values, period = DEFAULT_PERIODS.realized_vol, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        const logReturns = values.map((value, i) => i === 0 ? 0 : Math.log(value / values[i - 1]));
+        const std = this.rollingStd(logReturns.slice(1), period);
+        return [null, ...std.map(value => value !== null ? value * Math.sqrt(periodsPerYear) * 100 : null)];
+    }
+
+    // The `percentile`-th percentile (0-100) of each trailing window of `lookback` values,
+    // including the current one; windows with warm-up nulls are skipped. The window is kept
+    // sorted with binary-search insert/remove instead of re-sorting it on every session.
+    static rollingPercentile(values, lookback, percentile) {
+        const result = new Array(values.length).fill(null);
+        const window = [];
+        let nulls = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) nulls++;
+            else window.splice(this.sortedIndex(window, values[i]), 0, values[i]);
+
+            if (i >= lookback) {
+                const leaving = values[i - lookback];
+                if (leaving === null) nulls--;
+                else window.splice(this.sortedIndex(window, leaving), 1);
+            }
+
+            if (i < lookback - 1 || nulls > 0) continue;
+            const position = (percentile / 100) * (window.length - 1);
+            const below = Math.floor(position);
+            const above = Math.ceil(position);
+            result[i] = window[below] + (window[above] - window[below]) * (position - below);
+        }
+        return result;
+    }
+
+    // First index in the ascending array whose value is >= value
+    static sortedIndex(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (sorted[middle] < value) low = middle + 1; else high = middle;
+        }
+        return low;
+    }
+}
+
+Indicators.DEFAULT_PERIODS = DEFAULT_PERIODS;
+Indicators.TRADING_DAYS_PER_YEAR = TRADING_DAYS_PER_YEAR;
+
+module.exports = Indicators;
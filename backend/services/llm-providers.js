@@ -0,0 +1,240 @@
+// ========================================
+// LLM PROVIDERS
+// File: backend/services/llm-providers.js
+// Chat-completion backends for the query parser: OpenAI-compatible endpoints and recorded replays
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4';
+
+// Statuses worth retrying: rate limits and transient server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+// Errors carry the HTTP status (if any) so callers can tell auth failures from throttling
+class LLMProviderError extends Error {
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Base Provider Class
+class BaseLLMProvider {
+    constructor(name, { model = DEFAULT_MODEL, temperature = 0.1, maxTokens = 800, timeout = 30000 } = {}) {
+        this.name = name;
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.timeout = timeout;
+    }
+
+    // messages: [{ role: 'system' | 'user' | 'assistant', content }]. Returns the reply text.
+    async complete(messages, options = {}) {
+        throw new Error(`${this.name} provider does not implement complete`);
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model };
+    }
+}
+
+// ========================================
+// OPENAI-COMPATIBLE PROVIDER
+// ========================================
+
+// OpenAI itself, or any server exposing /chat/completions (llama.cpp, Ollama, vLLM, LM Studio)
+class OpenAICompatibleProvider extends BaseLLMProvider {
+    constructor({ baseUrl = DEFAULT_BASE_URL, apiKey = null, maxRetries = 3, retryBaseMs = 500, ...options } = {}) {
+        super(baseUrl === DEFAULT_BASE_URL ? 'openai' : 'openai_compatible', options);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.maxRetries = maxRetries;
+        this.retryBaseMs = retryBaseMs;
+    }
+
+    async complete(messages, { temperature = this.temperature, maxTokens = this.maxTokens } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+                    model: this.model,
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens
+                }, { headers, timeout: this.timeout });
+
+                const content = response.data?.choices?.[0]?.message?.content;
+                if (typeof content !== 'string') {
+                    throw new LLMProviderError(`${this.name} returned no completion`);
+                }
+                return content;
+            } catch (error) {
+                const failure = this.toProviderError(error);
+                if (!failure.retryable || attempt >= this.maxRetries) {
+                    throw failure;
+                }
+
+                const delay = this.getRetryDelay(attempt, error.response?.headers?.['retry-after']);
+                console.warn(`⚠️ ${this.name} request failed (${failure.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Exponential backoff with jitter; a Retry-After header (seconds) wins when present
+    getRetryDelay(attempt, retryAfter) {
+        const seconds = parseFloat(retryAfter);
+        if (isFinite(seconds) && seconds >= 0) {
+            return Math.min(seconds * 1000, 60000);
+        }
+        const base = this.retryBaseMs * Math.pow(2, attempt);
+        return Math.round(base + Math.random() * base * 0.25);
+    }
+
+    toProviderError(error) {
+        if (error instanceof LLMProviderError) return error;
+
+        const status = error.response?.status || null;
+        if (status) {
+            const detail = error.response.data?.error?.message || error.message;
+            return new LLMProviderError(`${this.name} HTTP ${status}: ${detail}`, {
+                status,
+                retryable: RETRYABLE_STATUSES.includes(status)
+            });
+        }
+        return new LLMProviderError(`${this.name} request failed: ${error.message}`, {
+            retryable: NETWORK_ERROR_CODES.includes(error.code)
+        });
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model, baseUrl: this.baseUrl };
+    }
+}
+
+// ========================================
+// REPLAY / RECORD PROVIDER
+// ========================================
+
+// Serves recorded completions keyed by the user message, so parser behaviour can be exercised
+// offline and deterministically. With `upstream` set, misses are forwarded and recorded.
+class ReplayProvider extends BaseLLMProvider {
+    constructor({ file = null, recordings = {}, upstream = null, ...options } = {}) {
+        super(upstream ? 'record' : 'replay', options);
+        this.file = file;
+        this.upstream = upstream;
+        this.recordings = new Map(Object.entries(recordings));
+
+        if (file && fs.existsSync(file)) {
+            Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([key, content]) => {
+                this.recordings.set(key, content);
+            });
+        }
+    }
+
+    static recordingKey(messages) {
+        const user = [...messages].reverse().find(message => message.role === 'user');
+        return (user ? user.content : '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    async complete(messages, options = {}) {
+        const key = ReplayProvider.recordingKey(messages);
+        if (this.recordings.has(key)) {
+            const content = this.recordings.get(key);
+            return typeof content === 'string' ? content : JSON.stringify(content);
+        }
+
+        if (!this.upstream) {
+            throw new LLMProviderError(`No recorded completion for "${key}"`);
+        }
+
+        const content = await this.upstream.complete(messages, options);
+        this.record(key, content);
+        return content;
+    }
+
+    record(key, content) {
+        this.recordings.set(key, content);
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(Object.fromEntries(this.recordings), null, 2));
+        }
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            recordings: this.recordings.size,
+            ...(this.upstream ? { upstream: this.upstream.describe() } : {})
+        };
+    }
+}
+
+// ========================================
+// PROVIDER FACTORY
+// ========================================
+
+// LLM_PROVIDER=openai|openai_compatible|replay|record|none. Defaults to openai when an
+// API key is set, otherwise none (queries then go through the rule-based parser only).
+function createLLMProvider(env = process.env) {
+    const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY || null;
+    const name = env.LLM_PROVIDER || (apiKey ? 'openai' : 'none');
+
+    const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return isFinite(parsed) ? parsed : fallback;
+    };
+    const options = {
+        model: env.LLM_MODEL || DEFAULT_MODEL,
+        temperature: number(env.LLM_TEMPERATURE, 0.1),
+        maxTokens: number(env.LLM_MAX_TOKENS, 800),
+        timeout: number(env.LLM_TIMEOUT_MS, 30000),
+        maxRetries: number(env.LLM_MAX_RETRIES, 3),
+        retryBaseMs: number(env.LLM_RETRY_BASE_MS, 500)
+    };
+    const recordingsFile = env.LLM_RECORDINGS_FILE || path.join(__dirname, '..', 'data', 'llm-recordings.json');
+
+    switch (name) {
+        case 'none':
+            return null;
+        case 'openai':
+            if (!apiKey) {
+                throw new Error('LLM_PROVIDER=openai requires OPENAI_API_KEY (or LLM_API_KEY)');
+            }
+            return new OpenAICompatibleProvider({ ...options, apiKey });
+        case 'openai_compatible':
+            if (!env.LLM_BASE_URL) {
+                throw new Error('LLM_PROVIDER=openai_compatible requires LLM_BASE_URL (e.g. http://localhost:11434/v1)');
+            }
+            return new OpenAICompatibleProvider({ ...options, apiKey, baseUrl: env.LLM_BASE_URL });
+        case 'replay':
+            return new ReplayProvider({ ...options, file: recordingsFile });
+        case 'record':
+            return new ReplayProvider({
+                ...options,
+                file: recordingsFile,
+                upstream: createLLMProvider({ ...env, LLM_PROVIDER: env.LLM_BASE_URL ? 'openai_compatible' : 'openai' })
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+module.exports = {
+    LLMProviderError,
+    BaseLLMProvider,
+    OpenAICompatibleProvider,
+    ReplayProvider,
+    createLLMProvider
+};
@@ -0,0 +1,282 @@
+// ========================================
+// MACRO DATA SERVICE
+// File: backend/services/macro-data.js
+// Historical macro series (CPI, Fed funds, Treasury yields, dollar) from FRED or local files
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const FRED_BASE_URL = 'https://api.stlouisfed.org/fred/series/observations';
+const CACHE_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Source series. availableLagDays approximates when a value became public: CPI for a month
+// (dated the 1st) is released mid-following-month, daily rates the next morning. Matching on
+// availability rather than observation date keeps look-ahead out of the backtests.
+const SOURCE_SERIES = {
+    CPI: { fredId: 'CPIAUCSL', name: 'Consumer Price Index (SA)', availableLagDays: 45 },
+    FED_FUNDS: { fredId: 'DFF', name: 'Effective Fed Funds Rate', availableLagDays: 1 },
+    US10Y: { fredId: 'DGS10', name: '10-Year Treasury Yield', availableLagDays: 1 },
+    US2Y: { fredId: 'DGS2', name: '2-Year Treasury Yield', availableLagDays: 1 },
+    // FRED has no ICE DXY; the broad trade-weighted dollar index stands in unless a local DXY file exists
+    DXY: { fredId: 'DTWEXBGS', name: 'US Dollar Index', availableLagDays: 1 }
+};
+
+// Metrics conditions can be written against, derived from the source series
+const METRICS = {
+    CPI_YOY: { label: 'CPI YoY', unit: '%', sources: ['CPI'] },
+    FED_FUNDS: { label: 'Fed Funds Rate', unit: '%', sources: ['FED_FUNDS'] },
+    US10Y: { label: '10Y Yield', unit: '%', sources: ['US10Y'] },
+    US2Y: { label: '2Y Yield', unit: '%', sources: ['US2Y'] },
+    YIELD_CURVE: { label: '10Y-2Y Spread', unit: '%', sources: ['US10Y', 'US2Y'] },
+    DXY: { label: 'Dollar Index', unit: '', sources: ['DXY'] },
+    DXY_YTD: { label: 'Dollar Index YTD', unit: '%', sources: ['DXY'] }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========================================
+// PROVIDERS
+// ========================================
+
+class FredMacroProvider {
+    constructor(apiKey) {
+        this.name = 'fred';
+        this.apiKey = apiKey;
+    }
+
+    async getObservations(key) {
+        const { fredId } = SOURCE_SERIES[key];
+        const response = await axios.get(FRED_BASE_URL, {
+            params: {
+                series_id: fredId,
+                api_key: this.apiKey,
+                file_type: 'json'
+            },
+            timeout: 15000
+        });
+
+        // FRED marks missing values (e.g. bond market holidays) with '.'
+        return response.data.observations
+            .filter(obs => obs.value !== '.' && obs.value !== '')
+            .map(obs => ({ date: obs.date, value: parseFloat(obs.value) }))
+            .filter(obs => isFinite(obs.value));
+    }
+}
+
+// Reads <KEY>.csv/.json or <FRED_ID>.csv/.json (e.g. CPI.csv or CPIAUCSL.csv as downloaded from FRED)
+class LocalMacroFileProvider {
+    constructor(directory) {
+        this.name = 'file';
+        this.directory = directory;
+    }
+
+    async getObservations(key) {
+        const { fredId } = SOURCE_SERIES[key];
+        const candidates = [key, fredId].flatMap(name => [`${name}.csv`, `${name}.json`]);
+        const file = candidates
+            .map(name => path.join(this.directory, name))
+            .find(filePath => fs.existsSync(filePath));
+
+        if (!file) {
+            throw new Error(`No local macro data file for ${key} (${fredId}) in ${this.directory}`);
+        }
+
+        const content = fs.readFileSync(file, 'utf8');
+        const rows = file.endsWith('.json') ? JSON.parse(content) : LocalMacroFileProvider.parseCSV(content, fredId);
+
+        return rows
+            .map(row => ({ date: String(row.date).slice(0, 10), value: parseFloat(row.value) }))
+            .filter(obs => /^\d{4}-\d{2}-\d{2}$/.test(obs.date) && isFinite(obs.value));
+    }
+
+    // First column is the date; the value is the 'value' column, the FRED id column or the second column
+    static parseCSV(content, fredId) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length === 0) return [];
+
+        const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+        let valueIndex = headers.findIndex(h => h === 'value' || h === fredId.toLowerCase());
+        if (valueIndex === -1) valueIndex = 1;
+
+        return lines.slice(1).map(line => {
+            const values = line.split(',');
+            return { date: values[0].trim(), value: values[valueIndex] };
+        });
+    }
+}
+
+// ========================================
+// MACRO DATA SERVICE
+// ========================================
+
+const state = {
+    provider: null,
+    cache: new Map()
+};
+
+class MacroDataService {
+    static getProvider() {
+        if (!state.provider) {
+            state.provider = this.createProvider();
+        }
+        return state.provider;
+    }
+
+    // MACRO_DATA_PROVIDER=fred|file; defaults to FRED when FRED_API_KEY is set, local files otherwise
+    static createProvider(env = process.env) {
+        const name = env.MACRO_DATA_PROVIDER || (env.FRED_API_KEY ? 'fred' : 'file');
+
+        if (name === 'fred') {
+            if (!env.FRED_API_KEY) {
+                throw new Error('MACRO_DATA_PROVIDER=fred requires FRED_API_KEY');
+            }
+            return new FredMacroProvider(env.FRED_API_KEY);
+        }
+        if (name === 'file') {
+            return new LocalMacroFileProvider(env.MACRO_DATA_DIR || path.join(__dirname, '..', 'data', 'macro'));
+        }
+        throw new Error(`Unknown macro data provider: ${name}`);
+    }
+
+    static setProvider(provider) {
+        state.provider = provider;
+        state.cache.clear();
+    }
+
+    // Raw observations for a source series, sorted by date: [{ date: 'YYYY-MM-DD', value }]
+    static async getSourceSeries(key) {
+        if (!SOURCE_SERIES[key]) {
+            throw new Error(`Unknown macro series: ${key}`);
+        }
+
+        const cached = state.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+            return cached.observations;
+        }
+
+        const provider = this.getProvider();
+        let observations;
+        try {
+            observations = await provider.getObservations(key);
+        } catch (error) {
+            console.error(`Failed to load macro series ${key} from ${provider.name}:`, error.message);
+            throw new Error(`Macro data unavailable for ${SOURCE_SERIES[key].name}`);
+        }
+
+        observations.sort((a, b) => a.date.localeCompare(b.date));
+        state.cache.set(key, { observations, fetchedAt: Date.now() });
+        return observations;
+    }
+
+    // Metric values keyed by observation date, each with the date it became available
+    static async getMetricSeries(metric) {
+        const definition = METRICS[metric];
+        if (!definition) {
+            throw new Error(`Unknown macro metric: ${metric} - use one of: ${Object.keys(METRICS).join(', ')}`);
+        }
+
+        const sources = {};
+        for (const key of definition.sources) {
+            sources[key] = await this.getSourceSeries(key);
+        }
+
+        let points;
+        switch (metric) {
+            case 'CPI_YOY':
+                points = this.yearOverYear(sources.CPI);
+                break;
+            case 'YIELD_CURVE':
+                points = this.difference(sources.US10Y, sources.US2Y);
+                break;
+            case 'DXY_YTD':
+                points = this.yearToDate(sources.DXY);
+                break;
+            default:
+                points = sources[definition.sources[0]];
+        }
+
+        const lagDays = Math.max(...definition.sources.map(key => SOURCE_SERIES[key].availableLagDays));
+        return points.map(point => ({
+            date: point.date,
+            availableDate: new Date(new Date(`${point.date}T00:00:00.000Z`).getTime() + lagDays * DAY_MS).toISOString().split('T')[0],
+            value: point.value
+        }));
+    }
+
+    // Latest value of each metric known on each date: returns Map(dateKey -> { METRIC: value })
+    static async getValuesAsOf(metrics, dateKeys) {
+        const timeline = new Map(dateKeys.map(key => [key, {}]));
+        const sortedKeys = [...dateKeys].sort();
+
+        for (const metric of metrics) {
+            const series = (await this.getMetricSeries(metric))
+                .sort((a, b) => a.availableDate.localeCompare(b.availableDate));
+
+            let cursor = -1;
+            for (const key of sortedKeys) {
+                while (cursor + 1 < series.length && series[cursor + 1].availableDate <= key) {
+                    cursor++;
+                }
+                timeline.get(key)[metric] = cursor >= 0 ? series[cursor].value : null;
+            }
+        }
+
+        return timeline;
+    }
+
+    // % change against the observation twelve months earlier (monthly series)
+    static yearOverYear(observations) {
+        const byMonth = new Map(observations.map(obs => [obs.date.slice(0, 7), obs.value]));
+        return observations
+            .map(obs => {
+                const year = parseInt(obs.date.slice(0, 4));
+                const prior = byMonth.get(`${year - 1}${obs.date.slice(4, 7)}`);
+                return prior ? { date: obs.date, value: ((obs.value / prior) - 1) * 100 } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // a - b on dates both series have
+    static difference(seriesA, seriesB) {
+        const valuesB = new Map(seriesB.map(obs => [obs.date, obs.value]));
+        return seriesA
+            .filter(obs => valuesB.has(obs.date))
+            .map(obs => ({ date: obs.date, value: obs.value - valuesB.get(obs.date) }));
+    }
+
+    // % change from the last observation of the prior calendar year
+    static yearToDate(observations) {
+        const yearEnd = new Map();
+        observations.forEach(obs => yearEnd.set(parseInt(obs.date.slice(0, 4)), obs.value));
+
+        return observations
+            .map(obs => {
+                const base = yearEnd.get(parseInt(obs.date.slice(0, 4)) - 1);
+                return base ? { date: obs.date, value: ((obs.value / base) - 1) * 100 } : null;
+            })
+            .filter(Boolean);
+    }
+
+    static getMetricInfo(metric) {
+        return METRICS[metric] || null;
+    }
+
+    static getAvailableMetrics() {
+        return Object.entries(METRICS).map(([key, info]) => ({ key, ...info }));
+    }
+
+    static clearCache() {
+        state.cache.clear();
+    }
+}
+
+MacroDataService.SOURCE_SERIES = SOURCE_SERIES;
+MacroDataService.METRICS = METRICS;
+
+module.exports = {
+    MacroDataService,
+    FredMacroProvider,
+    LocalMacroFileProvider
+};
@@ -0,0 +1,428 @@
+// ========================================
+// MARKET DATA PROVIDERS
+// File: backend/services/market-data-providers.js
+// Vendor-neutral sources of OHLCV bars for MarketDataService
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const yahooFinance = require('yahoo-finance2').default;
+const TradingCalendar = require('./trading-calendar');
+
+// Supported bar intervals in minutes ('1d' is the daily series)
+const INTRADAY_INTERVALS = { '1m': 1, '5m': 5, '15m': 15, '1h': 60 };
+
+// Base Provider Class
+class BaseMarketDataProvider {
+    // splitAdjusted: true when the vendor's OHLC is already back-adjusted for splits
+    constructor(name, { splitAdjusted = false } = {}) {
+        this.name = name;
+        this.splitAdjusted = splitAdjusted;
+    }
+
+    // Returns bars sorted by date: [{ date, open, high, low, close, volume, adjClose? }]
+    async getHistoricalBars(ticker, { start, end, interval = '1d' } = {}) {
+        throw new Error(`${this.name} provider does not implement getHistoricalBars`);
+    }
+
+    // Returns { splits: [{ date, ratio }], dividends: [{ date, amount }] } in the same price terms as the bars
+    async getCorporateActions(ticker, { start, end } = {}) {
+        return { splits: [], dividends: [] };
+    }
+
+    async getQuote(ticker) {
+        const end = new Date();
+        const start = new Date(end.getTime() - 10 * 24 * 60 * 60 * 1000);
+        const bars = await this.getHistoricalBars(ticker, { start, end });
+
+        if (bars.length < 2) {
+            return null;
+        }
+
+        const last = bars[bars.length - 1];
+        const prev = bars[bars.length - 2];
+        return {
+            price: last.close,
+            change: last.close - prev.close,
+            changePercent: ((last.close - prev.close) / prev.close) * 100,
+            volume: last.volume
+        };
+    }
+
+    static normalizeBar(item) {
+        const bar = {
+            date: new Date(item.date),
+            open: item.open,
+            high: item.high,
+            low: item.low,
+            close: item.close,
+            volume: item.volume
+        };
+
+        const adjClose = item.adjClose !== undefined ? item.adjClose : item.adjclose;
+        if (adjClose !== undefined && adjClose !== null) {
+            bar.adjClose = adjClose;
+        }
+
+        return bar;
+    }
+
+    static normalizeActions(actions = {}) {
+        return {
+            splits: (actions.splits || []).map(split => ({ date: new Date(split.date), ratio: split.ratio })),
+            dividends: (actions.dividends || []).map(dividend => ({ date: new Date(dividend.date), amount: dividend.amount }))
+        };
+    }
+
+    static filterActionsByRange(actions, start, end) {
+        const inRange = item => (!start || item.date >= start) && (!end || item.date <= end);
+        return {
+            splits: actions.splits.filter(inRange),
+            dividends: actions.dividends.filter(inRange)
+        };
+    }
+
+    static filterByRange(bars, start, end) {
+        return bars.filter(bar =>
+            (!start || bar.date >= start) && (!end || bar.date <= end)
+        );
+    }
+
+    static isIntraday(interval) {
+        return Object.prototype.hasOwnProperty.call(INTRADAY_INTERVALS, interval);
+    }
+
+    // Aggregates finer intraday bars into a coarser interval. Buckets are anchored to the
+    // session open (so 1h bars are 09:30-10:30, ...) and never span two exchange days.
+    static resampleBars(bars, interval) {
+        const size = INTRADAY_INTERVALS[interval];
+        const openMinutes = TradingCalendar.timeToMinutes(TradingCalendar.REGULAR_SESSION.open);
+        const buckets = new Map();
+
+        for (const bar of bars) {
+            const { date, minutes } = TradingCalendar.toExchangeTime(bar.date);
+            const slot = Math.floor((minutes - openMinutes) / size);
+            const key = `${date}|${slot}`;
+            const bucket = buckets.get(key);
+
+            if (!bucket) {
+                buckets.set(key, {
+                    date: TradingCalendar.fromExchangeTime(date, TradingCalendar.minutesToTime(openMinutes + slot * size)),
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume
+                });
+                continue;
+            }
+
+            bucket.high = Math.max(bucket.high, bar.high);
+            bucket.low = Math.min(bucket.low, bar.low);
+            bucket.close = bar.close;
+            bucket.volume = bucket.volume == null || bar.volume == null ? bucket.volume : bucket.volume + bar.volume;
+        }
+
+        return [...buckets.values()].sort((a, b) => a.date - b.date);
+    }
+}
+
+// ========================================
+// YAHOO FINANCE PROVIDER
+// ========================================
+
+class YahooFinanceProvider extends BaseMarketDataProvider {
+    constructor() {
+        // Yahoo's close is split-adjusted; adjClose additionally folds in dividends
+        super('yahoo', { splitAdjusted: true });
+    }
+
+    async getHistoricalBars(ticker, { start, end = new Date(), interval = '1d' } = {}) {
+        if (BaseMarketDataProvider.isIntraday(interval)) {
+            return this.getIntradayBars(ticker, { start, end, interval });
+        }
+
+        const quote = await yahooFinance.historical(ticker, {
+            period1: start,
+            period2: end,
+            interval
+        });
+
+        return quote.map(item => BaseMarketDataProvider.normalizeBar(item));
+    }
+
+    // Yahoo only serves recent intraday history and caps the span of a single request
+    async getIntradayBars(ticker, { start, end, interval }) {
+        const { lookbackDays, chunkDays } = YahooFinanceProvider.INTRADAY_LIMITS[interval];
+        const dayMs = 24 * 60 * 60 * 1000;
+        const earliest = new Date(Date.now() - lookbackDays * dayMs);
+
+        let from = start < earliest ? earliest : start;
+        if (from > start) {
+            console.warn(`⚠️ Yahoo ${interval} history is limited to ${lookbackDays} days - ${ticker} starts ${from.toISOString().split('T')[0]}`);
+        }
+
+        const bars = [];
+        while (from < end) {
+            const to = new Date(Math.min(end.getTime(), from.getTime() + chunkDays * dayMs));
+            const chart = await yahooFinance.chart(ticker, { period1: from, period2: to, interval });
+
+            chart.quotes
+                .filter(item => item.close !== null && item.close !== undefined)
+                .forEach(item => bars.push(BaseMarketDataProvider.normalizeBar(item)));
+            from = to;
+        }
+
+        // Chunk boundaries can repeat a bar
+        const unique = new Map(bars.map(bar => [bar.date.getTime(), bar]));
+        return [...unique.values()].sort((a, b) => a.date - b.date);
+    }
+
+    async getCorporateActions(ticker, { start, end = new Date() } = {}) {
+        const [splits, dividends] = await Promise.all([
+            yahooFinance.historical(ticker, { period1: start, period2: end, events: 'split' }),
+            yahooFinance.historical(ticker, { period1: start, period2: end, events: 'dividends' })
+        ]);
+
+        return {
+            splits: splits.map(item => ({
+                date: new Date(item.date),
+                ratio: YahooFinanceProvider.parseSplitRatio(item.stockSplits)
+            })),
+            dividends: dividends.map(item => ({ date: new Date(item.date), amount: item.dividends }))
+        };
+    }
+
+    // "4:1" -> 4 (forward split), "1:10" -> 0.1 (reverse split)
+    static parseSplitRatio(value) {
+        const [numerator, denominator] = String(value).split(/[:/]/).map(parseFloat);
+        return numerator > 0 && denominator > 0 ? numerator / denominator : 1;
+    }
+
+    async getQuote(ticker) {
+        const quote = await yahooFinance.quote(ticker);
+        return {
+            price: quote.regularMarketPrice,
+            change: quote.regularMarketChange,
+            changePercent: quote.regularMarketChangePercent,
+            volume: quote.regularMarketVolume
+        };
+    }
+}
+
+YahooFinanceProvider.INTRADAY_LIMITS = {
+    '1m': { lookbackDays: 30, chunkDays: 7 },
+    '5m': { lookbackDays: 59, chunkDays: 59 },
+    '15m': { lookbackDays: 59, chunkDays: 59 },
+    '1h': { lookbackDays: 729, chunkDays: 729 }
+};
+
+// ========================================
+// LOCAL FILE PROVIDER (CSV / JSON)
+// ========================================
+
+class LocalFileProvider extends BaseMarketDataProvider {
+    constructor(directory, { splitAdjusted = false } = {}) {
+        super('file', { splitAdjusted });
+        this.directory = directory;
+        this.cache = new Map();
+    }
+
+    // Intraday data lives next to the daily file as <TICKER>.<interval>.csv/json (e.g. SPY.5m.csv).
+    // When only a finer file exists (SPY.1m.csv for a 15m request) it is resampled.
+    async getHistoricalBars(ticker, { start, end, interval = '1d' } = {}) {
+        const bars = BaseMarketDataProvider.isIntraday(interval)
+            ? this.loadIntraday(ticker, interval)
+            : this.loadTicker(ticker);
+        return BaseMarketDataProvider.filterByRange(bars, start, end);
+    }
+
+    loadIntraday(ticker, interval) {
+        const size = INTRADAY_INTERVALS[interval];
+        const candidates = Object.entries(INTRADAY_INTERVALS)
+            .filter(([, minutes]) => minutes <= size && size % minutes === 0)
+            .sort((a, b) => b[1] - a[1]);
+
+        for (const [sourceInterval] of candidates) {
+            const filePath = this.resolveFile(ticker, [`.${sourceInterval}.csv`, `.${sourceInterval}.json`]);
+            if (!filePath) continue;
+
+            const bars = this.loadFile(filePath);
+            return sourceInterval === interval ? bars : BaseMarketDataProvider.resampleBars(bars, interval);
+        }
+
+        throw new Error(`No local ${interval} data file for ${ticker} in ${this.directory}`);
+    }
+
+    // Optional sidecar file: <TICKER>.actions.json = { splits: [{ date, ratio }], dividends: [{ date, amount }] }
+    async getCorporateActions(ticker, { start, end } = {}) {
+        const filePath = this.resolveFile(ticker, ['.actions.json']);
+        if (!filePath) {
+            return { splits: [], dividends: [] };
+        }
+
+        const actions = BaseMarketDataProvider.normalizeActions(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        return BaseMarketDataProvider.filterActionsByRange(actions, start, end);
+    }
+
+    resolveFile(ticker, extensions = ['.csv', '.json']) {
+        // ^VIX and BRK-B style symbols are also looked up with filesystem-safe names
+        const names = [ticker, ticker.replace(/[^A-Za-z0-9.-]/g, '_'), ticker.replace(/^\^/, '')];
+
+        for (const name of names) {
+            for (const ext of extensions) {
+                const filePath = path.join(this.directory, `${name}${ext}`);
+                if (fs.existsSync(filePath)) {
+                    return filePath;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    loadTicker(ticker) {
+        const filePath = this.resolveFile(ticker);
+        if (!filePath) {
+            throw new Error(`No local data file for ${ticker} in ${this.directory}`);
+        }
+
+        return this.loadFile(filePath);
+    }
+
+    loadFile(filePath) {
+        const { mtimeMs } = fs.statSync(filePath);
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.bars;
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        const rows = filePath.endsWith('.json') ? JSON.parse(content) : LocalFileProvider.parseCSV(content);
+
+        const bars = rows
+            .map(row => BaseMarketDataProvider.normalizeBar({ ...row, date: LocalFileProvider.parseTimestamp(row.date) }))
+            .filter(bar => !isNaN(bar.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+
+        this.cache.set(filePath, { mtimeMs, bars });
+        return bars;
+    }
+
+    // Dates ('2024-03-01') are UTC day keys like every daily bar. Timestamps without an
+    // offset ('2024-03-01 09:35') are exchange (New York) time, as most vendors export them.
+    static parseTimestamp(value) {
+        if (value instanceof Date || typeof value === 'number') {
+            return new Date(typeof value === 'number' && value < 1e11 ? value * 1000 : value);
+        }
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return this.parseTimestamp(parseInt(text));
+        }
+
+        const naive = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/.exec(text);
+        if (naive) {
+            return TradingCalendar.fromExchangeTime(naive[1], naive[2]);
+        }
+
+        return new Date(text);
+    }
+
+    static parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length === 0) return [];
+
+        // Accept common vendor headers: Date,Open,High,Low,Close,Adj Close,Volume
+        const headers = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+        const columnMap = { date: 'date', timestamp: 'date', datetime: 'date', open: 'open', high: 'high', low: 'low', close: 'close', adjclose: 'adjClose', volume: 'volume' };
+
+        return lines.slice(1).map(line => {
+            const values = line.split(',');
+            const row = {};
+            headers.forEach((header, i) => {
+                const key = columnMap[header];
+                if (!key) return;
+                const value = values[i] !== undefined ? values[i].trim() : '';
+                row[key] = key === 'date' ? value : (value === '' ? null : parseFloat(value));
+            });
+            return row;
+        });
+    }
+}
+
+// ========================================
+// IN-MEMORY FIXTURE PROVIDER
+// ========================================
+
+class FixtureProvider extends BaseMarketDataProvider {
+    constructor(fixtures = {}, { actions = {}, splitAdjusted = false } = {}) {
+        super('fixture', { splitAdjusted });
+        this.fixtures = new Map();
+        this.actions = new Map();
+        Object.entries(fixtures).forEach(([ticker, bars]) => this.setBars(ticker, bars));
+        Object.entries(actions).forEach(([ticker, tickerActions]) => this.setActions(ticker, tickerActions));
+    }
+
+    static fixtureKey(ticker, interval = '1d') {
+        return interval === '1d' ? ticker : `${ticker}@${interval}`;
+    }
+
+    setActions(ticker, actions) {
+        this.actions.set(ticker, BaseMarketDataProvider.normalizeActions(actions));
+    }
+
+    async getCorporateActions(ticker, { start, end } = {}) {
+        const actions = this.actions.get(ticker);
+        return actions ? BaseMarketDataProvider.filterActionsByRange(actions, start, end) : { splits: [], dividends: [] };
+    }
+
+    setBars(ticker, bars, interval = '1d') {
+        this.fixtures.set(
+            FixtureProvider.fixtureKey(ticker, interval),
+            bars.map(bar => BaseMarketDataProvider.normalizeBar(bar)).sort((a, b) => a.date - b.date)
+        );
+    }
+
+    clear() {
+        this.fixtures.clear();
+        this.actions.clear();
+    }
+
+    async getHistoricalBars(ticker, { start, end, interval = '1d' } = {}) {
+        const bars = this.fixtures.get(FixtureProvider.fixtureKey(ticker, interval));
+        if (!bars) {
+            throw new Error(`No ${interval} fixture data registered for ${ticker}`);
+        }
+        return BaseMarketDataProvider.filterByRange(bars, start, end);
+    }
+}
+
+// ========================================
+// PROVIDER FACTORY
+// ========================================
+
+function createProvider(name, options = {}) {
+    switch (name) {
+        case 'yahoo':
+            return new YahooFinanceProvider();
+        case 'file':
+            return new LocalFileProvider(
+                options.directory || process.env.MARKET_DATA_DIR || path.join(__dirname, '..', 'data', 'market'),
+                { splitAdjusted: options.splitAdjusted ?? process.env.MARKET_DATA_FILE_SPLIT_ADJUSTED === 'true' }
+            );
+        case 'fixture':
+            return new FixtureProvider(options.fixtures, options);
+        default:
+            throw new Error(`Unknown market data provider: ${name}`);
+    }
+}
+
+module.exports = {
+    INTRADAY_INTERVALS,
+    BaseMarketDataProvider,
+    YahooFinanceProvider,
+    LocalFileProvider,
+    FixtureProvider,
+    createProvider
+};
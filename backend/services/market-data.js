@@ -3,56 +3,495 @@
 // File: backend/services/market-data.js
 // ========================================
 
-const yahooFinance = require('yahoo-finance2').default;
+const { createProvider, INTRADAY_INTERVALS } = require('./market-data-providers');
+const BarStore = require('./bar-store');
+const PriceAdjustment = require('./price-adjustment');
+const TradingCalendar = require('./trading-calendar');
+const DataQuality = require('./data-quality');
+const SyntheticSymbols = require('./synthetic-symbols');
+
+const DEFAULT_PERIOD = '5y';
+
+// Intraday requests default to a short window - vendors keep far less intraday history
+const DEFAULT_INTRADAY_PERIOD = '60d';
+const DEFAULT_INTRADAY_INTERVAL = '5m';
+
+// Parallel provider requests per batch fetch (vendors throttle bursts of symbol requests)
+const BATCH_CONCURRENCY = parseInt(process.env.MARKET_DATA_BATCH_CONCURRENCY) || 4;
+
+// Earliest date requested for 'max' lookbacks - providers return whatever history exists after it
+const MAX_HISTORY_START = new Date(Date.UTC(1900, 0, 1));
+
+// Stored series older than this are topped up on read (the nightly cron keeps them fresh otherwise)
+const STORE_MAX_AGE_MS = (parseFloat(process.env.BAR_STORE_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+
+// Provider routing: one default provider plus optional per-ticker overrides
+const providerState = {
+    providers: new Map(),
+    defaultProvider: null,
+    tickerProviders: new Map()
+};
 
 class MarketDataService {
-    static async getHistoricalData(ticker, period = '5y') {
+    // ticker: a symbol or a synthetic expression (XLK/XLF, 0.6*SPY + 0.4*TLT, BASKET(...))
+    // range: a period ('1y', '5y', '10y', 'max') or { start_date, end_date, period }
+    // priceBasis: 'raw' | 'split_adjusted' (default) | 'total_return'
+    // interval: '1d' (default) or an intraday interval ('1m', '5m', '15m', '1h')
+    static async getHistoricalData(ticker, range, options = {}) {
+        const { bars } = await this.getSeries(ticker, range, options);
+        return bars;
+    }
+
+    // Same as getHistoricalData, plus the data-quality report for the validated series
+    static async getSeries(ticker, range, { priceBasis, interval = '1d', extendedHours = false } = {}) {
+        const basis = PriceAdjustment.normalizeBasis(priceBasis);
+        const barInterval = this.normalizeInterval(interval);
+
+        const synthetic = SyntheticSymbols.parse(ticker);
+        if (synthetic) {
+            return this.getSyntheticSeries(synthetic, range, { priceBasis: basis, interval: barInterval, extendedHours });
+        }
+
+        if (barInterval !== '1d') {
+            return this.getIntradayData(ticker, range, { basis, interval: barInterval, extendedHours });
+        }
+
+        const { start, end } = this.resolveDateRange(range || DEFAULT_PERIOD);
+        const providerBars = await this.getProviderBars(ticker, start, end);
+
+        // Validate provider-native bars: adjustment math needs clean, de-duplicated closes
+        const { bars, report } = DataQuality.validate(providerBars, { ticker, interval: '1d' });
+        return { bars: await this.adjustBars(ticker, bars, basis, start), quality: report };
+    }
+
+    // Several tickers with at most `concurrency` fetches in flight. A failed ticker does not fail
+    // the batch: returns { series: { [ticker]: { bars, quality } }, errors: { [ticker]: message } }
+    static async getBatchHistoricalData(tickers, range, { concurrency = BATCH_CONCURRENCY, ...options } = {}) {
+        const symbols = [...new Set(tickers)];
+        const series = {};
+        const errors = {};
+        let next = 0;
+
+        const worker = async () => {
+            while (next < symbols.length) {
+                const ticker = symbols[next++];
+                try {
+                    const result = await this.getSeries(ticker, range, options);
+                    if (result.bars.length === 0) {
+                        throw new Error(`No market data available for ${ticker}`);
+                    }
+                    series[ticker] = result;
+                } catch (error) {
+                    errors[ticker] = error.message;
+                }
+            }
+        };
+
+        const workers = Math.max(1, Math.min(concurrency, symbols.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        return { series, errors };
+    }
+
+    // Components are fetched (and adjusted) individually, then combined on their common dates
+    static async getSyntheticSeries(definition, range, options) {
+        const components = await Promise.all(
+            definition.components.map(component => this.getSeries(component.symbol, range, options))
+        );
+
+        const bars = SyntheticSymbols.combine(definition, components.map(c => c.bars), { interval: options.interval });
+        if (bars.length === 0) {
+            throw new Error(`No overlapping history for ${definition.components.map(c => c.symbol).join(', ')}`);
+        }
+
+        const { report } = DataQuality.validate(bars, { ticker: definition.symbol, interval: options.interval, repair: false });
+        report.components = Object.fromEntries(
+            definition.components.map((component, i) => [component.symbol, components[i].quality])
+        );
+
+        // The derived series is only as clean as its worst component
+        const severity = ['clean', 'repaired', 'warnings'];
+        report.status = components
+            .map(c => c.quality.status)
+            .reduce((worst, status) => severity.indexOf(status) > severity.indexOf(worst) ? status : worst, report.status);
+        report.summary = DataQuality.describe(report);
+        return { bars, quality: report };
+    }
+
+    // Dates both series share: [{ date, a, b }] (the shape SectorSpread and Volatility engines use)
+    static alignSeries(dataA, dataB, { interval = '1d' } = {}) {
+        return SyntheticSymbols.alignSeries([dataA, dataB], { interval })
+            .map(({ date, bars: [a, b] }) => ({ date, a, b }));
+    }
+
+    static isSynthetic(ticker) {
+        return SyntheticSymbols.isSynthetic(ticker);
+    }
+
+    // Intraday bars bypass the bar store (it holds daily sessions only). Regular-session
+    // bars are kept unless extendedHours is set.
+    static async getIntradayData(ticker, range, { basis, interval, extendedHours }) {
+        const { start, end } = this.resolveDateRange(range || DEFAULT_INTRADAY_PERIOD, { defaultPeriod: DEFAULT_INTRADAY_PERIOD });
+        const providerBars = await this.fetchFromProvider(ticker, start, end, interval);
+        const sessionBars = extendedHours ? providerBars : providerBars.filter(bar => TradingCalendar.isRegularSession(bar.date));
+
+        const { bars, report } = DataQuality.validate(sessionBars, { ticker, interval });
+        return { bars: await this.adjustBars(ticker, bars, basis, start), quality: report };
+    }
+
+    // Lookback used when a request gives no range
+    static getDefaultPeriod(interval = '1d') {
+        return interval === '1d' ? DEFAULT_PERIOD : DEFAULT_INTRADAY_PERIOD;
+    }
+
+    static normalizeInterval(interval = '1d') {
+        const value = String(interval).trim().toLowerCase();
+        const aliases = { '1day': '1d', 'daily': '1d', '60m': '1h', '1min': '1m', '5min': '5m', '15min': '15m' };
+        const normalized = aliases[value] || value;
+
+        if (normalized !== '1d' && !this.isIntradayInterval(normalized)) {
+            throw new Error(`Invalid interval "${interval}" - use one of: 1d, ${Object.keys(INTRADAY_INTERVALS).join(', ')}`);
+        }
+        return normalized;
+    }
+
+    static isIntradayInterval(interval) {
+        return Object.keys(INTRADAY_INTERVALS).includes(interval);
+    }
+
+    static async adjustBars(ticker, bars, basis, start) {
+        const { splitAdjusted } = this.getProvider(ticker);
+        const options = { basis, splitAdjusted };
+
+        let actions = {};
+        if (PriceAdjustment.needsCorporateActions(bars, basis, options)) {
+            actions = await this.getCorporateActions(ticker, start);
+        }
+
+        return PriceAdjustment.apply(bars, actions, options);
+    }
+
+    // Splits and dividends from start to today (later splits still rescale earlier bars)
+    static async getCorporateActions(ticker, start) {
+        const provider = this.getProvider(ticker);
+
+        if (BarStore.isAvailable()) {
+            try {
+                const coverage = await BarStore.getCoverage(ticker);
+                const age = coverage?.actionsRefreshed ? Date.now() - coverage.actionsRefreshed : Infinity;
+                if (coverage?.actionsFrom && coverage.actionsFrom <= start && age <= STORE_MAX_AGE_MS) {
+                    return BarStore.getActions(ticker, start);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Corporate action lookup failed for ${ticker}:`, error.message);
+            }
+        }
+
+        let actions;
         try {
-            const quote = await yahooFinance.historical(ticker, {
-                period1: this.getPeriodStart(period),
-                period2: new Date(),
-                interval: '1d'
-            });
-            
-            return quote.map(item => ({
-                date: item.date,
-                open: item.open,
-                high: item.high,
-                low: item.low,
-                close: item.close,
-                volume: item.volume
-            }));
+            actions = await provider.getCorporateActions(ticker, { start, end: new Date() });
         } catch (error) {
-            console.error(`Failed to fetch data for ${ticker}:`, error.message);
+            console.error(`Failed to fetch corporate actions for ${ticker} from ${provider.name}:`, error.message);
+            throw new Error(`Failed to fetch corporate actions for ${ticker}`);
+        }
+
+        if (BarStore.isAvailable()) {
+            try {
+                const coverage = await BarStore.getCoverage(ticker);
+                if (coverage) {
+                    await BarStore.upsertActions(ticker, actions, start);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to store corporate actions for ${ticker}:`, error.message);
+            }
+        }
+
+        return actions;
+    }
+
+    // Provider-native bars, read through the bar store when it is connected
+    static async getProviderBars(ticker, start, end) {
+        if (!BarStore.isAvailable()) {
+            return this.fetchFromProvider(ticker, start, end);
+        }
+
+        let coverage;
+        try {
+            coverage = await BarStore.getCoverage(ticker);
+        } catch (error) {
+            console.warn(`⚠️ Bar store lookup failed for ${ticker}:`, error.message);
+            return this.fetchFromProvider(ticker, start, end);
+        }
+
+        // First request for this ticker: fill the store up to today so later top-ups stay contiguous.
+        // Bars are returned as the store will hold them, so later reads behave the same.
+        if (!coverage) {
+            const bars = await this.fetchFromProvider(ticker, start, new Date());
+            await this.storeBars(ticker, bars, start);
+            return bars.filter(bar => bar.date <= end).map(BarStore.toStoredBar);
+        }
+
+        await this.topUpStore(ticker, coverage, start);
+        return BarStore.getBars(ticker, start, end);
+    }
+
+    static async fetchFromProvider(ticker, start, end, interval = '1d') {
+        const provider = this.getProvider(ticker);
+
+        try {
+            return await provider.getHistoricalBars(ticker, { start, end, interval });
+        } catch (error) {
+            console.error(`Failed to fetch data for ${ticker} from ${provider.name}:`, error.message);
             throw new Error(`Failed to fetch market data for ${ticker}`);
         }
     }
-    
-    static getPeriodStart(period) {
+
+    // ========================================
+    // BAR STORE SYNC
+    // ========================================
+
+    static async storeBars(ticker, bars, coveredFrom) {
+        try {
+            const source = this.getProvider(ticker).name;
+            await BarStore.upsertBars(ticker, bars, source);
+            await BarStore.updateCoverage(ticker, { coveredFrom, source });
+        } catch (error) {
+            console.warn(`⚠️ Failed to store bars for ${ticker}:`, error.message);
+        }
+    }
+
+    // Fetches only what the store is missing: older history before coveredFrom and
+    // new sessions since lastDate. The last stored bar is refetched because it may
+    // have been captured mid-session.
+    static async topUpStore(ticker, coverage, start, { force = false } = {}) {
+        try {
+            const now = new Date();
+            const age = coverage.lastRefreshed ? now - coverage.lastRefreshed : Infinity;
+            const refresh = force || age > STORE_MAX_AGE_MS;
+            const from = coverage.lastDate || coverage.coveredFrom;
+
+            // A split since the last refresh rescales the whole split-adjusted history
+            if (refresh && await this.hasSplitSince(ticker, from)) {
+                return this.rebuildStore(ticker, start < coverage.coveredFrom ? start : coverage.coveredFrom);
+            }
+
+            if (start < coverage.coveredFrom) {
+                const older = await this.fetchFromProvider(ticker, start, coverage.coveredFrom);
+                await this.storeBars(ticker, older, start);
+            }
+
+            if (refresh) {
+                const newer = await this.fetchFromProvider(ticker, from, now);
+                await this.storeBars(ticker, newer, coverage.coveredFrom);
+                return newer.length;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Serving stored ${ticker} bars without top-up:`, error.message);
+        }
+        return 0;
+    }
+
+    // Only matters for providers that back-adjust for splits: their stored closes are in the
+    // split terms of the day they were fetched
+    static async hasSplitSince(ticker, date) {
+        const provider = this.getProvider(ticker);
+        if (!provider.splitAdjusted) return false;
+
+        const { splits } = await provider.getCorporateActions(ticker, { start: date, end: new Date() });
+        const since = TradingCalendar.toDateKey(date);
+        return splits.some(split => split.ratio > 0 && split.ratio !== 1 && TradingCalendar.toDateKey(split.date) > since);
+    }
+
+    // Drops the ticker's stored bars and actions and refills them from the provider
+    static async rebuildStore(ticker, coveredFrom) {
+        console.log(`🔁 Split detected for ${ticker} - rebuilding stored history`);
+        const bars = await this.fetchFromProvider(ticker, coveredFrom, new Date());
+        await BarStore.clearTicker(ticker);
+        await this.storeBars(ticker, bars, coveredFrom);
+        return bars.length;
+    }
+
+    static async refreshStoredSeries(tickers = null) {
+        const symbols = tickers || await BarStore.getTrackedTickers();
+        const summary = { refreshed: 0, failed: [], bars: 0 };
+
+        for (const ticker of symbols) {
+            try {
+                const coverage = await BarStore.getCoverage(ticker);
+                if (!coverage) continue;
+
+                summary.bars += await this.topUpStore(ticker, coverage, coverage.coveredFrom, { force: true });
+                summary.refreshed++;
+            } catch (error) {
+                summary.failed.push(ticker);
+            }
+        }
+
+        return summary;
+    }
+
+    static getPeriodStart(period, from = new Date()) {
+        if (period === 'max') {
+            return MAX_HISTORY_START;
+        }
+
+        const days = /^(\d+)d$/.exec(period || '');
+        if (days) {
+            return new Date(from.getTime() - parseInt(days[1]) * 24 * 60 * 60 * 1000);
+        }
+
+        const years = /^(\d+)y$/.exec(period || '');
+        const lookback = years ? parseInt(years[1]) : 5;
+        return new Date(from.getFullYear() - lookback, from.getMonth(), from.getDate());
+    }
+
+    static resolveDateRange(range = DEFAULT_PERIOD, { defaultPeriod = DEFAULT_PERIOD } = {}) {
+        const spec = typeof range === 'string' ? { period: range } : (range || {});
         const now = new Date();
-        const periods = {
-            '1y': new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()),
-            '2y': new Date(now.getFullYear() - 2, now.getMonth(), now.getDate()),
-            '5y': new Date(now.getFullYear() - 5, now.getMonth(), now.getDate()),
-            '10y': new Date(now.getFullYear() - 10, now.getMonth(), now.getDate())
+
+        // Future end dates ("through the end of this year") are clamped to today
+        const requestedEnd = spec.end_date ? this.parseDateInput(spec.end_date, 'end_date', { endOfDay: true }) : now;
+        const end = requestedEnd > now ? now : requestedEnd;
+
+        let start;
+        if (spec.start_date === 'max') {
+            start = MAX_HISTORY_START;
+        } else if (spec.start_date) {
+            start = this.parseDateInput(spec.start_date, 'start_date');
+        } else {
+            start = this.getPeriodStart(spec.period || defaultPeriod, end);
+        }
+
+        if (start >= end) {
+            throw new Error('start_date must be before end_date');
+        }
+
+        return { start, end, isMax: start.getTime() === MAX_HISTORY_START.getTime() };
+    }
+
+    static parseDateInput(value, field, { endOfDay = false } = {}) {
+        if (value instanceof Date) {
+            return value;
+        }
+
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            throw new Error(`Invalid ${field}: expected YYYY-MM-DD, got "${value}"`);
+        }
+
+        const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${field}: ${value}`);
+        }
+        return date;
+    }
+
+    static describeDataRange(data) {
+        if (!data || data.length === 0) return null;
+        return {
+            start: new Date(data[0].date).toISOString().split('T')[0],
+            end: new Date(data[data.length - 1].date).toISOString().split('T')[0]
         };
-        return periods[period] || periods['5y'];
     }
-    
+
     static async getCurrentPrice(ticker) {
         try {
-            const quote = await yahooFinance.quote(ticker);
-            return {
-                price: quote.regularMarketPrice,
-                change: quote.regularMarketChange,
-                changePercent: quote.regularMarketChangePercent,
-                volume: quote.regularMarketVolume
-            };
+            if (this.isSynthetic(ticker)) {
+                return await this.getSyntheticQuote(ticker);
+            }
+            return await this.getProvider(ticker).getQuote(ticker);
         } catch (error) {
             console.error(`Failed to fetch current price for ${ticker}:`, error.message);
             return null;
         }
     }
+
+    // Synthetic levels only exist as a series, so quote from its last two bars
+    static async getSyntheticQuote(ticker) {
+        const { bars } = await this.getSeries(ticker, '10d');
+        if (bars.length < 2) return null;
+
+        const last = bars[bars.length - 1];
+        const prev = bars[bars.length - 2];
+        return {
+            price: last.close,
+            change: last.close - prev.close,
+            changePercent: ((last.close - prev.close) / prev.close) * 100,
+            volume: null
+        };
+    }
+
+    // ========================================
+    // PROVIDER CONFIGURATION
+    // ========================================
+
+    static registerProvider(name, provider) {
+        providerState.providers.set(name, provider);
+        return provider;
+    }
+
+    static setDefaultProvider(name) {
+        if (!providerState.providers.has(name)) {
+            this.registerProvider(name, createProvider(name));
+        }
+        providerState.defaultProvider = name;
+    }
+
+    static setTickerProvider(ticker, name) {
+        if (!providerState.providers.has(name)) {
+            this.registerProvider(name, createProvider(name));
+        }
+        providerState.tickerProviders.set(ticker.toUpperCase(), name);
+    }
+
+    static getProvider(ticker) {
+        if (!providerState.defaultProvider) {
+            this.configureFromEnv();
+        }
+
+        const name = (ticker && providerState.tickerProviders.get(ticker.toUpperCase())) ||
+            providerState.defaultProvider;
+        return providerState.providers.get(name);
+    }
+
+    // MARKET_DATA_PROVIDER=yahoo|file|fixture
+    // MARKET_DATA_TICKER_PROVIDERS=^VIX:file,TLT:yahoo
+    static configureFromEnv(env = process.env) {
+        providerState.tickerProviders.clear();
+
+        this.setDefaultProvider(env.MARKET_DATA_PROVIDER || 'yahoo');
+
+        (env.MARKET_DATA_TICKER_PROVIDERS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .forEach(entry => {
+                const separator = entry.lastIndexOf(':');
+                if (separator <= 0) {
+                    console.warn(`⚠️ Ignoring malformed ticker provider override: ${entry}`);
+                    return;
+                }
+                try {
+                    this.setTickerProvider(entry.slice(0, separator), entry.slice(separator + 1));
+                } catch (error) {
+                    console.warn(`⚠️ Ignoring ticker provider override ${entry}: ${error.message}`);
+                }
+            });
+    }
+
+    static getProviderSummary() {
+        if (!providerState.defaultProvider) {
+            this.configureFromEnv();
+        }
+
+        return {
+            default: providerState.defaultProvider,
+            overrides: Object.fromEntries(providerState.tickerProviders)
+        };
+    }
 }
 
-module.exports = MarketDataService;
\ No newline at end of file
+MarketDataService.DEFAULT_INTRADAY_INTERVAL = DEFAULT_INTRADAY_INTERVAL;
+MarketDataService.BATCH_CONCURRENCY = BATCH_CONCURRENCY;
+MarketDataService.INTRADAY_INTERVALS = Object.keys(INTRADAY_INTERVALS);
+
+module.exports = MarketDataService;
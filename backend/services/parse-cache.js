@@ -0,0 +1,199 @@
+// ========================================
+// PARSE CACHE
+// File: backend/services/parse-cache.js
+// Reuses earlier LLM parses for equivalent questions: an in-memory cache keyed by normalized
+// query text, then a similarity lookup over recent parses stored in QueryHistory
+// ========================================
+
+const mongoose = require('mongoose');
+const SymbolResolver = require('./symbol-resolver');
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 500;
+
+// History lookups: how far back, how many candidates to score, and how close a match must be
+const HISTORY_LOOKBACK_DAYS = 30;
+const HISTORY_CANDIDATES = 200;
+const SIMILARITY_THRESHOLD = 0.75;
+
+// Words that carry no meaning for the parse
+const FILLER_WORDS = new Set([
+    'what', 'whats', 'happens', 'happened', 'happen', 'does', 'do', 'did', 'how', 'is', 'are', 'was',
+    'the', 'a', 'an', 'please', 'show', 'me', 'tell', 'give', 'us', 'i', 'want', 'to', 'know', 'can', 'you',
+    'typically', 'usually', 'historically', 'generally', 'performance', 'perform', 'return', 'next'
+]);
+
+const SYNONYMS = {
+    during: 'in',
+    within: 'in',
+    drops: 'drop',
+    dropped: 'drop',
+    falls: 'fall',
+    fell: 'fall',
+    rises: 'rise',
+    rose: 'rise',
+    gains: 'gain',
+    gained: 'gain',
+    following: 'after'
+};
+
+// Tokens two questions may not differ in and still share a parse
+const SIGNIFICANT_WORDS = new Set([
+    'up', 'down', 'above', 'below', 'over', 'under', 'gain', 'loss', 'drop', 'fall', 'rise', 'rally', 'gap',
+    'bullish', 'bearish', 'bull', 'bear', 'high', 'low', 'before', 'after', 'open', 'close',
+    'and', 'or', 'not', 'then', 'vs', 'versus', 'without', 'except', 'excluding',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+    'day', 'week', 'month', 'year', 'intraday', 'hour', 'minute', 'daily', 'weekly', 'monthly'
+]);
+
+// Parses of these depend on today's date, so they are never reused
+const RELATIVE_TIME = /\b(last|past|recent(ly)?|this year|ytd|year to date|today|yesterday|ago|since last)\b/i;
+
+const cacheState = {
+    entries: new Map() // normalized query -> { parse, storedAt }
+};
+
+class ParseCache {
+    // "What happens to SPY reversals during earnings season?" -> "spy reversal in earnings season".
+    // Lower-cases except all-caps words the symbol table would read differently (GOLD vs gold).
+    static normalizeQuery(text) {
+        const tokens = String(text)
+            .replace(/(\d)\s*(%|percent\b|pct\b)/gi, '$1%')
+            .replace(/(\d+)\.0+\b/g, '$1')
+            .split(/[^A-Za-z0-9%.^/&*+-]+/)
+            .map(token => token.replace(/^[.\-]+|[.\-]+$/g, ''))
+            .filter(Boolean)
+            .map(token => {
+                const lower = token.toLowerCase();
+                return token === token.toUpperCase() && /[A-Z]/.test(token) && SymbolResolver.lookup(lower) ? token : lower;
+            })
+            .map(token => SYNONYMS[token] || token)
+            .map(token => /^[a-z]{4,}s$/.test(token) && !token.endsWith('ss') ? token.slice(0, -1) : token)
+            .filter(token => !FILLER_WORDS.has(token));
+
+        return tokens.join(' ');
+    }
+
+    static isCacheable(query) {
+        return !RELATIVE_TIME.test(query);
+    }
+
+    // Returns { parse, source: 'parse_cache' | 'history', matchedQuery } or null
+    static async lookup(query) {
+        if (!this.isCacheable(query)) return null;
+        const key = this.normalizeQuery(query);
+        if (!key) return null;
+
+        const entry = cacheState.entries.get(key);
+        if (entry && Date.now() - entry.storedAt < CACHE_TTL_MS) {
+            // Re-insert to keep recently used entries at the back of the eviction order
+            cacheState.entries.delete(key);
+            cacheState.entries.set(key, entry);
+            return { parse: clone(entry.parse), source: 'parse_cache', matchedQuery: key };
+        }
+        if (entry) cacheState.entries.delete(key);
+
+        return this.lookupHistory(key);
+    }
+
+    // Stores a validated LLM parse; fallbacks and low-information parses are not worth reusing
+    static store(query, parse) {
+        if (!parse || parse.fallback || parse.parser !== 'llm' || !this.isCacheable(query)) return;
+        const key = this.normalizeQuery(query);
+        if (!key) return;
+
+        const { validation, parse_source, ...stored } = parse;
+        cacheState.entries.delete(key);
+        cacheState.entries.set(key, { parse: clone(stored), storedAt: Date.now() });
+        if (cacheState.entries.size > MAX_ENTRIES) {
+            cacheState.entries.delete(cacheState.entries.keys().next().value);
+        }
+    }
+
+    // Exact normalized match first, then the closest recent question whose differences are only
+    // in words that do not change the parse
+    static async lookupHistory(key) {
+        const History = mongoose.models.QueryHistory;
+        if (!History || mongoose.connection.readyState !== 1) return null;
+
+        try {
+            const since = new Date(Date.now() - HISTORY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+            const filter = { createdAt: { $gte: since }, 'parse.parser': 'llm', 'parse.fallback': { $ne: true } };
+
+            const exact = await History.findOne({ ...filter, normalizedQuery: key })
+                .sort({ createdAt: -1 })
+                .select('parse normalizedQuery')
+                .lean();
+            if (exact) return this.fromHistory(key, exact);
+
+            const candidates = await History.find({ ...filter, normalizedQuery: { $exists: true } })
+                .sort({ createdAt: -1 })
+                .limit(HISTORY_CANDIDATES)
+                .select('parse normalizedQuery')
+                .lean();
+
+            let best = null;
+            for (const candidate of candidates) {
+                const score = this.similarity(key, candidate.normalizedQuery);
+                if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+                    best = { score, candidate };
+                }
+            }
+            return best ? this.fromHistory(key, best.candidate) : null;
+        } catch (error) {
+            console.warn('Parse history lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    static fromHistory(key, doc) {
+        const { validation, parse_source, ...parse } = doc.parse;
+        this.store(key, parse);
+        return { parse, source: 'history', matchedQuery: doc.normalizedQuery };
+    }
+
+    // 0 unless both questions have the same significant tokens (numbers, symbols and names,
+    // direction, timing, operators) in the same order - "AAPL up then MSFT down" is not
+    // "AAPL down then MSFT up". The remaining words are compared as sets (Jaccard). Short
+    // words may be lower-cased tickers, so they count as significant too.
+    static similarity(a, b) {
+        const left = a.split(' ');
+        const right = b.split(' ');
+        const significantLeft = left.filter(token => this.isSignificant(token));
+        const significantRight = right.filter(token => this.isSignificant(token));
+
+        if (significantLeft.join(' ') !== significantRight.join(' ')) return 0;
+
+        const fillerLeft = new Set(left.filter(token => !this.isSignificant(token)));
+        const fillerRight = new Set(right.filter(token => !this.isSignificant(token)));
+        if (fillerLeft.size + fillerRight.size === 0) return 1;
+
+        const shared = [...fillerLeft].filter(token => fillerRight.has(token)).length;
+        return shared / (fillerLeft.size + fillerRight.size - shared);
+    }
+
+    static isSignificant(token) {
+        return /[\d%^/]/.test(token)
+            || token !== token.toLowerCase()
+            || SIGNIFICANT_WORDS.has(token)
+            || Boolean(SymbolResolver.lookup(token))
+            || /^[a-z]{1,5}$/.test(token);
+    }
+
+    static getStats() {
+        return { entries: cacheState.entries.size, maxEntries: MAX_ENTRIES };
+    }
+
+    static clear() {
+        cacheState.entries.clear();
+    }
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+ParseCache.SIMILARITY_THRESHOLD = SIMILARITY_THRESHOLD;
+
+module.exports = ParseCache;
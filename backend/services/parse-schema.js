@@ -0,0 +1,566 @@
+// ========================================
+// PARSE SCHEMA
+// File: backend/services/parse-schema.js
+// Validates and normalizes parsed queries (LLM or rule-based) before any engine runs
+// ========================================
+
+const SyntheticSymbols = require('./synthetic-symbols');
+const PriceAdjustment = require('./price-adjustment');
+const EventComposition = require('./event-composition');
+const SymbolResolver = require('./symbol-resolver');
+const EngineRegistry = require('./engine-registry');
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, hundred: 100
+};
+
+const WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY'];
+const MONTHS = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'];
+
+const CONTEXT_FILTERS = [
+    'EARNINGS_SEASON',
+    'FED_MEETING',
+    'OPTIONS_EXPIRATION',
+    'DAY_OF_WEEK',
+    'MONTH_OF_YEAR',
+    'HOLIDAY_EFFECT',
+    'MARKET_HOURS'
+];
+
+const OPERATOR_ALIASES = { ALL: 'AND', BOTH: 'AND', ANY: 'OR', EITHER: 'OR', FOLLOWED_BY: 'THEN', SEQUENCE: 'THEN' };
+const THEN_WITHIN = { type: 'integer', min: 1, max: 252, default: 5 };
+
+const ADDITIONAL_FILTER_SCHEMA = {
+    day_filter: { type: 'array', items: { type: 'enum', values: WEEKDAYS, upper: true, aliases: Object.fromEntries(WEEKDAYS.flatMap(day => [[day.slice(0, 3), day], [`${day}S`, day]])) } },
+    month_filter: { type: 'array', items: { type: 'month' } },
+    holiday_window: { type: 'enum', values: ['before', 'after', 'both'], default: 'both' },
+    holiday_days: { type: 'integer', min: 1, max: 10 },
+    market_session: { type: 'enum', values: ['regular', 'extended', 'opening', 'midday', 'closing', 'full_day', 'early_close'] },
+    market_hours_start: { type: 'time' },
+    market_hours_end: { type: 'time' }
+};
+
+// Top-level keys that pass through untouched
+const PASSTHROUGH_FIELDS = ['parser', 'parse_source', 'fallback', 'timeframes'];
+
+// Comparison variants override these fields of the base event; each one is a full engine run
+const VARIANT_FIELDS = ['label', 'ticker', 'parameters', 'context_filters', 'additional_filters'];
+const MAX_VARIANTS = 4;
+
+// Thrown when a parse cannot be repaired; validation holds { normalized, rejected, defaulted, ambiguous }
+class ParseValidationError extends Error {
+    constructor(message, validation) {
+        super(message);
+        this.name = 'ParseValidationError';
+        this.validation = validation;
+    }
+}
+
+class ParseSchema {
+    // Returns { valid, result, normalized: [{ field, from, to, reason }], rejected: [{ field, value, reason }], defaulted: [field],
+    // ambiguous: [{ field, value, candidates, chosen }] }
+    // requireTicker: false for callers that supply the ticker themselves (universe scans)
+    static validate(parsed, { requireTicker = true } = {}) {
+        const report = { normalized: [], rejected: [], defaulted: [], ambiguous: [] };
+        const result = {};
+
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            report.rejected.push({ field: '(root)', value: parsed, reason: 'expected a JSON object' });
+            return { valid: false, result: null, ...report };
+        }
+
+        // Event type
+        const eventType = typeof parsed.event_type === 'string'
+            ? parsed.event_type.trim().toUpperCase().replace(/[\s-]+/g, '_')
+            : parsed.event_type;
+        if (!EngineRegistry.has(eventType)) {
+            report.rejected.push({ field: 'event_type', value: parsed.event_type, reason: `unknown event type - use one of: ${EngineRegistry.ids().join(', ')}` });
+        } else {
+            this.noteChange(report, 'event_type', parsed.event_type, eventType, 'normalized case');
+            result.event_type = eventType;
+        }
+
+        // Ticker
+        if (parsed.ticker === undefined || parsed.ticker === null || parsed.ticker === '') {
+            if (requireTicker) {
+                report.rejected.push({ field: 'ticker', value: parsed.ticker, reason: 'a ticker symbol is required' });
+            }
+        } else {
+            this.assign(result, 'ticker', this.coerce(parsed.ticker, { type: 'ticker' }, 'ticker', report));
+        }
+
+        // Parameters
+        const schema = EngineRegistry.getSchema(eventType);
+        if (schema) {
+            result.parameters = this.validateObject(parsed.parameters, schema, 'parameters', report);
+            this.checkEngineRules(eventType, result.parameters, report);
+        }
+
+        // Context filters
+        result.context_filters = this.validateContextFilters(parsed.context_filters, report);
+        result.additional_filters = this.validateObject(parsed.additional_filters, ADDITIONAL_FILTER_SCHEMA, 'additional_filters', report, { applyDefaults: false });
+        this.checkFilterRules(result.context_filters, result.additional_filters, report);
+
+        // Date range, price basis, universe
+        this.validateDates(parsed, result, report);
+
+        if (parsed.price_basis !== undefined && parsed.price_basis !== null && parsed.price_basis !== '') {
+            try {
+                const basis = PriceAdjustment.normalizeBasis(parsed.price_basis);
+                this.noteChange(report, 'price_basis', parsed.price_basis, basis, 'normalized alias');
+                result.price_basis = basis;
+            } catch (error) {
+                report.rejected.push({ field: 'price_basis', value: parsed.price_basis, reason: error.message });
+            }
+        }
+
+        if (parsed.universe !== undefined && parsed.universe !== null) {
+            if (typeof parsed.universe === 'string' || (Array.isArray(parsed.universe) && parsed.universe.every(t => typeof t === 'string'))) {
+                result.universe = parsed.universe;
+            } else {
+                report.rejected.push({ field: 'universe', value: parsed.universe, reason: 'expected a universe name or a list of symbols' });
+            }
+        }
+
+        if (parsed.variants !== undefined && parsed.variants !== null && result.event_type) {
+            const variants = this.validateVariants(parsed, report, { requireTicker });
+            if (variants) result.variants = variants;
+        }
+
+        // Description and confidence are informational: repair rather than reject
+        result.description = typeof parsed.description === 'string' && parsed.description.trim()
+            ? parsed.description.trim()
+            : `${result.event_type || 'Event'} analysis${result.ticker ? ` for ${result.ticker}` : ''}`;
+        const confidence = parseFloat(parsed.confidence);
+        if (isFinite(confidence)) {
+            result.confidence = Math.min(Math.max(confidence, 0), 1);
+        }
+
+        PASSTHROUGH_FIELDS.forEach(field => {
+            if (parsed[field] !== undefined) result[field] = parsed[field];
+        });
+
+        const known = ['event_type', 'ticker', 'parameters', 'context_filters', 'additional_filters', 'start_date', 'end_date',
+            'price_basis', 'universe', 'variants', 'description', 'confidence', ...PASSTHROUGH_FIELDS];
+        Object.keys(parsed)
+            .filter(key => !known.includes(key))
+            .forEach(key => report.normalized.push({ field: key, from: parsed[key], to: undefined, reason: 'removed unknown field' }));
+
+        return { valid: report.rejected.length === 0, result, ...report };
+    }
+
+    // Throws ParseValidationError unless the parse is valid; returns the normalized parse with its report attached
+    static assertValid(parsed, options = {}) {
+        const { valid, result, normalized, rejected, defaulted, ambiguous } = this.validate(parsed, options);
+        const validation = { normalized, rejected, defaulted, ambiguous };
+
+        if (!valid) {
+            const reasons = rejected.map(r => `${r.field}: ${r.reason}`).join('; ');
+            throw new ParseValidationError(`Parsed query failed validation - ${reasons}`, validation);
+        }
+        return { ...result, validation };
+    }
+
+    // ========================================
+    // FIELD COERCION
+    // ========================================
+
+    static validateObject(value, schema, path, report, { applyDefaults = true } = {}) {
+        const output = {};
+        if (value === undefined || value === null) {
+            value = {};
+        } else if (typeof value !== 'object' || Array.isArray(value)) {
+            report.rejected.push({ field: path, value, reason: 'expected an object' });
+            return output;
+        }
+
+        for (const [key, spec] of Object.entries(schema)) {
+            const field = `${path}.${key}`;
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                if (spec.required) {
+                    report.rejected.push({ field, value: value[key], reason: 'is required' });
+                } else if (applyDefaults && spec.default !== undefined) {
+                    output[key] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+                    report.defaulted.push(field);
+                }
+                continue;
+            }
+            this.assign(output, key, this.coerce(value[key], spec, field, report));
+        }
+
+        Object.keys(value)
+            .filter(key => !schema[key])
+            .forEach(key => report.normalized.push({ field: `${path}.${key}`, from: value[key], to: undefined, reason: 'removed unknown parameter' }));
+
+        return output;
+    }
+
+    // Returns the coerced value, or undefined after recording a rejection
+    static coerce(value, spec, field, report) {
+        const reject = reason => {
+            report.rejected.push({ field, value, reason });
+            return undefined;
+        };
+
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                let number = this.toNumber(value);
+                if (number === null) return reject('expected a number');
+                if (spec.type === 'integer' && !Number.isInteger(number)) {
+                    number = Math.round(number);
+                }
+                if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+                    return reject(`must be between ${spec.min} and ${spec.max}`);
+                }
+                this.noteChange(report, field, value, number, spec.type === 'integer' ? 'coerced to integer' : 'coerced to number');
+                return number;
+            }
+
+            case 'enum': {
+                if (typeof value !== 'string') return reject(`expected one of: ${spec.values.join(', ')}`);
+                const text = value.trim();
+                const key = spec.upper ? text.toUpperCase() : text.toLowerCase();
+                const match = spec.values.includes(key) ? key
+                    : spec.aliases?.[key] || spec.aliases?.[text.toLowerCase()] || spec.values.find(option => option.toLowerCase() === text.toLowerCase());
+                if (!match) return reject(`expected one of: ${spec.values.join(', ')}`);
+                this.noteChange(report, field, value, match, 'normalized option');
+                return match;
+            }
+
+            case 'string':
+                return typeof value === 'string' ? value.trim() : reject('expected a string');
+
+            case 'ticker': {
+                if (typeof value !== 'string') return reject('expected a ticker symbol');
+                try {
+                    // Company, index, sector and macro names become symbols ("the dollar" -> UUP)
+                    const resolution = SymbolResolver.normalize(value);
+                    const synthetic = SyntheticSymbols.parse(resolution.symbol);
+                    if (!synthetic && !/^\^?[A-Z0-9][A-Z0-9.=-]{0,14}$/.test(resolution.symbol)) {
+                        return reject('not a valid ticker symbol or known name');
+                    }
+                    const normalized = synthetic ? synthetic.symbol : resolution.symbol;
+                    resolution.ambiguous.forEach(entry => report.ambiguous.push({ field, ...entry }));
+                    this.noteChange(report, field, value, normalized, resolution.resolved.length > 0
+                        ? `resolved ${resolution.resolved.map(entry => `"${entry.from}" as ${entry.name}`).join(', ')}`
+                        : resolution.ambiguous.length > 0 ? 'ambiguous name - first candidate used' : 'normalized symbol');
+                    return normalized;
+                } catch (error) {
+                    return reject(error.message);
+                }
+            }
+
+            case 'time': {
+                const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+                if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return reject('expected HH:MM (exchange time)');
+                const time = `${match[1].padStart(2, '0')}:${match[2]}`;
+                this.noteChange(report, field, value, time, 'normalized time');
+                return time;
+            }
+
+            case 'monthDay': {
+                const match = /^(\d{1,2})[-/](\d{1,2})$/.exec(String(value).trim());
+                if (!match || parseInt(match[1]) < 1 || parseInt(match[1]) > 12 || parseInt(match[2]) < 1 || parseInt(match[2]) > 31) {
+                    return reject('expected MM-DD');
+                }
+                const monthDay = `${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+                this.noteChange(report, field, value, monthDay, 'normalized date');
+                return monthDay;
+            }
+
+            case 'month': {
+                const number = this.toNumber(value);
+                const index = number !== null ? number - 1
+                    : MONTHS.findIndex(month => typeof value === 'string' && value.trim().length >= 3 && month.startsWith(value.trim().toUpperCase()));
+                if (!Number.isInteger(index) || index < 0 || index > 11) return reject('expected a month (1-12 or a month name)');
+                this.noteChange(report, field, value, index + 1, 'converted month');
+                return index + 1;
+            }
+
+            case 'array': {
+                const list = Array.isArray(value) ? value : [value];
+                if (!Array.isArray(value)) {
+                    report.normalized.push({ field, from: value, to: list, reason: 'wrapped single value in a list' });
+                }
+                const items = list.map((item, i) => this.coerce(item, spec.items, `${field}[${i}]`, report));
+                return items.every(item => item !== undefined) ? items : undefined;
+            }
+
+            case 'object':
+                return this.validateObject(value, spec.fields, field, report, { applyDefaults: true });
+
+            case 'expression':
+                return this.validateExpression(value, field, report);
+
+            default:
+                return value;
+        }
+    }
+
+    // Composite event trees: leaves are { event_type, ticker?, parameters } for a composable engine,
+    // inner nodes { op: AND | OR, operands }, { op: NOT, operand } or { op: THEN, first, then, within }.
+    // Returns the normalized tree, or undefined after recording rejections.
+    static validateExpression(node, field, report, state = { depth: 0, counter: { leaves: 0 } }) {
+        const reject = reason => {
+            report.rejected.push({ field, value: node, reason });
+            return undefined;
+        };
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return reject('expected an event ({ event_type, parameters }) or an operator node ({ op, ... })');
+        }
+        if (state.depth > EventComposition.MAX_DEPTH) {
+            return reject(`expressions can nest at most ${EventComposition.MAX_DEPTH} levels`);
+        }
+        const child = (value, path) => this.validateExpression(value, path, report, { depth: state.depth + 1, counter: state.counter });
+
+        if (node.op === undefined || node.op === null) {
+            const eventType = typeof node.event_type === 'string' ? node.event_type.trim().toUpperCase().replace(/[\s-]+/g, '_') : node.event_type;
+            const composable = EngineRegistry.getComposable();
+            if (!composable.includes(eventType)) {
+                report.rejected.push({ field: `${field}.event_type`, value: node.event_type, reason: `cannot be combined - use one of: ${composable.join(', ')}` });
+                return undefined;
+            }
+            if (++state.counter.leaves > EventComposition.MAX_LEAVES) {
+                return reject(`an expression can combine at most ${EventComposition.MAX_LEAVES} events`);
+            }
+            this.noteChange(report, `${field}.event_type`, node.event_type, eventType, 'normalized case');
+
+            const leaf = { event_type: eventType };
+            if (node.ticker !== undefined && node.ticker !== null && node.ticker !== '') {
+                this.assign(leaf, 'ticker', this.coerce(node.ticker, { type: 'ticker' }, `${field}.ticker`, report));
+            }
+            leaf.parameters = this.validateObject(node.parameters, EngineRegistry.getSchema(eventType), `${field}.parameters`, report);
+            this.checkEngineRules(eventType, leaf.parameters, report);
+            return leaf;
+        }
+
+        const name = typeof node.op === 'string' ? node.op.trim().toUpperCase().replace(/[\s-]+/g, '_') : node.op;
+        const op = OPERATOR_ALIASES[name] || name;
+        if (!EventComposition.OPERATORS.includes(op)) {
+            report.rejected.push({ field: `${field}.op`, value: node.op, reason: `unknown operator - use one of: ${EventComposition.OPERATORS.join(', ')}` });
+            return undefined;
+        }
+        this.noteChange(report, `${field}.op`, node.op, op, 'normalized operator');
+        const operands = Array.isArray(node.operands) ? node.operands : null;
+
+        switch (op) {
+            case 'AND':
+            case 'OR': {
+                if (!operands || operands.length < 2) {
+                    report.rejected.push({ field: `${field}.operands`, value: node.operands, reason: `${op} needs at least two operands` });
+                    return undefined;
+                }
+                const children = operands.map((operand, i) => child(operand, `${field}.operands[${i}]`));
+                return children.every(Boolean) ? { op, operands: children } : undefined;
+            }
+            case 'NOT': {
+                const operand = node.operand !== undefined ? node.operand : (operands && operands.length === 1 ? operands[0] : undefined);
+                const inner = child(operand, `${field}.operand`);
+                return inner ? { op, operand: inner } : undefined;
+            }
+            case 'THEN': {
+                const first = child(node.first !== undefined ? node.first : operands?.[0], `${field}.first`);
+                const then = child(node.then !== undefined ? node.then : operands?.[1], `${field}.then`);
+                let within = THEN_WITHIN.default;
+                if (node.within === undefined || node.within === null || node.within === '') {
+                    report.defaulted.push(`${field}.within`);
+                } else {
+                    within = this.coerce(node.within, THEN_WITHIN, `${field}.within`, report);
+                }
+                return first && then && within !== undefined ? { op, first, then, within } : undefined;
+            }
+        }
+    }
+
+    // Numbers, numeric strings ("5", "2.5%", "1,000") and number words ("five")
+    static toNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim().toLowerCase().replace(/,/g, '').replace(/%$/, '').trim();
+        if (/^[-+]?\d*\.?\d+$/.test(text)) return parseFloat(text);
+        return NUMBER_WORDS[text] !== undefined ? NUMBER_WORDS[text] : null;
+    }
+
+    static noteChange(report, field, from, to, reason) {
+        if (from !== to) {
+            report.normalized.push({ field, from, to, reason });
+        }
+    }
+
+    static assign(target, key, value) {
+        if (value !== undefined) target[key] = value;
+    }
+
+    // ========================================
+    // CROSS-FIELD RULES
+    // ========================================
+
+    static validateContextFilters(value, report) {
+        if (value === undefined || value === null) return [];
+
+        const list = Array.isArray(value) ? value : [value];
+        const filters = [];
+        list.forEach((filter, i) => {
+            const name = typeof filter === 'string' ? filter.trim().toUpperCase().replace(/[\s-]+/g, '_') : filter;
+            if (!CONTEXT_FILTERS.includes(name)) {
+                report.rejected.push({ field: `context_filters[${i}]`, value: filter, reason: `unknown context filter - use one of: ${CONTEXT_FILTERS.join(', ')}` });
+                return;
+            }
+            this.noteChange(report, `context_filters[${i}]`, filter, name, 'normalized filter name');
+            if (!filters.includes(name)) filters.push(name);
+        });
+        return filters;
+    }
+
+    static checkFilterRules(filters, additional, report) {
+        if (filters.includes('DAY_OF_WEEK') && !(additional.day_filter && additional.day_filter.length > 0)) {
+            report.rejected.push({ field: 'additional_filters.day_filter', value: additional.day_filter, reason: 'DAY_OF_WEEK needs the weekdays to keep' });
+        }
+        if (filters.includes('MONTH_OF_YEAR') && !(additional.month_filter && additional.month_filter.length > 0)) {
+            report.rejected.push({ field: 'additional_filters.month_filter', value: additional.month_filter, reason: 'MONTH_OF_YEAR needs the months to keep' });
+        }
+        if (Boolean(additional.market_hours_start) !== Boolean(additional.market_hours_end)) {
+            report.rejected.push({ field: 'additional_filters.market_hours_end', value: additional.market_hours_end, reason: 'market_hours_start and market_hours_end go together' });
+        }
+    }
+
+    static checkEngineRules(eventType, parameters, report) {
+        if (eventType === 'MACRO_EVENT') {
+            const legacy = ['cpi_threshold', 'dxy_threshold', 'rate_threshold'].some(key => parameters[key] !== undefined);
+            if ((parameters.conditions || []).length === 0 && !legacy) {
+                report.rejected.push({ field: 'parameters.conditions', value: parameters.conditions, reason: 'at least one macro condition is required' });
+            }
+        }
+        if (eventType === 'INTRADAY_PATTERN' && parameters.window === 'custom' && !(parameters.window_start && parameters.window_end)) {
+            report.rejected.push({ field: 'parameters.window_start', value: parameters.window_start, reason: 'a custom window needs window_start and window_end' });
+        }
+        if (eventType === 'INDICATOR_THRESHOLD') {
+            const given = ['value', 'reference', 'percentile'].filter(key => parameters[key] !== undefined);
+            if (given.length !== 1) {
+                report.rejected.push({ field: 'parameters.value', value: parameters.value, reason: 'give exactly one of value, reference or percentile' });
+            }
+        }
+        if (eventType === 'MA_CROSSOVER' && parameters.fast_period >= parameters.slow_period) {
+            report.rejected.push({ field: 'parameters.fast_period', value: parameters.fast_period, reason: 'must be shorter than slow_period' });
+        }
+        if (eventType === 'STREAK' && parameters.window !== undefined && parameters.window < parameters.length) {
+            report.rejected.push({ field: 'parameters.window', value: parameters.window, reason: 'must be at least length' });
+        }
+        if (eventType === 'SECTOR_SPREAD' && parameters.sector_a && parameters.sector_a === parameters.sector_b) {
+            report.rejected.push({ field: 'parameters.sector_b', value: parameters.sector_b, reason: 'must differ from sector_a' });
+        }
+    }
+
+    static validateDates(parsed, result, report) {
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+        const clean = value => (value === undefined || value === null || value === '') ? undefined : String(value).trim();
+
+        const start = clean(parsed.start_date);
+        const end = clean(parsed.end_date);
+
+        if (start !== undefined) {
+            const value = start.toLowerCase() === 'max' ? 'max' : start;
+            if (value === 'max' || isDate(value)) {
+                result.start_date = value;
+            } else {
+                report.rejected.push({ field: 'start_date', value: parsed.start_date, reason: 'expected YYYY-MM-DD or "max"' });
+            }
+        }
+        if (end !== undefined) {
+            if (isDate(end)) {
+                result.end_date = end;
+            } else {
+                report.rejected.push({ field: 'end_date', value: parsed.end_date, reason: 'expected YYYY-MM-DD' });
+            }
+        }
+        if (result.start_date && result.end_date && result.start_date !== 'max' && result.start_date >= result.end_date) {
+            report.rejected.push({ field: 'end_date', value: result.end_date, reason: 'must be after start_date' });
+        }
+    }
+
+    // Each variant is the base event with its own overrides, validated as a whole parse.
+    // Returns [{ label, ticker, parameters, context_filters, additional_filters }] or null.
+    static validateVariants(parsed, report, options) {
+        const variants = parsed.variants;
+        if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+            report.rejected.push({ field: 'variants', value: variants, reason: `expected 2-${MAX_VARIANTS} variants to compare` });
+            return null;
+        }
+
+        const resolved = variants.map((variant, i) => {
+            const path = `variants[${i}]`;
+            if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+                report.rejected.push({ field: path, value: variant, reason: 'expected an object of overrides' });
+                return null;
+            }
+            Object.keys(variant)
+                .filter(key => !VARIANT_FIELDS.includes(key))
+                .forEach(key => report.normalized.push({ field: `${path}.${key}`, from: variant[key], to: undefined, reason: `removed - variants may only set ${VARIANT_FIELDS.join(', ')}` }));
+
+            const additional = { ...(parsed.additional_filters || {}), ...(variant.additional_filters || {}) };
+            const filters = [...(variant.context_filters || parsed.context_filters || [])];
+            // A weekday or month override implies its filter ("Friday vs Monday")
+            if (variant.additional_filters?.day_filter && !filters.includes('DAY_OF_WEEK')) filters.push('DAY_OF_WEEK');
+            if (variant.additional_filters?.month_filter && !filters.includes('MONTH_OF_YEAR')) filters.push('MONTH_OF_YEAR');
+
+            const check = this.validate({
+                event_type: parsed.event_type,
+                ticker: variant.ticker || parsed.ticker,
+                parameters: { ...(parsed.parameters || {}), ...(variant.parameters || {}) },
+                context_filters: filters,
+                additional_filters: additional
+            }, options);
+            check.rejected.forEach(rejection => report.rejected.push({ ...rejection, field: `${path}.${rejection.field}` }));
+            if (!check.valid) return null;
+
+            return {
+                label: typeof variant.label === 'string' && variant.label.trim()
+                    ? variant.label.trim()
+                    : this.describeVariant(variant, check.result) || `Variant ${i + 1}`,
+                ticker: check.result.ticker,
+                parameters: check.result.parameters,
+                context_filters: check.result.context_filters,
+                additional_filters: check.result.additional_filters
+            };
+        });
+        if (resolved.includes(null)) return null;
+
+        // Labels key the comparison table, so they must be distinct
+        const seen = new Map();
+        resolved.forEach(variant => {
+            const count = (seen.get(variant.label) || 0) + 1;
+            seen.set(variant.label, count);
+            if (count > 1) variant.label = `${variant.label} (${count})`;
+        });
+        return resolved;
+    }
+
+    // Default label from the overridden fields, using their normalized values ("FRIDAY", "QQQ")
+    static describeVariant(variant, normalized) {
+        const parts = [];
+        if (variant.ticker) parts.push(normalized.ticker);
+        Object.keys(variant.additional_filters || {}).forEach(key => {
+            const value = normalized.additional_filters[key];
+            if (value !== undefined) parts.push(Array.isArray(value) ? value.join('/') : String(value));
+        });
+        Object.keys(variant.parameters || {}).forEach(key => parts.push(`${key}=${normalized.parameters[key]}`));
+        return parts.join(', ');
+    }
+
+    static getEngineSchema(eventType) {
+        return EngineRegistry.getSchema(eventType);
+    }
+
+    // Read from the registry each time so engines registered at runtime are included
+    static get EVENT_TYPES() {
+        return EngineRegistry.ids();
+    }
+}
+
+ParseSchema.CONTEXT_FILTERS = CONTEXT_FILTERS;
+ParseSchema.MAX_VARIANTS = MAX_VARIANTS;
+
+module.exports = { ParseSchema, ParseValidationError };
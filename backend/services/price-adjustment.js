@@ -0,0 +1,144 @@
+// ========================================
+// PRICE ADJUSTMENT SERVICE
+// File: backend/services/price-adjustment.js
+// Corporate-action aware price bases (raw / split-adjusted / total-return)
+// ========================================
+
+const PRICE_BASES = ['raw', 'split_adjusted', 'total_return'];
+const DEFAULT_PRICE_BASIS = 'split_adjusted';
+
+const BASIS_ALIASES = {
+    'raw': 'raw',
+    'unadjusted': 'raw',
+    'split_adjusted': 'split_adjusted',
+    'split-adjusted': 'split_adjusted',
+    'split': 'split_adjusted',
+    'adjusted': 'split_adjusted',
+    'total_return': 'total_return',
+    'total-return': 'total_return',
+    'tr': 'total_return',
+    'dividend_adjusted': 'total_return'
+};
+
+class PriceAdjustment {
+    static normalizeBasis(value) {
+        if (value === undefined || value === null || value === '') {
+            return DEFAULT_PRICE_BASIS;
+        }
+
+        const basis = BASIS_ALIASES[String(value).trim().toLowerCase()];
+        if (!basis) {
+            throw new Error(`Invalid price_basis "${value}" - use one of: ${PRICE_BASES.join(', ')}`);
+        }
+        return basis;
+    }
+
+    // Whether corporate actions are required to turn the provider's bars into the requested basis
+    static needsCorporateActions(bars, basis, { splitAdjusted = false } = {}) {
+        if (basis === 'total_return') {
+            return !this.hasAdjustedClose(bars);
+        }
+        return splitAdjusted ? basis === 'raw' : basis === 'split_adjusted';
+    }
+
+    // bars: provider bars, optionally carrying adjClose (split + dividend adjusted close)
+    // actions: { splits: [{ date, ratio }], dividends: [{ date, amount }] } in the same price terms as bars
+    // splitAdjusted: whether the provider already back-adjusted OHLC for splits (Yahoo does)
+    static apply(bars, actions = {}, { basis = DEFAULT_PRICE_BASIS, splitAdjusted = false } = {}) {
+        if (bars.length === 0) return [];
+
+        // Vendor adjusted closes already fold in splits and dividends - scale OHLC by the same factor
+        if (basis === 'total_return' && this.hasAdjustedClose(bars)) {
+            return bars.map(bar => this.scaleBar(bar, bar.adjClose / bar.close, 1));
+        }
+
+        const splits = [...(actions.splits || [])]
+            .filter(split => split.ratio > 0 && split.ratio !== 1)
+            .sort((a, b) => a.date - b.date);
+        let dividends = [...(actions.dividends || [])]
+            .filter(dividend => dividend.amount > 0)
+            .sort((a, b) => a.date - b.date);
+
+        let rawBars = bars;
+        if (splitAdjusted) {
+            rawBars = bars.map(bar => {
+                const factor = this.splitFactorAfter(bar.date, splits);
+                return this.scaleBar(bar, factor, factor);
+            });
+            dividends = dividends.map(d => ({ ...d, amount: d.amount * this.splitFactorAfter(d.date, splits) }));
+        }
+
+        if (basis === 'raw') {
+            return rawBars.map(bar => this.scaleBar(bar, 1, 1));
+        }
+
+        const splitBars = rawBars.map(bar => {
+            const factor = 1 / this.splitFactorAfter(bar.date, splits);
+            return this.scaleBar(bar, factor, factor);
+        });
+        if (basis === 'split_adjusted') {
+            return splitBars;
+        }
+
+        const splitDividends = dividends.map(d => ({ ...d, amount: d.amount / this.splitFactorAfter(d.date, splits) }));
+        return this.applyDividends(splitBars, splitDividends);
+    }
+
+    // Cumulative split ratio for splits strictly after the given date
+    static splitFactorAfter(date, splits) {
+        return splits.reduce((factor, split) => split.date > date ? factor * split.ratio : factor, 1);
+    }
+
+    // CRSP-style back adjustment: every bar before an ex-date is scaled by (1 - dividend / prior close)
+    static applyDividends(bars, dividends) {
+        const factors = new Array(bars.length).fill(1);
+
+        for (const dividend of dividends) {
+            const exIndex = bars.findIndex(bar => bar.date >= dividend.date);
+            if (exIndex <= 0) continue;
+
+            const priorClose = bars[exIndex - 1].close;
+            const factor = 1 - dividend.amount / priorClose;
+            if (!(factor > 0 && factor < 1)) continue;
+
+            for (let i = 0; i < exIndex; i++) {
+                factors[i] *= factor;
+            }
+        }
+
+        return bars.map((bar, i) => this.scaleBar(bar, factors[i], 1));
+    }
+
+    // Prices scale by priceFactor; share counts move inversely to volumeFactor (splits only).
+    // Markers such as `filled` (set by data-quality repair) are carried through.
+    static scaleBar(bar, priceFactor, volumeFactor) {
+        const scaled = {
+            date: bar.date,
+            open: bar.open * priceFactor,
+            high: bar.high * priceFactor,
+            low: bar.low * priceFactor,
+            close: bar.close * priceFactor,
+            volume: bar.volume == null ? bar.volume : Math.round(bar.volume / volumeFactor)
+        };
+        if (bar.filled) scaled.filled = true;
+        return scaled;
+    }
+
+    static hasAdjustedClose(bars) {
+        return bars.length > 0 && bars.every(bar => bar.adjClose > 0 && bar.close > 0);
+    }
+
+    static describeBasis(basis) {
+        const descriptions = {
+            raw: 'Raw prices (unadjusted)',
+            split_adjusted: 'Split-adjusted prices',
+            total_return: 'Total return (split and dividend adjusted)'
+        };
+        return descriptions[basis] || basis;
+    }
+}
+
+PriceAdjustment.PRICE_BASES = PRICE_BASES;
+PriceAdjustment.DEFAULT_PRICE_BASIS = DEFAULT_PRICE_BASIS;
+
+module.exports = PriceAdjustment;
@@ -0,0 +1,168 @@
+// ========================================
+// QUERY CLARIFIER
+// File: backend/services/query-clarifier.js
+// Decides when a parsed query should be confirmed by the user, and what to ask
+// ========================================
+
+const { ParseSchema } = require('./parse-schema');
+const EngineRegistry = require('./engine-registry');
+
+// Parses below this confidence are shown for confirmation instead of being run
+const CLARIFY_CONFIDENCE = 0.7;
+
+// Size choices offered when an engine's magnitude definition has none
+const MAGNITUDE_OPTIONS = [1, 2, 3, 5];
+
+const VAGUE_SIZE = /\b(big|large|huge|sharp|major|significant|massive|strong|steep|outsized)\b/i;
+const VAGUE_PERIOD = /\b(recent(ly)?|lately|these days|nowadays|past (few|couple of) (months|years))\b/i;
+const VAGUE_MARKET = /\b(the market|stocks|equities|tech|small caps|bonds|gold|oil|the dollar|crypto)\b/i;
+
+class QueryClarifier {
+    // Returns { needsConfirmation, reasons: [string], questions: [...], editableParameters: [...] }
+    // parsed: a ParseSchema-validated parse (with .validation)
+    static review(query, parsed, { now = new Date() } = {}) {
+        const reasons = [];
+        const questions = [];
+        const text = String(query || '');
+        const hasNumber = /\d/.test(text);
+        const defaulted = parsed.validation?.defaulted || [];
+
+        if (typeof parsed.confidence === 'number' && parsed.confidence < CLARIFY_CONFIDENCE) {
+            reasons.push(`Parser confidence ${Math.round(parsed.confidence * 100)}% is below ${Math.round(CLARIFY_CONFIDENCE * 100)}%`);
+        }
+        if (parsed.fallback) {
+            reasons.push('The AI parser failed; this interpretation comes from the rule-based parser');
+        }
+
+        // Size: a vague word, or no number at all for the event's main threshold
+        // The parameter a vague size word ("big gap") is really asking about comes from the engine definition
+        const magnitude = EngineRegistry.get(parsed.event_type)?.magnitude;
+        if (magnitude) {
+            const magnitudeField = magnitude.field;
+            const field = `parameters.${magnitudeField}`;
+            const vague = VAGUE_SIZE.exec(text);
+            if (vague || (!hasNumber && defaulted.includes(field))) {
+                reasons.push(vague
+                    ? `"${vague[0]}" has no size - ${magnitudeField} was assumed`
+                    : `No ${magnitudeField} was given - the default was used`);
+                const label = magnitude.label || (value => `${value}%`);
+                questions.push({
+                    id: magnitudeField,
+                    field,
+                    question: magnitude.question || `How large a move should count (${magnitudeField.replace(/_/g, ' ')}, in %)?`,
+                    current: parsed.parameters[magnitudeField],
+                    options: (magnitude.options || MAGNITUDE_OPTIONS).map(value => ({ label: label(value), value }))
+                });
+            }
+        }
+
+        // Period: "recently" could mean weeks or years
+        const vaguePeriod = VAGUE_PERIOD.exec(text);
+        if (vaguePeriod && !parsed.start_date) {
+            reasons.push(`"${vaguePeriod[0]}" does not say how far back to look`);
+            const yearsAgo = years => {
+                const date = new Date(Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate()));
+                return date.toISOString().split('T')[0];
+            };
+            questions.push({
+                id: 'start_date',
+                field: 'start_date',
+                question: 'How far back should the analysis go?',
+                current: null,
+                options: [
+                    { label: 'Last year', value: yearsAgo(1) },
+                    { label: 'Last 3 years', value: yearsAgo(3) },
+                    { label: 'Last 5 years (default)', value: yearsAgo(5) },
+                    { label: 'All available history', value: 'max' }
+                ]
+            });
+        }
+
+        // Symbol: a name that fits several instruments ("banks") - offer each candidate
+        // (nested composite/variant fields are reported but edited through `edits`)
+        (parsed.validation?.ambiguous || []).forEach(entry => {
+            reasons.push(`"${entry.value}" could mean ${entry.candidates.join(', ')} - ${entry.chosen} was used`);
+            if (!/^[a-z_]+(\.[a-z_]+)?$/.test(entry.field)) return;
+            questions.push({
+                id: entry.field,
+                field: entry.field,
+                question: `Which symbol should stand for "${entry.value}"?`,
+                current: entry.chosen,
+                options: entry.candidates.map(symbol => ({ label: symbol, value: symbol }))
+            });
+        });
+
+        // Symbol: a market name was mapped onto a proxy ticker
+        const vagueMarket = VAGUE_MARKET.exec(text);
+        if (vagueMarket && parsed.ticker && !questions.some(question => question.field === 'ticker') && !new RegExp(`\\b${parsed.ticker.replace(/[^A-Z0-9]/g, '')}\\b`, 'i').test(text)) {
+            reasons.push(`"${vagueMarket[0]}" was read as ${parsed.ticker}`);
+            questions.push({
+                id: 'ticker',
+                field: 'ticker',
+                question: `Which symbol should stand for "${vagueMarket[0]}"?`,
+                current: parsed.ticker,
+                options: null
+            });
+        }
+
+        return {
+            needsConfirmation: reasons.length > 0,
+            reasons,
+            questions,
+            editableParameters: this.getEditableParameters(parsed)
+        };
+    }
+
+    // Schema-described parameters with their current values, for an edit form
+    static getEditableParameters(parsed) {
+        const schema = ParseSchema.getEngineSchema(parsed.event_type) || {};
+        return Object.entries(schema).map(([name, spec]) => ({
+            name,
+            type: spec.type,
+            value: parsed.parameters?.[name] ?? null,
+            ...(spec.default !== undefined ? { default: spec.default } : {}),
+            ...(spec.min !== undefined ? { min: spec.min, max: spec.max } : {}),
+            ...(spec.values ? { options: spec.values } : {})
+        }));
+    }
+
+    // edits: partial parse ({ ticker, parameters: {...}, context_filters, ... }) merged over the
+    // interpretation; answers: { [question id or field path]: value }. Result still needs validating.
+    static applyEdits(interpretation, { edits = {}, answers = {} } = {}) {
+        const merged = {
+            ...interpretation,
+            parameters: { ...(interpretation.parameters || {}) },
+            additional_filters: { ...(interpretation.additional_filters || {}) }
+        };
+
+        for (const [key, value] of Object.entries(edits || {})) {
+            if ((key === 'parameters' || key === 'additional_filters') && value && typeof value === 'object') {
+                Object.assign(merged[key], value);
+            } else {
+                merged[key] = value;
+            }
+        }
+
+        // Question ids are field paths, except the magnitude question which is keyed by parameter name
+        const magnitudeField = EngineRegistry.get(interpretation.event_type)?.magnitude?.field;
+        for (const [key, value] of Object.entries(answers || {})) {
+            const path = key === magnitudeField ? `parameters.${key}` : key;
+            const [head, tail] = path.split('.');
+            if (tail) {
+                merged[head] = { ...(merged[head] || {}), [tail]: value };
+            } else {
+                merged[head] = value;
+            }
+        }
+
+        // An edited parse is the user's own statement of intent
+        merged.confidence = 1;
+        delete merged.validation;
+        delete merged.fallback;
+        return merged;
+    }
+}
+
+QueryClarifier.CLARIFY_CONFIDENCE = CLARIFY_CONFIDENCE;
+
+module.exports = QueryClarifier;
@@ -0,0 +1,202 @@
+// ========================================
+// RESULT EXPLAINER
+// File: backend/services/result-explainer.js
+// Short analyst-style narrative built only from the computed statistics. Every number in the
+// text carries a [F#] citation into `facts`; an LLM may reword it but not change what it says.
+// ========================================
+
+const ComparisonAnalyzer = require('./comparison');
+
+// Below this many samples at a horizon the narrative describes but never claims an edge
+const MIN_SAMPLES_FOR_EDGE = 20;
+const EDGE_P_VALUE = 0.05;
+
+const EXPLANATION_MODES = ['template', 'polished', 'none'];
+
+class ResultExplainer {
+    // returnsByPeriod / baselineReturnsByPeriod: { [timeframe]: [returnPct] } from the forward returns
+    // calculator. Returns { text, sentences, facts: [{ id, label, value }], horizons, edge, method }.
+    static explain({ description, ticker, totalMatches, analysisPeriod, returnsByPeriod = {}, baselineReturnsByPeriod = {} }) {
+        const facts = [];
+        const cite = (label, value) => {
+            let fact = facts.find(entry => entry.label === label);
+            if (!fact) {
+                fact = { id: `F${facts.length + 1}`, label, value };
+                facts.push(fact);
+            }
+            return `${value} [${fact.id}]`;
+        };
+
+        const horizons = Object.keys(returnsByPeriod).map(timeframe => {
+            const returns = returnsByPeriod[timeframe] || [];
+            const baseline = baselineReturnsByPeriod[timeframe] || [];
+            return {
+                timeframe,
+                ...ComparisonAnalyzer.describeReturns(returns),
+                best: returns.length > 0 ? round(Math.max(...returns)) : null,
+                worst: returns.length > 0 ? round(Math.min(...returns)) : null,
+                baseline: baseline.length > 0 ? ComparisonAnalyzer.describeReturns(baseline) : null,
+                test: baseline.length > 0 ? ComparisonAnalyzer.welchTTest(returns, baseline) : null
+            };
+        });
+        const usable = horizons.filter(horizon => horizon.samples >= ComparisonAnalyzer.MIN_SAMPLES);
+
+        const sentences = [];
+        const subject = description || 'The event';
+        const occurrences = cite('Occurrences', totalMatches);
+        const period = analysisPeriod ? ` over ${cite('Analysis period', `${analysisPeriod.start} to ${analysisPeriod.end}`)}` : '';
+        sentences.push(`${subject} occurred ${occurrences} times${period}.`);
+
+        if (totalMatches === 0 || usable.length === 0) {
+            sentences.push('There are not enough completed forward windows to describe what followed.');
+            return this.finish(sentences, facts, horizons, { claimed: false, horizons: [], reason: 'insufficient data' });
+        }
+
+        if (totalMatches < MIN_SAMPLES_FOR_EDGE) {
+            sentences.push(`With fewer than ${cite('Minimum samples for an edge claim', MIN_SAMPLES_FOR_EDGE)} occurrences the figures below are descriptive only and do not establish an edge.`);
+        }
+
+        const excess = horizon => horizon.baseline ? horizon.avgReturn - horizon.baseline.avgReturn : null;
+        const first = usable[0];
+        const last = usable[usable.length - 1];
+        const strongest = usable
+            .filter(horizon => horizon.baseline)
+            .sort((a, b) => Math.abs(excess(b)) - Math.abs(excess(a)))[0] || last;
+
+        // Shortest, strongest and longest horizons, each against the unconditional baseline
+        [...new Set([first, strongest, last])].forEach(horizon => {
+            const t = horizon.timeframe;
+            const eventPart = `At ${t} the average return was ${cite(`${t} average return`, pct(horizon.avgReturn))}`
+                + ` with ${cite(`${t} win rate`, `${horizon.winRate.toFixed(1)}%`)} of ${cite(`${t} samples`, horizon.samples)} occurrences positive`;
+            sentences.push(horizon.baseline
+                ? `${eventPart}, against ${cite(`${t} baseline average return`, pct(horizon.baseline.avgReturn))} and ${cite(`${t} baseline win rate`, `${horizon.baseline.winRate.toFixed(1)}%`)} for all ${ticker} sessions in the period.`
+                : `${eventPart}; no baseline was available for comparison.`);
+        });
+
+        // How the edge over the baseline changes with the horizon
+        if (first !== last && first.baseline && last.baseline) {
+            const from = round(excess(first));
+            const to = round(excess(last));
+            const shape = Math.sign(from) !== Math.sign(to) && from !== 0 && to !== 0
+                ? 'reverses sign'
+                : Math.abs(to) > Math.abs(from) ? 'widens' : 'narrows';
+            sentences.push(`The difference from the baseline ${shape} from ${cite(`${first.timeframe} excess return`, pct(from))} at ${first.timeframe}`
+                + ` to ${cite(`${last.timeframe} excess return`, pct(to))} at ${last.timeframe}.`);
+        }
+
+        sentences.push(`Individual outcomes at ${strongest.timeframe} ranged from ${cite(`${strongest.timeframe} worst`, pct(strongest.worst))}`
+            + ` to ${cite(`${strongest.timeframe} best`, pct(strongest.best))}.`);
+
+        // Edge: only horizons with enough samples and a significant difference from the baseline
+        const significant = usable.filter(horizon => horizon.samples >= MIN_SAMPLES_FOR_EDGE
+            && horizon.test && horizon.test.pValue !== null && horizon.test.pValue < EDGE_P_VALUE);
+        let edge;
+        if (significant.length > 0) {
+            sentences.push(`The difference is statistically significant (Welch t-test) at ${significant
+                .map(horizon => `${horizon.timeframe} (p ${cite(`${horizon.timeframe} p-value`, horizon.test.pValue < 0.001 ? '< 0.001' : `= ${horizon.test.pValue.toFixed(3)}`)})`)
+                .join(', ')}; past significance does not guarantee it persists.`);
+            edge = { claimed: true, horizons: significant.map(horizon => horizon.timeframe), reason: `p < ${EDGE_P_VALUE}` };
+        } else if (totalMatches >= MIN_SAMPLES_FOR_EDGE && usable.some(horizon => horizon.baseline)) {
+            sentences.push(`No horizon differs from the baseline at p < ${cite('Significance level', EDGE_P_VALUE)}, so the results do not show a reliable edge.`);
+            edge = { claimed: false, horizons: [], reason: 'not significant' };
+        } else {
+            edge = { claimed: false, horizons: [], reason: usable.some(horizon => horizon.baseline) ? 'too few samples' : 'no baseline' };
+        }
+
+        return this.finish(sentences, facts, horizons, edge);
+    }
+
+    static finish(sentences, facts, horizons, edge) {
+        return { text: sentences.join(' '), sentences, facts, horizons, edge, method: 'template' };
+    }
+
+    // Rewords the template text with the LLM. The result is kept only if every citation stays on
+    // the same signed value and no number is added; otherwise the template stands.
+    static async polish(explanation, provider) {
+        if (!provider) {
+            return { ...explanation, polishError: 'No LLM provider configured' };
+        }
+
+        try {
+            const response = await provider.complete([
+                {
+                    role: 'system',
+                    content: 'Rewrite the market statistics summary below as concise, readable analyst prose. '
+                        + 'Keep every number exactly as written and keep each [F#] citation directly after its number. '
+                        + 'Do not add numbers, claims, predictions or advice, and do not describe an edge the text does not claim. '
+                        + 'Return only the rewritten text.'
+                },
+                { role: 'user', content: explanation.text }
+            ], { temperature: 0 });
+
+            const polished = String(response || '').trim();
+            const problem = this.checkPolished(explanation.text, polished);
+            if (problem) {
+                return { ...explanation, polishError: `Rejected LLM rewrite: ${problem}` };
+            }
+            return { ...explanation, text: polished, templateText: explanation.text, method: 'polished' };
+        } catch (error) {
+            return { ...explanation, polishError: error.message };
+        }
+    }
+
+    // Returns a reason the rewrite is unfaithful, or null. Each [F#] must follow the same signed
+    // value as in the template, in the same order, and no signed number may be added.
+    static checkPolished(original, polished) {
+        if (!polished) return 'empty response';
+
+        const left = this.citedValues(original);
+        const right = this.citedValues(polished);
+        const changed = left.findIndex((pair, i) => !right[i] || right[i].id !== pair.id || right[i].value !== pair.value);
+        if (changed !== -1) {
+            const pair = left[changed];
+            return right[changed] ? `${pair.value} [${pair.id}] became ${right[changed].value} [${right[changed].id}]` : `${pair.value} [${pair.id}] missing`;
+        }
+        if (right.length > left.length) return `extra citation ${right[left.length].value} [${right[left.length].id}]`;
+
+        const allowed = new Set(this.signedNumbers(original));
+        const added = this.signedNumbers(polished).filter(number => !allowed.has(number));
+        if (added.length > 0) return `new numbers ${added.join(', ')}`;
+
+        return null;
+    }
+
+    // [{ value, id }] in text order: the value is the signed number (with any comparison and unit)
+    // directly before each citation
+    static citedValues(text) {
+        return [...normalizeSigns(text).matchAll(/([<>=]\s*)?([+-]?\d+(?:[-.,:]\d+)*%?)\s*\[(F\d+)\]/g)]
+            .map(match => ({ value: `${(match[1] || '').replace(/\s+/g, '')}${match[2]}`, id: match[3] }));
+    }
+
+    static signedNumbers(text) {
+        return normalizeSigns(text).replace(/\[F\d+\]/g, '').match(/[+-]?\d+(?:\.\d+)?/g) || [];
+    }
+
+    static normalizeMode(mode) {
+        const normalized = String(mode || 'template').toLowerCase();
+        if (!EXPLANATION_MODES.includes(normalized)) {
+            throw new Error(`explanation must be one of: ${EXPLANATION_MODES.join(', ')}`);
+        }
+        return normalized;
+    }
+}
+
+// LLMs like to typeset minus signs
+function normalizeSigns(text) {
+    return text.replace(/[\u2212\u2013\u2014]/g, '-');
+}
+
+function pct(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+ResultExplainer.MIN_SAMPLES_FOR_EDGE = MIN_SAMPLES_FOR_EDGE;
+ResultExplainer.EDGE_P_VALUE = EDGE_P_VALUE;
+ResultExplainer.EXPLANATION_MODES = EXPLANATION_MODES;
+
+module.exports = ResultExplainer;
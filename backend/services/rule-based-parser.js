@@ -0,0 +1,623 @@
+// ========================================
+// RULE-BASED QUERY PARSER
+// File: backend/services/rule-based-parser.js
+// Deterministic parsing of common query shapes into the AI parser's JSON contract
+// ========================================
+
+const SyntheticSymbols = require('./synthetic-symbols');
+const contextualFilterService = require('./contextual-filters');
+const SymbolResolver = require('./symbol-resolver');
+
+// Parses at or above this confidence are used without asking the LLM
+const ACCEPT_CONFIDENCE = 0.85;
+
+const DEFAULT_TICKER = 'SPY';
+
+const ECONOMIC_RELEASE_PATTERN = /\b(?:cpi|nfp|payrolls?|jobs report|gdp|inflation report)s?\b(?:\s+\w+)?\s+(?:release|report|day|announcement|print)s?\b|\bon (?:cpi|nfp|gdp) days\b/;
+const DAILY_TIMEFRAMES = ['1D', '2D', '3D', '4D', '1W', '2W', '1M', '2M', '3M', '6M', '12M'];
+const INTRADAY_TIMEFRAMES = ['1B', '3B', '6B', '12B', '24B', '48B'];
+
+// Upper-case words that are not tickers
+const NON_TICKERS = new Set([
+    'A', 'I', 'AM', 'PM', 'ET', 'US', 'USD', 'TOY', 'CPI', 'NFP', 'GDP', 'FOMC', 'FED', 'SMA', 'EMA', 'MA',
+    'ETF', 'ETFS', 'YOY', 'YTD', 'OPEX', 'Q1', 'Q2', 'Q3', 'Q4', 'DXY', 'AND', 'OR', 'THE', 'VS', 'IPO', 'AI',
+    'RSI', 'MACD', 'ATR'
+]);
+
+// Lower-case symbols common enough to recognize without capitals ("spy up 2% in 3 days")
+const KNOWN_LOWERCASE = new Set(['spy', 'qqq', 'iwm', 'dia', 'tlt', 'gld', 'vix']);
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const UNIVERSE_PHRASES = [
+    { pattern: /\bsector (?:etfs?|spdrs?|funds)\b|\bsectors\b/i, universe: 'SECTOR_ETFS', ticker: 'XLK' },
+    { pattern: /\bnasdaq[- ]?100\b|\bndx\b/i, universe: 'NASDAQ_100', ticker: 'QQQ' },
+    { pattern: /\bdow (?:30|stocks|components)\b|\bdow jones (?:stocks|components)\b/i, universe: 'DOW_30', ticker: 'DIA' }
+];
+
+const PCT = '(\\d+(?:\\.\\d+)?)\\s*%';
+
+class RuleBasedQueryParser {
+    // Returns a parse in the same shape as the LLM's (plus parser: 'rules'), or null when no
+    // event rule recognizes the query
+    static parse(query) {
+        if (typeof query !== 'string' || query.trim().length === 0) return null;
+
+        const text = query.trim();
+        const lower = text.toLowerCase();
+        const universe = UNIVERSE_PHRASES.find(entry => entry.pattern.test(text));
+
+        const event = this.matchEvent(text, lower);
+        if (!event) return null;
+
+        const tickerMatch = universe
+            ? { ticker: universe.ticker, explicit: true }
+            : this.extractTicker(text, event);
+        const ticker = event.ticker || tickerMatch.ticker;
+
+        const { contextFilters, additionalFilters } = this.extractContextFilters(lower, event);
+        const dates = this.extractDates(lower);
+        // Macro regimes are rare and long-lived: default to the full history, as the LLM prompt does
+        if (event.maxHistory && !dates.start_date) dates.start_date = 'max';
+        const priceBasis = this.extractPriceBasis(lower);
+        const variants = this.extractVariants(text, lower, event);
+
+        let confidence = 0.95 - event.penalty;
+        if (!event.ticker && !tickerMatch.explicit) confidence -= 0.1;
+        // There is no release-day filter; leave "on CPI days" to the LLM rather than drop it silently
+        if (event.type !== 'MACRO_EVENT' && ECONOMIC_RELEASE_PATTERN.test(lower)) confidence -= 0.3;
+
+        return {
+            event_type: event.type,
+            ticker,
+            parameters: event.parameters,
+            context_filters: contextFilters,
+            additional_filters: additionalFilters,
+            ...(universe ? { universe: universe.universe } : {}),
+            ...dates,
+            ...(priceBasis ? { price_basis: priceBasis } : {}),
+            ...(variants ? { variants } : {}),
+            description: this.describe(ticker, event, contextFilters, additionalFilters)
+                + (variants ? `: ${variants.map(variant => variant.label).join(' vs ')}` : ''),
+            confidence: Math.round(Math.max(confidence, 0.3) * 100) / 100,
+            timeframes: event.type === 'INTRADAY_PATTERN' ? INTRADAY_TIMEFRAMES : DAILY_TIMEFRAMES,
+            parser: 'rules'
+        };
+    }
+
+    // ========================================
+    // EVENT RULES (first match wins; most specific shapes first)
+    // ========================================
+
+    static matchEvent(text, lower) {
+        const rules = [
+            this.matchTOY,
+            this.matchIntraday,
+            this.matchReversal,
+            this.matchMacro,
+            this.matchSectorSpread,
+            this.matchStreak,
+            this.matchHighLow,
+            this.matchIndicator,
+            this.matchVolatility,
+            this.matchCrossover,
+            this.matchMomentum,
+            this.matchPercentMove
+        ];
+
+        for (const rule of rules) {
+            const event = rule.call(this, text, lower);
+            if (event) return { penalty: 0, ...event };
+        }
+        return null;
+    }
+
+    // "TOY from 11-19 to 01-19", "turn of year barometer above 3%"
+    static matchTOY(text, lower) {
+        if (!/\btoy\b|\bturn[- ]of[- ](?:the[- ])?year\b/.test(lower)) return null;
+
+        const parameters = {};
+        const window = /from\s+(\d{1,2})[-/](\d{1,2})\s+(?:to|through|until|-)\s+(\d{1,2})[-/](\d{1,2})/.exec(lower);
+        if (window) {
+            const pad = value => value.padStart(2, '0');
+            parameters.toy_start = `${pad(window[1])}-${pad(window[2])}`;
+            parameters.toy_end = `${pad(window[3])}-${pad(window[4])}`;
+        }
+        const threshold = new RegExp(`(?:above|over|threshold(?: of)?|>)\\s*${PCT}`).exec(lower);
+        if (threshold) parameters.threshold = parseFloat(threshold[1]);
+
+        return { type: 'TOY_BAROMETER', parameters };
+    }
+
+    // "SPY first 30 minutes up 1% then fades", "QQQ power hour reversals"
+    static matchIntraday(text, lower) {
+        const parameters = {};
+        let penalty = 0;
+
+        const first = /\bfirst\s+(\d+)\s*(minutes?|mins?|hours?)\b/.exec(lower);
+        const last = /\blast\s+(\d+)\s*(minutes?|mins?|hours?)\b/.exec(lower);
+        if (first || last) {
+            const match = first || last;
+            parameters.window = first ? 'opening' : 'closing';
+            parameters.window_minutes = parseInt(match[1]) * (match[2].startsWith('hour') ? 60 : 1);
+        } else if (/\bpower hour\b/.test(lower)) {
+            parameters.window = 'power_hour';
+        } else if (/\bopening (?:range|hour)\b|\bat the open\b/.test(lower)) {
+            parameters.window = 'opening';
+            parameters.window_minutes = /opening hour/.test(lower) ? 60 : 30;
+        } else {
+            return null;
+        }
+
+        const move = new RegExp(`\\b(up|down|higher|lower|rall(?:y|ies)|drops?|falls?)\\s+(?:by\\s+)?${PCT}`).exec(lower);
+        if (move) {
+            parameters.move_threshold = parseFloat(move[2]);
+            parameters.direction = /^(up|higher|rall)/.test(move[1]) ? 'up' : 'down';
+        } else {
+            parameters.direction = 'both';
+            penalty += 0.05;
+        }
+
+        if (/\bfad(?:e|es|ed|ing)\b|\brevers(?:e|es|al|als|ing)\b/.test(lower)) {
+            parameters.pattern = 'reversal';
+        } else if (/\bcontinu(?:e|es|ation|ing)\b|\bextends?\b|\bfollow[- ]through\b/.test(lower)) {
+            parameters.pattern = 'continuation';
+        }
+
+        const bars = /\b(1|5|15)[- ]?min(?:ute)?\s+(?:bars?|candles?|chart)\b|\b(hourly|1h|60m)\s+(?:bars?|candles?|chart)\b/.exec(lower);
+        parameters.interval = bars ? (bars[1] ? `${bars[1]}m` : '1h') : '5m';
+
+        return { type: 'INTRADAY_PATTERN', parameters, penalty };
+    }
+
+    // "opens up 3% but closes down", "bullish reversals"
+    static matchReversal(text, lower) {
+        const open = new RegExp(`\\b(?:opens?|gaps?)\\s+(up|down|higher|lower)\\s+(?:by\\s+)?${PCT}`).exec(lower);
+        const close = new RegExp(`\\bcloses?\\s+(?:(up|down|higher|lower|red|green|negative|positive)(?:\\s+(?:by\\s+)?${PCT})?|${PCT}\\s+(up|down|higher|lower))`).exec(lower);
+
+        if (open) {
+            const openedUp = open[1] === 'up' || open[1] === 'higher';
+            const parameters = {
+                open_threshold: parseFloat(open[2]),
+                close_threshold: 1,
+                pattern: openedUp ? 'bearish' : 'bullish'
+            };
+            let penalty = 0;
+            const closePct = close && (close[2] || close[3]);
+            if (closePct) {
+                parameters.close_threshold = parseFloat(closePct);
+            } else if (!close) {
+                penalty += 0.1;
+            }
+            return { type: 'REVERSAL', parameters, penalty };
+        }
+
+        if (!/\brevers(?:al|als|es|ing)\b/.test(lower)) return null;
+        return {
+            type: 'REVERSAL',
+            parameters: { open_threshold: 2, close_threshold: 1, pattern: /\bbullish\b/.test(lower) ? 'bullish' : 'bearish' },
+            penalty: 0.05
+        };
+    }
+
+    // "yield curve inverted and CPI above 4%"
+    static matchMacro(text, lower) {
+        const conditions = [];
+        const operator = word => /^(above|over|greater|>|exceeds?)/.test(word) ? '>' : '<';
+        const comparison = '(above|over|greater than|exceeds?|below|under|less than|>|<)';
+
+        if (/\b(?:yield )?curve\s+(?:is\s+|was\s+)?inverted\b|\binverted (?:yield )?curve\b/.test(lower)) {
+            conditions.push({ metric: 'YIELD_CURVE', operator: '<', value: 0 });
+        }
+
+        const metricPatterns = [
+            { metric: 'CPI_YOY', pattern: new RegExp(`\\b(?:cpi|inflation)(?:\\s+yoy)?\\s+(?:is\\s+)?${comparison}\\s*${PCT}`) },
+            { metric: 'FED_FUNDS', pattern: new RegExp(`\\b(?:fed funds(?: rate)?|interest rates?)\\s+(?:are\\s+|is\\s+)?${comparison}\\s*${PCT}`) },
+            { metric: 'US10Y', pattern: new RegExp(`\\b(?:10[- ]?y(?:ear)?|ten[- ]year)(?: treasury)?(?: yields?)?\\s+(?:is\\s+)?${comparison}\\s*${PCT}`) },
+            { metric: 'DXY_YTD', pattern: new RegExp(`\\b(?:dxy|dollar)\\s+(?:is\\s+)?(?:up\\s+)?${comparison}\\s*${PCT}\\s*(?:ytd|year to date)`) }
+        ];
+        for (const { metric, pattern } of metricPatterns) {
+            const match = pattern.exec(lower);
+            if (match) {
+                conditions.push({ metric, operator: operator(match[1]), value: parseFloat(match[2]) });
+            }
+        }
+
+        if (conditions.length === 0) return null;
+        return { type: 'MACRO_EVENT', parameters: { conditions }, maxHistory: true };
+    }
+
+    // "XLK outperforms XLF by 5% in 10 days"
+    static matchSectorSpread(text) {
+        const match = new RegExp(`\\b([A-Z]{2,5})\\s+(?:outperforms?|outperformed|beats?|vs\\.?|versus)\\s+([A-Z]{2,5})\\s+(?:by\\s+)?${PCT}\\s*(?:in|over|within)\\s+(\\d+)\\s*(?:trading\\s+)?days?`).exec(text);
+        if (!match) return null;
+
+        return {
+            type: 'SECTOR_SPREAD',
+            ticker: DEFAULT_TICKER,
+            parameters: {
+                sector_a: match[1],
+                sector_b: match[2],
+                spread_threshold: parseFloat(match[3]),
+                days: parseInt(match[4])
+            }
+        };
+    }
+
+    // "down 5 days in a row", "up 8 of the last 10 days", "three consecutive gap-ups", "4 higher highs in a row"
+    static matchStreak(text, lower) {
+        const count = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+        const toNumber = value => NUMBER_WORDS[value] || parseInt(value);
+        const side = '(up|down|higher|lower|green|red)';
+        const kind = '(gap[- ]?ups?|gap[- ]?downs?|higher highs|lower lows|up days|down days|up closes|down closes|green days|red days|(?:days|sessions) (?:up|down))';
+
+        const nOfM = new RegExp(`\\b${side}\\s+${count}\\s+(?:out\\s+)?of\\s+(?:the\\s+)?(?:last|past|prior)\\s+${count}\\s+(?:trading\\s+)?(?:days|sessions)\\b`).exec(lower);
+        const inARow = new RegExp(`\\b${side}\\s+${count}\\s+(?:straight\\s+|consecutive\\s+)?(?:trading\\s+)?(?:days|sessions|closes)\\s+(?:in\\s+a\\s+row|straight)\\b`).exec(lower);
+        const counted = new RegExp(`\\b${count}\\s+(?:straight\\s+|consecutive\\s+)?${kind}(?:\\s+in\\s+a\\s+row)?\\b`).exec(lower);
+        const consecutive = counted && /\b(?:straight|consecutive)\b|in\s+a\s+row/.test(counted[0]);
+
+        const parameters = {};
+        let phrase;
+        if (nOfM) {
+            phrase = nOfM[1];
+            parameters.length = toNumber(nOfM[2]);
+            parameters.window = toNumber(nOfM[3]);
+        } else if (inARow) {
+            phrase = inARow[1];
+            parameters.length = toNumber(inARow[2]);
+        } else if (consecutive) {
+            phrase = counted[2];
+            parameters.length = toNumber(counted[1]);
+        } else {
+            return null;
+        }
+
+        parameters.streak_type = /gap/.test(phrase) ? 'gap' : /highs|lows/.test(phrase) ? 'high_low' : 'close';
+        parameters.direction = /^(up|higher|green)|ups?$|(?:days|sessions) up$|higher highs/.test(phrase) ? 'up' : 'down';
+
+        const total = new RegExp(`\\b(?:total(?:ing|ling)?|cumulative(?:ly)?|combined|in all)\\s+(?:of\\s+|move\\s+of\\s+)?(?:at least\\s+)?${PCT}`).exec(lower);
+        if (total) parameters.min_cumulative_move = parseFloat(total[1]);
+
+        return { type: 'STREAK', parameters };
+    }
+
+    // "52-week lows", "first new all-time high in a year", "10% off its high"
+    static matchHighLow(text, lower) {
+        const count = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+        const sessions = (number, unit) => {
+            const amount = NUMBER_WORDS[number] || parseInt(number);
+            const size = unit.replace(/s$/, '');
+            // 52 weeks is the conventional trading year, not 260 sessions
+            return size === 'week' && amount === 52 ? 252 : amount * { day: 1, week: 5, month: 21, year: 252 }[size];
+        };
+        const window = new RegExp(`\\b${count}[- ](day|week|month|year)\\b`);
+
+        const drawdown = new RegExp(`${PCT}\\s+(?:off|below|from|under)\\s+(?:its\\s+|the\\s+)?(?:(all[- ]time|${count}[- ](?:day|week|month|year))\\s+)?(?:high|peak|top)\\b|\\bdrawdown of\\s+${PCT}|${PCT}\\s+drawdown`).exec(lower);
+        const allTime = /\ball[- ]time highs?\b|\brecord highs?\b|\bath\b/.test(lower);
+        const extreme = new RegExp(`\\b${count}[- ](day|week|month|year)\\s+(high|low)s?\\b`).exec(lower);
+        if (!drawdown && !allTime && !extreme) return null;
+
+        const parameters = {};
+        if (drawdown) {
+            parameters.mode = 'drawdown';
+            parameters.drawdown_pct = parseFloat(drawdown[1] || drawdown[4] || drawdown[5]);
+            const peakWindow = drawdown[2] && window.exec(drawdown[2]);
+            if (peakWindow) parameters.lookback = sessions(peakWindow[1], peakWindow[2]);
+        } else if (allTime) {
+            parameters.mode = 'all_time_high';
+        } else {
+            parameters.mode = extreme[3];
+            parameters.lookback = sessions(extreme[1], extreme[2]);
+        }
+
+        // "first ... in a year": the previous new high/low was at least that long ago
+        const gap = new RegExp(`\\bfirst\\b.*\\b(?:in|since)\\s+(?:over\\s+|more than\\s+)?(?:${count}\\s+)?(years?|months?|weeks?|days?)\\b`).exec(lower);
+        if (gap && parameters.mode !== 'drawdown') {
+            parameters.min_days_since = sessions(gap[1] || 'one', gap[2]);
+        }
+
+        // Extra conditions ("while above the 200-day") need a composite, so leave those to the LLM
+        const penalty = /\b(?:while|when|and)\b.*\b(?:above|below|over|under)\b/.test(lower) ? 0.2 : 0;
+        return { type: 'NEW_HIGH_LOW', parameters, penalty };
+    }
+
+    // "RSI(2) below 5", "closes above the upper Bollinger band"
+    static matchIndicator(text, lower) {
+        const rsi = /\brsi\s*(?:\(\s*(\d+)\s*\)|(\d+))?\s+(?:is\s+|drops\s+|falls\s+|rises\s+|gets\s+)?(below|under|<|above|over|>)\s*(\d+(?:\.\d+)?)/.exec(lower);
+        if (rsi) {
+            const period = rsi[1] || rsi[2];
+            return {
+                type: 'INDICATOR_THRESHOLD',
+                parameters: {
+                    indicator: 'rsi',
+                    ...(period ? { period: parseInt(period) } : {}),
+                    operator: /^(below|under|<)$/.test(rsi[3]) ? '<' : '>',
+                    value: parseFloat(rsi[4])
+                }
+            };
+        }
+
+        const band = /\b(crosse?s?|closes?|breaks?)\s+(above|over|below|under)\s+(?:the\s+|its\s+)?(upper|lower)\s+bollinger\b/.exec(lower);
+        if (band) {
+            const above = band[2] === 'above' || band[2] === 'over';
+            const crossing = band[1].startsWith('cross') || band[1].startsWith('break');
+            return {
+                type: 'INDICATOR_THRESHOLD',
+                parameters: {
+                    indicator: 'close',
+                    operator: crossing ? (above ? 'crosses_above' : 'crosses_below') : (above ? '>' : '<'),
+                    reference: band[3] === 'upper' ? 'bb_upper' : 'bb_lower'
+                }
+            };
+        }
+        return null;
+    }
+
+    // "SPY when VIX is above 30", "VIX spikes"
+    static matchVolatility(text, lower) {
+        if (!/\bvix\b|\bvolatility spikes?\b/.test(lower)) return null;
+
+        const level = /\bvix\s+(?:is\s+|closes\s+|spikes?\s+)?(?:above|over|>|exceeds?|to)\s*(\d+(?:\.\d+)?)/.exec(lower);
+        return {
+            type: 'VOLATILITY_EVENT',
+            parameters: { vix_threshold: level ? parseFloat(level[1]) : 25 },
+            excludeTickers: ['VIX', '^VIX'],
+            penalty: level ? 0 : 0.1
+        };
+    }
+
+    // "golden cross", "death crosses confirmed for 3 days", "20-day EMA crosses above the 50-day EMA"
+    static matchCrossover(text, lower) {
+        const named = /\b(golden|death)\s+cross(?:es|ing|over)?\b/.exec(lower);
+        const pair = /\b(\d+)[- ]?(?:day|d)\s+(sma|ema|ma|moving average)\s+cross(?:es|ed)?\s+(above|over|below|under)\s+(?:the\s+|its\s+)?(\d+)[- ]?(?:day|d)\b/.exec(lower);
+        if (!named && !pair) return null;
+
+        const parameters = {};
+        if (pair) {
+            parameters.fast_period = parseInt(pair[1]);
+            parameters.slow_period = parseInt(pair[4]);
+            parameters.ma_type = pair[2] === 'ema' ? 'ema' : 'sma';
+            parameters.direction = /^(above|over)$/.test(pair[3]) ? 'up' : 'down';
+        } else {
+            parameters.direction = named[1] === 'golden' ? 'up' : 'down';
+        }
+        if (/\bema\b|\bexponential\b/.test(lower)) parameters.ma_type = 'ema';
+
+        const confirmation = /\bconfirm(?:ed|ation)?\s+(?:for\s+|by\s+)?(\d+)\s+(?:trading\s+)?days?\b/.exec(lower);
+        if (confirmation) parameters.confirmation_days = parseInt(confirmation[1]);
+        const gap = /\b(?:at least\s+)?(\d+)\s+(?:trading\s+)?days?\s+apart\b/.exec(lower);
+        if (gap) parameters.min_gap_days = parseInt(gap[1]);
+
+        return { type: 'MA_CROSSOVER', parameters };
+    }
+
+    // "QQQ above the 50-day SMA for 30 days", "bearish momentum"
+    static matchMomentum(text, lower) {
+        const sma = /\b(above|below)\s+(?:the\s+|its\s+)?(\d+)[- ]?(?:day|d)\s+(?:sma|ma|moving average)\b/.exec(lower);
+        if (!sma && !/\bmomentum\b|\b(?:up|down)trend\b/.test(lower)) return null;
+
+        const bearish = sma ? sma[1] === 'below' : /\bbearish\b|\bdowntrend\b/.test(lower);
+        const parameters = {};
+        if (sma) parameters.sma_period = parseInt(sma[2]);
+        const duration = /\bfor\s+(\d+)\s+(?:trading\s+)?days?\b/.exec(lower);
+        if (duration) parameters.days = parseInt(duration[1]);
+
+        return {
+            type: bearish ? 'MOMENTUM_BEARISH' : 'MOMENTUM_BULLISH',
+            parameters,
+            penalty: sma || duration ? 0 : 0.1
+        };
+    }
+
+    // "SPY moves up 5% in 3 days", "drops 10% over 2 weeks"
+    static matchPercentMove(text, lower) {
+        const match = new RegExp(`${PCT}\\s*(?:or more\\s+)?(?:in|over|within)\\s+(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s*(?:trading\\s+)?(days?|sessions?|weeks?)\\b`).exec(lower);
+        if (!match) return null;
+
+        const count = NUMBER_WORDS[match[2]] || parseInt(match[2]);
+        const days = match[3].startsWith('week') ? count * 5 : count;
+
+        // Direction words just before the percentage ("moves up 5%", "down 10%")
+        const lead = lower.slice(Math.max(0, match.index - 25), match.index);
+        let direction = 'both';
+        if (/\b(up|higher|gains?|rall(?:y|ies)|jumps?|rises?|surges?|rips?)\b/.test(lead)) direction = 'up';
+        if (/\b(down|lower|drops?|falls?|declines?|sinks?|plunges?|sells? off|loses)\b/.test(lead)) direction = 'down';
+
+        return { type: 'PERCENT_MOVE', parameters: { percent_move: parseFloat(match[1]), days, direction } };
+    }
+
+    // ========================================
+    // TICKERS, FILTERS, DATES
+    // ========================================
+
+    static extractTicker(text, event) {
+        // Synthetic expressions first: ratios and baskets
+        const expression = /BASKET\([^)]*\)|\b[A-Z^][A-Z0-9.^-]*\s*\/\s*[A-Z^][A-Z0-9.^-]*\b/i.exec(text);
+        if (expression) {
+            const candidate = expression[0].replace(/\s+/g, '');
+            try {
+                const definition = SyntheticSymbols.parse(candidate);
+                if (definition) return { ticker: definition.symbol, explicit: true };
+            } catch (error) {
+                // Not a valid expression (e.g. "and/or") - fall through to plain symbols
+            }
+        }
+
+        const excluded = new Set(event.excludeTickers || []);
+        const tokens = text.match(/\^?[A-Za-z][A-Za-z0-9.-]*/g) || [];
+        for (const token of tokens) {
+            const symbol = token.toUpperCase();
+            const isUpper = token === symbol && /^\^?[A-Z]{1,5}(?:[.-][A-Z]{1,3})?$/.test(token);
+            const isKnown = KNOWN_LOWERCASE.has(token.toLowerCase());
+            if ((isUpper || isKnown) && !NON_TICKERS.has(symbol) && !excluded.has(symbol)) {
+                return { ticker: symbol === 'VIX' ? '^VIX' : symbol, explicit: true };
+            }
+        }
+
+        // Then names: "Apple", "the Nasdaq", "tech". Ambiguous names ("banks") keep the default
+        // and are left to the clarifier; a macro series is the condition of a MACRO_EVENT, not its target.
+        const named = SymbolResolver.findInText(text).find(match => match.symbol
+            && !excluded.has(match.symbol)
+            && !(event.type === 'MACRO_EVENT' && match.kind === 'macro'));
+        if (named) {
+            return { ticker: named.symbol, explicit: true };
+        }
+
+        return { ticker: DEFAULT_TICKER, explicit: false };
+    }
+
+    static extractContextFilters(lower, event) {
+        const contextFilters = [];
+        const additionalFilters = {};
+
+        if (/\bearnings\b/.test(lower)) {
+            contextFilters.push('EARNINGS_SEASON');
+        }
+        if (/\bfomc\b|\bfed (?:meeting|decision|announcement|day)s?\b|\bfed\b(?! funds)/.test(lower) && event.type !== 'MACRO_EVENT') {
+            contextFilters.push('FED_MEETING');
+        }
+        if (/\boptions? expiration\b|\bopex\b|\btriple witching\b|\bexpiration (?:week|day|friday)s?\b/.test(lower)) {
+            contextFilters.push('OPTIONS_EXPIRATION');
+        }
+
+        const days = WEEKDAYS.filter(day => new RegExp(`\\b${day}s?\\b`).test(lower));
+        if (days.length > 0) {
+            contextFilters.push('DAY_OF_WEEK');
+            additionalFilters.day_filter = days.map(day => day.toUpperCase());
+        }
+
+        // Month names are the TOY window itself, not a filter
+        if (event.type !== 'TOY_BAROMETER') {
+            const months = MONTHS
+                .map((month, i) => new RegExp(`\\b(?:in|during|for|every)\\s+${month}s?\\b`).test(lower) ? i + 1 : null)
+                .filter(Boolean);
+            if (months.length > 0) {
+                contextFilters.push('MONTH_OF_YEAR');
+                additionalFilters.month_filter = months;
+            }
+        }
+
+        const holiday = /\b(before|ahead of|into|pre-?|after|post-?|around)\s*(?:the\s+)?(?:market\s+)?(?:holidays?|christmas|thanksgiving|long weekends?)\b/.exec(lower);
+        if (holiday || /\bholiday (?:effect|weeks?|sessions?)\b/.test(lower)) {
+            contextFilters.push('HOLIDAY_EFFECT');
+            const timing = holiday ? holiday[1] : 'around';
+            additionalFilters.holiday_window = /^(before|ahead|into|pre)/.test(timing) ? 'before' : /^(after|post)/.test(timing) ? 'after' : 'both';
+        }
+
+        return { contextFilters, additionalFilters };
+    }
+
+    // "on Friday vs Monday", "in January vs December", "SPY vs QQQ" - variants for a comparison.
+    // Two tickers with a threshold are a SECTOR_SPREAD and never reach here as variants.
+    static extractVariants(text, lower, event) {
+        const versus = '\\s+(?:vs\\.?|versus|compared (?:to|with))\\s+';
+        const title = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+        const days = new RegExp(`\\b(${WEEKDAYS.join('|')})s?${versus}(?:on\\s+)?(${WEEKDAYS.join('|')})s?\\b`).exec(lower);
+        if (days && days[1] !== days[2]) {
+            return [days[1], days[2]].map(day => ({ label: title(day), additional_filters: { day_filter: [day.toUpperCase()] } }));
+        }
+
+        const months = new RegExp(`\\b(${MONTHS.join('|')})${versus}(?:in\\s+)?(${MONTHS.join('|')})\\b`).exec(lower);
+        if (months && months[1] !== months[2] && event.type !== 'TOY_BAROMETER') {
+            return [months[1], months[2]].map(month => ({ label: title(month), additional_filters: { month_filter: [MONTHS.indexOf(month) + 1] } }));
+        }
+
+        if (event.type !== 'SECTOR_SPREAD') {
+            const tickers = new RegExp(`\\b([A-Z]{1,5})${versus}([A-Z]{1,5})\\b`).exec(text);
+            if (tickers && tickers[1] !== tickers[2] && !NON_TICKERS.has(tickers[1]) && !NON_TICKERS.has(tickers[2])) {
+                return [tickers[1], tickers[2]].map(ticker => ({ label: ticker, ticker }));
+            }
+        }
+        return null;
+    }
+
+    static extractDates(lower, now = new Date()) {
+        if (/\b(?:all|full|entire)\s+(?:available\s+)?history\b|\bsince inception\b|\bmax(?:imum)? history\b/.test(lower)) {
+            return { start_date: 'max' };
+        }
+
+        const between = /\b(?:from|between)\s+(\d{4}-\d{2}-\d{2})\s+(?:to|and|through|until)\s+(\d{4}-\d{2}-\d{2})\b/.exec(lower);
+        if (between) return { start_date: between[1], end_date: between[2] };
+
+        const since = /\bsince\s+(\d{4})\b/.exec(lower);
+        if (since) return { start_date: `${since[1]}-01-01` };
+
+        const lookback = /\b(?:last|past)\s+(\d+)\s+years?\b/.exec(lower);
+        if (lookback) {
+            const start = new Date(Date.UTC(now.getUTCFullYear() - parseInt(lookback[1]), now.getUTCMonth(), now.getUTCDate()));
+            return { start_date: start.toISOString().split('T')[0] };
+        }
+
+        const year = /\b(?:in|during)\s+((?:19|20)\d{2})\b/.exec(lower);
+        if (year) return { start_date: `${year[1]}-01-01`, end_date: `${year[1]}-12-31` };
+
+        return {};
+    }
+
+    static extractPriceBasis(lower) {
+        if (/\btotal return\b|\bwith dividends\b|\bdividends reinvested\b/.test(lower)) return 'total_return';
+        if (/\bunadjusted\b|\bas traded\b|\braw prices?\b/.test(lower)) return 'raw';
+        return null;
+    }
+
+    static describe(ticker, event, contextFilters, additionalFilters) {
+        const p = event.parameters;
+        let text;
+        switch (event.type) {
+            case 'TOY_BAROMETER':
+                text = `${ticker} turn of year barometer${p.toy_start ? ` from ${p.toy_start} to ${p.toy_end}` : ''}`;
+                break;
+            case 'INTRADAY_PATTERN':
+                text = `${ticker} ${p.window.replace('_', ' ')} window moves${p.move_threshold ? ` of ${p.move_threshold}%+ ${p.direction}` : ''}${p.pattern ? ` followed by a ${p.pattern}` : ''}`;
+                break;
+            case 'REVERSAL':
+                text = `${ticker} ${p.pattern} reversals (open ${p.open_threshold}%, close ${p.close_threshold}%)`;
+                break;
+            case 'MACRO_EVENT':
+                text = `${ticker} while ${p.conditions.map(c => `${c.metric} ${c.operator} ${c.value}`).join(' and ')}`;
+                break;
+            case 'SECTOR_SPREAD':
+                text = `${p.sector_a} vs ${p.sector_b} spread of ${p.spread_threshold}% over ${p.days} days`;
+                break;
+            case 'INDICATOR_THRESHOLD':
+                text = `${ticker} when ${p.indicator === 'rsi' ? `RSI${p.period ? `(${p.period})` : ''}` : p.indicator} ${p.operator.replace('_', ' ')} ${p.reference ? p.reference.replace('bb_', '').concat(' Bollinger band') : p.value}`;
+                break;
+            case 'STREAK':
+                text = `${ticker} ${p.window ? `${p.direction} ${p.length} of the last ${p.window} sessions`
+                    : `${p.length} consecutive ${p.streak_type === 'high_low' ? (p.direction === 'up' ? 'higher highs' : 'lower lows') : `${p.direction} ${p.streak_type === 'gap' ? 'gaps' : 'closes'}`}`}`;
+                break;
+            case 'NEW_HIGH_LOW':
+                text = p.mode === 'drawdown'
+                    ? `${ticker} ${p.drawdown_pct}% below its ${p.lookback ? `${p.lookback}-session` : 'all-time'} high`
+                    : `${ticker} new ${p.mode === 'all_time_high' ? 'all-time high' : `${p.lookback}-session ${p.mode}`}s${p.min_days_since ? `, first in ${p.min_days_since} sessions` : ''}`;
+                break;
+            case 'MA_CROSSOVER':
+                text = p.fast_period
+                    ? `${ticker} ${p.fast_period}/${p.slow_period}-day ${(p.ma_type || 'sma').toUpperCase()} crosses ${p.direction === 'up' ? 'above' : 'below'}`
+                    : `${ticker} ${p.direction === 'up' ? 'golden' : 'death'} crosses`;
+                break;
+            case 'VOLATILITY_EVENT':
+                text = `${ticker} when VIX is above ${p.vix_threshold}`;
+                break;
+            case 'MOMENTUM_BULLISH':
+            case 'MOMENTUM_BEARISH':
+                text = `${ticker} ${event.type === 'MOMENTUM_BULLISH' ? 'bullish' : 'bearish'} momentum${p.sma_period ? ` vs the ${p.sma_period}-day SMA` : ''}`;
+                break;
+            default:
+                text = `${ticker} ${p.direction === 'both' ? '' : `${p.direction} `}moves of ${p.percent_move}% in ${p.days} day${p.days === 1 ? '' : 's'}`;
+        }
+
+        if (contextFilters.length > 0) {
+            text += ` ${contextualFilterService.getFilterSummary(contextFilters, additionalFilters)}`;
+        }
+        return text;
+    }
+}
+
+RuleBasedQueryParser.ACCEPT_CONFIDENCE = ACCEPT_CONFIDENCE;
+
+module.exports = RuleBasedQueryParser;
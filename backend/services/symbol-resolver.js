@@ -0,0 +1,350 @@
+// ========================================
+// SYMBOL RESOLVER
+// File: backend/services/symbol-resolver.js
+// Maps company names, index names, sectors and macro proxies to tradable symbols,
+// and checks that every symbol in a parse exists before any engine runs
+// ========================================
+
+const MarketDataService = require('./market-data');
+const SyntheticSymbols = require('./synthetic-symbols');
+const BarStore = require('./bar-store');
+const UniverseService = require('./universes');
+
+// Names are matched lower-case as whole phrases. The first symbol in `candidates` is the default.
+const ALIASES = [
+    // Indexes: names map to the tracking ETF (forward returns on something tradable),
+    // bare index codes to the index itself
+    { kind: 'index', name: 'S&P 500', symbol: 'SPY', aliases: ['s&p 500', 's&p500', 's&p', 'sp500', 'the s&p', 'the market', 'the stock market', 'us stocks'] },
+    { kind: 'index', name: 'Nasdaq-100', symbol: 'QQQ', aliases: ['nasdaq', 'the nasdaq', 'nasdaq 100', 'nasdaq-100'] },
+    { kind: 'index', name: 'Dow Jones Industrial Average', symbol: 'DIA', aliases: ['dow', 'the dow', 'dow jones', 'djia'] },
+    { kind: 'index', name: 'Russell 2000', symbol: 'IWM', aliases: ['russell', 'russell 2000', 'small caps', 'small-caps', 'smallcaps'] },
+    { kind: 'index', name: 'S&P 500 index', symbol: '^GSPC', aliases: ['spx', 'gspc'], proxy: 'SPY' },
+    { kind: 'index', name: 'Nasdaq-100 index', symbol: '^NDX', aliases: ['ndx'], proxy: 'QQQ' },
+    { kind: 'index', name: 'Nasdaq Composite', symbol: '^IXIC', aliases: ['ixic', 'nasdaq composite'], proxy: 'QQQ' },
+    { kind: 'index', name: 'Dow Jones index', symbol: '^DJI', aliases: ['dji'], proxy: 'DIA' },
+    { kind: 'index', name: 'Russell 2000 index', symbol: '^RUT', aliases: ['rut'], proxy: 'IWM' },
+    { kind: 'index', name: 'CBOE Volatility Index', symbol: '^VIX', aliases: ['vix', 'the vix', 'volatility index', 'fear index', 'fear gauge'] },
+
+    // Sectors (Select Sector SPDRs, plus industry ETFs for common sub-sectors)
+    { kind: 'sector', name: 'Technology', symbol: 'XLK', aliases: ['tech', 'technology', 'tech stocks', 'tech sector', 'information technology'] },
+    { kind: 'sector', name: 'Financials', symbol: 'XLF', aliases: ['financials', 'financial', 'finance', 'financial sector', 'financial stocks'] },
+    { kind: 'sector', name: 'Energy', symbol: 'XLE', aliases: ['energy', 'energy stocks', 'energy sector'] },
+    { kind: 'sector', name: 'Health Care', symbol: 'XLV', aliases: ['healthcare', 'health care', 'health'] },
+    { kind: 'sector', name: 'Industrials', symbol: 'XLI', aliases: ['industrials', 'industrial'] },
+    { kind: 'sector', name: 'Consumer Staples', symbol: 'XLP', aliases: ['staples', 'consumer staples'] },
+    { kind: 'sector', name: 'Consumer Discretionary', symbol: 'XLY', aliases: ['discretionary', 'consumer discretionary'] },
+    { kind: 'sector', name: 'Utilities', symbol: 'XLU', aliases: ['utilities', 'utes'] },
+    { kind: 'sector', name: 'Materials', symbol: 'XLB', aliases: ['materials', 'basic materials'] },
+    { kind: 'sector', name: 'Real Estate', symbol: 'XLRE', aliases: ['real estate', 'reits'] },
+    { kind: 'sector', name: 'Communication Services', symbol: 'XLC', aliases: ['communications', 'communication services', 'telecom'] },
+    { kind: 'sector', name: 'Semiconductors', symbol: 'SMH', aliases: ['semis', 'semiconductors', 'chips', 'chip stocks'] },
+    { kind: 'sector', name: 'Regional Banks', symbol: 'KRE', aliases: ['regional banks'] },
+    { kind: 'sector', name: 'Biotech', symbol: 'XBI', aliases: ['biotech', 'biotechs'] },
+    { kind: 'sector', name: 'Homebuilders', symbol: 'XHB', aliases: ['homebuilders'] },
+
+    // Macro proxies: the tradable instrument standing in for an untradable series
+    { kind: 'macro', name: 'US Dollar (UUP proxy for DXY)', symbol: 'UUP', aliases: ['the dollar', 'dollar', 'us dollar', 'dxy', 'dollar index', 'usd'] },
+    { kind: 'macro', name: 'Gold', symbol: 'GLD', aliases: ['gold'] },
+    { kind: 'macro', name: 'Silver', symbol: 'SLV', aliases: ['silver'] },
+    { kind: 'macro', name: 'Crude Oil', symbol: 'USO', aliases: ['oil', 'crude', 'crude oil', 'wti'] },
+    { kind: 'macro', name: 'Long Treasuries', symbol: 'TLT', aliases: ['long bonds', 'treasuries', 'long treasuries', '20 year treasuries'] },
+    { kind: 'macro', name: 'Bitcoin', symbol: 'BTC-USD', aliases: ['bitcoin', 'btc'] },
+
+    // Companies
+    { kind: 'company', name: 'Apple', symbol: 'AAPL', aliases: ['apple'] },
+    { kind: 'company', name: 'Microsoft', symbol: 'MSFT', aliases: ['microsoft'] },
+    { kind: 'company', name: 'NVIDIA', symbol: 'NVDA', aliases: ['nvidia'] },
+    { kind: 'company', name: 'Amazon', symbol: 'AMZN', aliases: ['amazon'] },
+    { kind: 'company', name: 'Alphabet', symbol: 'GOOGL', aliases: ['google', 'alphabet'] },
+    { kind: 'company', name: 'Meta Platforms', symbol: 'META', aliases: ['meta', 'facebook'] },
+    { kind: 'company', name: 'Tesla', symbol: 'TSLA', aliases: ['tesla'] },
+    { kind: 'company', name: 'Netflix', symbol: 'NFLX', aliases: ['netflix'] },
+    { kind: 'company', name: 'Berkshire Hathaway', symbol: 'BRK-B', aliases: ['berkshire', 'berkshire hathaway', 'brk.b', 'brkb'] },
+    { kind: 'company', name: 'JPMorgan Chase', symbol: 'JPM', aliases: ['jpmorgan', 'jp morgan', 'chase'] },
+    { kind: 'company', name: 'Goldman Sachs', symbol: 'GS', aliases: ['goldman', 'goldman sachs'] },
+    { kind: 'company', name: 'Bank of America', symbol: 'BAC', aliases: ['bank of america', 'bofa'] },
+    { kind: 'company', name: 'Exxon Mobil', symbol: 'XOM', aliases: ['exxon', 'exxonmobil', 'exxon mobil'] },
+    { kind: 'company', name: 'AMD', symbol: 'AMD', aliases: ['advanced micro devices'] },
+    { kind: 'company', name: 'Intel', symbol: 'INTC', aliases: ['intel'] },
+    { kind: 'company', name: 'Broadcom', symbol: 'AVGO', aliases: ['broadcom'] },
+    { kind: 'company', name: 'Walmart', symbol: 'WMT', aliases: ['walmart'] },
+    { kind: 'company', name: 'Costco', symbol: 'COST', aliases: ['costco'] },
+    { kind: 'company', name: 'Coca-Cola', symbol: 'KO', aliases: ['coca-cola', 'coca cola', 'coke'] },
+    { kind: 'company', name: 'Disney', symbol: 'DIS', aliases: ['disney'] },
+    { kind: 'company', name: 'Boeing', symbol: 'BA', aliases: ['boeing'] },
+    { kind: 'company', name: 'Palantir', symbol: 'PLTR', aliases: ['palantir'] },
+    { kind: 'company', name: 'Salesforce', symbol: 'CRM', aliases: ['salesforce'] }
+];
+
+// Names that reasonably mean more than one instrument; the first candidate is used unless the user picks
+const AMBIGUOUS = {
+    'banks': ['XLF', 'KRE', 'KBE'],
+    'bank stocks': ['XLF', 'KRE', 'KBE'],
+    'bonds': ['TLT', 'AGG', 'IEF'],
+    'the bond market': ['TLT', 'AGG', 'IEF'],
+    'crypto': ['BTC-USD', 'ETH-USD'],
+    'stocks': ['SPY', 'VTI'],
+    'equities': ['SPY', 'VTI'],
+    'rates': ['TLT', 'IEF', 'SHY']
+};
+
+// Symbols typed as-is that should become another symbol (vendor spelling, non-existent codes)
+const SYMBOL_REWRITES = {
+    'DXY': 'UUP',
+    'SPX': '^GSPC',
+    'NDX': '^NDX',
+    'DJI': '^DJI',
+    'RUT': '^RUT',
+    'VIX': '^VIX',
+    'BRK.B': 'BRK-B',
+    'BRK.A': 'BRK-A',
+    'BF.B': 'BF-B'
+};
+
+// Existence checks are cached; failures for a shorter time so a transient outage heals
+const VERIFIED_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILED_TTL_MS = 10 * 60 * 1000;
+const NOT_FOUND_PATTERN = /not found|no data|no market data|invalid|unknown symbol|delisted|404|cannot read prop/i;
+
+const resolverState = {
+    verified: new Map() // symbol -> { status: 'ok' | 'unresolved', reason, checkedAt }
+};
+
+const aliasIndex = new Map();
+ALIASES.forEach(entry => entry.aliases.forEach(alias => aliasIndex.set(alias, entry)));
+const knownSymbols = new Set([
+    ...ALIASES.flatMap(entry => [entry.symbol, entry.proxy].filter(Boolean)),
+    ...Object.values(AMBIGUOUS).flat(),
+    ...Object.values(UniverseService.BUILT_IN_UNIVERSES).flatMap(universe => universe.tickers)
+]);
+
+// Looks like a symbol someone typed on purpose (upper case, no spaces): used as-is, not name-mapped,
+// so real tickers that are also words (GOLD, DOW) keep their meaning
+const SYMBOL_LIKE = /^\^?[A-Z0-9][A-Z0-9.=-]{0,14}$/;
+
+class SymbolResolver {
+    // A single name or symbol. Returns { symbol, kind, name }, { ambiguous: true, candidates }
+    // or null when the table has nothing for it (the value is then taken as a symbol).
+    static lookup(value) {
+        if (typeof value !== 'string' || value.trim().length === 0) return null;
+        const text = value.trim();
+        const key = text.toLowerCase().replace(/\s+/g, ' ');
+        const symbolLike = SYMBOL_LIKE.test(text);
+
+        const rewrite = SYMBOL_REWRITES[text.toUpperCase()];
+        if (rewrite) {
+            return { symbol: rewrite, kind: 'rewrite', name: aliasIndex.get(key)?.name || rewrite };
+        }
+        if (symbolLike) {
+            return null;
+        }
+        if (AMBIGUOUS[key]) {
+            return { ambiguous: true, candidates: [...AMBIGUOUS[key]] };
+        }
+
+        const entry = aliasIndex.get(key);
+        return entry ? { symbol: entry.symbol, kind: entry.kind, name: entry.name } : null;
+    }
+
+    // Resolves a ticker field value, including each leg of a synthetic expression.
+    // Returns { symbol, resolved: [{ from, to, kind, name }], ambiguous: [{ value, candidates, chosen }] };
+    // ambiguous names resolve to their first candidate. Throws on malformed expressions.
+    static normalize(value) {
+        const resolved = [];
+        const ambiguous = [];
+        const resolveOne = text => {
+            const match = this.lookup(text);
+            if (!match) return text.trim().toUpperCase();
+            if (match.ambiguous) {
+                ambiguous.push({ value: text, candidates: match.candidates, chosen: match.candidates[0] });
+                return match.candidates[0];
+            }
+            resolved.push({ from: text, to: match.symbol, kind: match.kind, name: match.name });
+            return match.symbol;
+        };
+
+        const text = String(value).trim();
+        const whole = this.lookup(text);
+        if (!whole && /\s/.test(text) && !/[/+*()-]/.test(text)) {
+            throw new Error(`"${text}" is not a known company, index, sector or ticker`);
+        }
+        const definition = whole ? null : SyntheticSymbols.parse(text);
+        if (!definition) {
+            return { symbol: resolveOne(text), resolved, ambiguous };
+        }
+
+        // The synthetic parser upper-cases its legs; if the user wrote any lower case, legs are names
+        const typedAsNames = /[a-z]/.test(text.replace(/^basket/i, ''));
+        definition.components.forEach(component => {
+            component.symbol = resolveOne(typedAsNames ? component.symbol.toLowerCase() : component.symbol);
+        });
+        return {
+            symbol: resolved.length > 0 ? this.rebuildExpression(text, definition) : definition.symbol,
+            resolved,
+            ambiguous
+        };
+    }
+
+    // Names mentioned in free text, in order of appearance, longest phrases first:
+    // [{ phrase, symbol, kind, name }] or [{ phrase, ambiguous: true, candidates }]
+    static findInText(text) {
+        if (typeof text !== 'string') return [];
+        let lower = ` ${text.toLowerCase().replace(/[^a-z0-9&.\- ]+/g, ' ').replace(/\s+/g, ' ')} `;
+        const phrases = [...aliasIndex.keys(), ...Object.keys(AMBIGUOUS)].sort((a, b) => b.length - a.length);
+        const found = [];
+
+        for (const phrase of phrases) {
+            const position = lower.indexOf(` ${phrase} `);
+            if (position === -1) continue;
+            // Blank the phrase out so "the nasdaq" does not also match "nasdaq"
+            lower = lower.slice(0, position + 1) + ' '.repeat(phrase.length) + lower.slice(position + 1 + phrase.length);
+            found.push({ phrase, position, ...this.lookup(phrase) });
+        }
+
+        return found.sort((a, b) => a.position - b.position).map(({ position, ...match }) => match);
+    }
+
+    // Checks that every symbol in a validated parse has market data: ticker, SECTOR_SPREAD legs,
+    // comparison variant tickers, composite leaf tickers and each leg of synthetic expressions.
+    // Returns { unresolved: [{ field, value, reason, suggestions }], unverified: [{ field, value, reason }] }
+    static async verifyParse(parsed, { verify = process.env.SYMBOL_VERIFY !== 'false' } = {}) {
+        const report = { unresolved: [], unverified: [] };
+        if (!verify) return report;
+
+        for (const { path, value } of this.collectSymbolFields(parsed)) {
+            let symbols = [value];
+            try {
+                const definition = SyntheticSymbols.parse(value);
+                if (definition) symbols = definition.components.map(component => component.symbol);
+            } catch (error) {
+                report.unresolved.push({ field: path, value, reason: error.message, suggestions: [] });
+                continue;
+            }
+
+            for (const symbol of symbols) {
+                if (knownSymbols.has(symbol)) continue;
+                const check = await this.verifySymbol(symbol);
+                if (check.status === 'unresolved') {
+                    report.unresolved.push({ field: path, value: symbol, reason: check.reason, suggestions: this.suggest(symbol) });
+                } else if (check.status === 'unverified') {
+                    report.unverified.push({ field: path, value: symbol, reason: check.reason });
+                }
+            }
+        }
+        return report;
+    }
+
+    static rebuildExpression(original, definition) {
+        if (/^BASKET\(/i.test(original)) {
+            return `BASKET(${definition.components.map(c => c.symbol).join(',')})`;
+        }
+        if (definition.type === 'ratio') {
+            return `${definition.components[0].symbol}/${definition.components[1].symbol}`;
+        }
+        return definition.components
+            .map((c, i) => `${c.weight < 0 ? ' - ' : i > 0 ? ' + ' : ''}${Math.abs(c.weight) === 1 ? '' : `${Math.abs(c.weight)}*`}${c.symbol}`)
+            .join('');
+    }
+
+    // { status: 'ok' | 'unresolved' | 'unverified', reason }. 'unverified' (data source unreachable)
+    // does not block - the engine run will surface a real failure.
+    static async verifySymbol(symbol) {
+        const cached = resolverState.verified.get(symbol);
+        const ttl = cached?.status === 'ok' ? VERIFIED_TTL_MS : FAILED_TTL_MS;
+        if (cached && Date.now() - cached.checkedAt < ttl) return cached;
+
+        let result;
+        try {
+            const coverage = BarStore.isAvailable() ? await BarStore.getCoverage(symbol) : null;
+            if (coverage) {
+                result = { status: 'ok' };
+            } else {
+                const quote = await MarketDataService.getProvider(symbol).getQuote(symbol);
+                result = quote && isFinite(quote.price)
+                    ? { status: 'ok' }
+                    : { status: 'unresolved', reason: `No market data for "${symbol}"` };
+            }
+        } catch (error) {
+            result = NOT_FOUND_PATTERN.test(error.message)
+                ? { status: 'unresolved', reason: `No market data for "${symbol}"` }
+                : { status: 'unverified', reason: error.message };
+        }
+
+        result.checkedAt = Date.now();
+        if (result.status !== 'unverified') {
+            resolverState.verified.set(symbol, result);
+        }
+        return result;
+    }
+
+    // Closest table names for an unknown value (shared prefix, then edit distance)
+    static suggest(value, limit = 3) {
+        const key = String(value).toLowerCase();
+        const scored = [...aliasIndex.entries()].map(([alias, entry]) => ({
+            alias,
+            symbol: entry.symbol,
+            distance: this.editDistance(key, alias) - (alias.startsWith(key.slice(0, 3)) ? 1 : 0)
+        }));
+        const best = new Map();
+        scored
+            .filter(candidate => candidate.distance <= Math.max(2, Math.floor(key.length / 3)))
+            .sort((a, b) => a.distance - b.distance)
+            .forEach(candidate => {
+                if (!best.has(candidate.symbol)) best.set(candidate.symbol, `${candidate.symbol} (${candidate.alias})`);
+            });
+        return [...best.values()].slice(0, limit);
+    }
+
+    static editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    // [{ path, value }] for each symbol-bearing field of a parse
+    static collectSymbolFields(parse) {
+        const fields = [];
+        const add = (value, path) => {
+            if (typeof value === 'string' && value.length > 0) fields.push({ path, value });
+        };
+        const addEvent = (event, path) => {
+            add(event.ticker, `${path}ticker`);
+            if (event.event_type === 'SECTOR_SPREAD' && event.parameters) {
+                add(event.parameters.sector_a, `${path}parameters.sector_a`);
+                add(event.parameters.sector_b, `${path}parameters.sector_b`);
+            }
+        };
+
+        addEvent(parse, '');
+        (parse.variants || []).forEach((variant, i) => add(variant.ticker, `variants[${i}].ticker`));
+
+        const walk = (node, path) => {
+            if (!node || typeof node !== 'object') return;
+            if (!node.op) return addEvent(node, `${path}.`);
+            if (node.operand) walk(node.operand, `${path}.operand`);
+            if (node.first) walk(node.first, `${path}.first`);
+            if (node.then) walk(node.then, `${path}.then`);
+            (node.operands || []).forEach((operand, i) => walk(operand, `${path}.operands[${i}]`));
+        };
+        if (parse.event_type === 'COMPOSITE') walk(parse.parameters?.expression, 'parameters.expression');
+
+        return fields;
+    }
+
+    static clearCache() {
+        resolverState.verified.clear();
+    }
+}
+
+SymbolResolver.ALIASES = ALIASES;
+SymbolResolver.AMBIGUOUS = AMBIGUOUS;
+
+module.exports = SymbolResolver;
@@ -0,0 +1,182 @@
+// ========================================
+// SYNTHETIC SYMBOLS
+// File: backend/services/synthetic-symbols.js
+// Ratios, long/short spreads and baskets resolved into derived OHLC series
+// ========================================
+
+// Supported syntax:
+//   XLK/XLF                  ratio of two symbols (a price series of A measured in B)
+//   0.6*SPY+0.4*TLT          weighted combination, rebalanced daily and rebased to 100
+//   XLK - XLF                long/short spread (weights +1 / -1), same index construction
+//   BASKET(AAPL,MSFT,NVDA)   equal-weight basket
+// A '-' directly followed by a letter stays part of the symbol (BRK-B, BTC-USD), so
+// spreads need spaces around the minus sign or a weight after it (SPY-0.5*TLT).
+
+const INDEX_BASE = 100;
+
+const TERM_PATTERN = /^\s*([+-])?\s*(?:(\d*\.?\d+)\s*\*\s*)?([\^A-Za-z0-9.=]+(?:-[A-Za-z][A-Za-z0-9.=]*)*)\s*/;
+
+class SyntheticSymbols {
+    static isSynthetic(symbol) {
+        if (typeof symbol !== 'string') return false;
+        try {
+            return this.parse(symbol) !== null;
+        } catch (error) {
+            // Malformed expressions still count as synthetic so the caller sees the parse error
+            return /[/*+(),]|\s-\s/.test(symbol);
+        }
+    }
+
+    // Returns null for a plain ticker, otherwise
+    // { type: 'ratio' | 'index', symbol: canonical expression, components: [{ symbol, weight }] }
+    static parse(expression) {
+        const text = String(expression).trim();
+
+        const basket = /^BASKET\((.*)\)$/i.exec(text);
+        if (basket) {
+            const symbols = basket[1].split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+            if (symbols.length < 2) {
+                throw new Error(`BASKET needs at least two symbols: ${expression}`);
+            }
+            return this.build('index', symbols.map(symbol => ({ symbol, weight: 1 / symbols.length })), `BASKET(${symbols.join(',')})`);
+        }
+
+        if (text.includes('/')) {
+            const parts = text.split('/').map(s => s.trim().toUpperCase());
+            if (parts.length !== 2 || parts.some(part => !/^[\^A-Z0-9.=-]+$/.test(part))) {
+                throw new Error(`Ratios take exactly two plain symbols (A/B): ${expression}`);
+            }
+            return this.build('ratio', [{ symbol: parts[0], weight: 1 }, { symbol: parts[1], weight: -1 }], `${parts[0]}/${parts[1]}`);
+        }
+
+        const components = [];
+        let rest = text;
+        while (rest.length > 0) {
+            const term = TERM_PATTERN.exec(rest);
+            if (!term || (components.length > 0 && !term[1])) {
+                throw new Error(`Could not parse synthetic symbol "${expression}" near "${rest}"`);
+            }
+
+            const sign = term[1] === '-' ? -1 : 1;
+            const weight = sign * (term[2] !== undefined ? parseFloat(term[2]) : 1);
+            components.push({ symbol: term[3].toUpperCase(), weight });
+            rest = rest.slice(term[0].length);
+        }
+
+        // A bare ticker (SPY, BRK-B, ^VIX) is not synthetic
+        if (components.length === 1 && components[0].weight === 1) {
+            return null;
+        }
+
+        const symbols = components.map(c => c.symbol);
+        if (new Set(symbols).size !== symbols.length) {
+            throw new Error(`Each symbol may appear once in "${expression}"`);
+        }
+
+        const canonical = components
+            .map((c, i) => {
+                const magnitude = Math.abs(c.weight) === 1 ? '' : `${Math.abs(c.weight)}*`;
+                // Spaced operators keep the canonical form parseable (XLK-XLF would read as one symbol)
+                const sign = i === 0 ? (c.weight < 0 ? '-' : '') : (c.weight < 0 ? ' - ' : ' + ');
+                return `${sign}${magnitude}${c.symbol}`;
+            })
+            .join('');
+
+        return this.build('index', components, canonical);
+    }
+
+    static build(type, components, symbol) {
+        return { type, symbol, components };
+    }
+
+    // Rows where every series has a bar: [{ date, bars: [barA, barB, ...] }]
+    static alignSeries(seriesList, { interval = '1d' } = {}) {
+        const keyOf = bar => interval === '1d'
+            ? new Date(bar.date).toISOString().split('T')[0]
+            : new Date(bar.date).toISOString();
+
+        const maps = seriesList.map(series => new Map(series.map(bar => [keyOf(bar), bar])));
+        const aligned = [];
+
+        for (const [key, first] of maps[0]) {
+            const bars = maps.map(map => map.get(key));
+            if (bars.every(Boolean)) {
+                aligned.push({ key, date: first.date, bars });
+            }
+        }
+
+        return aligned.sort((a, b) => a.date - b.date);
+    }
+
+    // definition: result of parse(); seriesList: component bars in the same order as definition.components
+    static combine(definition, seriesList, { interval = '1d' } = {}) {
+        const aligned = this.alignSeries(seriesList, { interval });
+        return definition.type === 'ratio'
+            ? this.combineRatio(aligned)
+            : this.combineIndex(aligned, definition.components.map(c => c.weight));
+    }
+
+    // Open and close are exact; the true intraday extremes of a ratio are unknowable from
+    // daily bars, so high/low use the component highs/lows, bounded by open and close
+    static combineRatio(aligned) {
+        return aligned.map(({ date, bars: [a, b] }) => {
+            const open = a.open / b.open;
+            const close = a.close / b.close;
+            return {
+                date,
+                open,
+                high: Math.max(open, close, a.high / b.high),
+                low: Math.min(open, close, a.low / b.low),
+                close,
+                volume: null
+            };
+        });
+    }
+
+    // Daily-rebalanced index: each bar moves by the weighted component returns from the prior close
+    static combineIndex(aligned, weights) {
+        const result = [];
+        let level = INDEX_BASE;
+        let previous = null;
+
+        for (const { date, bars } of aligned) {
+            const reference = previous || bars.map(bar => bar.close);
+            const move = field => bars.reduce((sum, bar, i) => sum + weights[i] * (bar[field] / reference[i] - 1), 0);
+
+            // The first bar is measured against its own closes, so it closes at the base level
+            const close = level * (1 + move('close'));
+            const open = level * (1 + move('open'));
+            const high = level * (1 + move('high'));
+            const low = level * (1 + move('low'));
+
+            if (!(close > 0)) {
+                throw new Error(`Synthetic index fell to zero on ${new Date(date).toISOString().split('T')[0]}`);
+            }
+
+            result.push({
+                date,
+                open,
+                high: Math.max(open, close, high),
+                low: Math.min(open, close, low),
+                close,
+                volume: null
+            });
+
+            level = close;
+            previous = bars.map(bar => bar.close);
+        }
+
+        return result;
+    }
+
+    static describe(definition) {
+        if (definition.type === 'ratio') {
+            return `${definition.components[0].symbol} / ${definition.components[1].symbol} ratio`;
+        }
+        return `${definition.symbol} (daily-rebalanced index, base ${INDEX_BASE})`;
+    }
+}
+
+SyntheticSymbols.INDEX_BASE = INDEX_BASE;
+
+module.exports = SyntheticSymbols;
@@ -5,6 +5,7 @@
 // ========================================
 
 const MarketDataService = require('./market-data');
+const TradingCalendar = require('./trading-calendar');
 
 class TOYBarometerEngine {
     constructor() {
@@ -16,7 +17,7 @@ class TOYBarometerEngine {
         this.errorCount = 0;
     }
 
-    async analyze(parameters) {
+    async analyze(parameters, { range, priceBasis } = {}) {
         try {
             const {
                 ticker = 'SPY',
@@ -36,8 +37,12 @@ class TOYBarometerEngine {
                 throw new Error(`Invalid TOY dates: ${dateErrors.join(', ')}`);
             }
 
-            // Fetch extended historical data
-            const data = await MarketDataService.getHistoricalData(ticker, '10y');
+            // Fetch history back to the first analysed year unless an explicit range was requested
+            const { bars: data, quality } = await MarketDataService.getSeries(
+                ticker,
+                range || { start_date: `${first_year}-01-01` },
+                { priceBasis }
+            );
             
             if (!data || data.length === 0) {
                 throw new Error(`No data available for ${ticker}`);
@@ -92,6 +97,8 @@ class TOYBarometerEngine {
                         ...summary
                     },
                     toyPeriods, // Additional data for detailed analysis
+                    analysis_period: MarketDataService.describeDataRange(data),
+                    data_quality: { [ticker]: quality },
                     metadata: {
                         strategy: 'toy_barometer',
                         ticker,
@@ -169,8 +176,8 @@ class TOYBarometerEngine {
         const toyStartYear = year;
         const toyEndYear = endMonth < startMonth ? year + 1 : year;
 
-        const toyStart = new Date(toyStartYear, startMonth - 1, startDay);
-        const toyEnd = new Date(toyEndYear, endMonth - 1, endDay);
+        const toyStart = TradingCalendar.makeKey(toyStartYear, startMonth, startDay);
+        const toyEnd = TradingCalendar.makeKey(toyEndYear, endMonth, endDay);
 
         // Find nearest trading days
         const startTradingDay = this.findNearestTradingDay(toyStart, dataByDate, 'after');
@@ -311,8 +318,8 @@ class TOYBarometerEngine {
         const toyStartYear = year;
         const toyEndYear = endMonth < startMonth ? year + 1 : year;
 
-        const toyStart = new Date(toyStartYear, startMonth - 1, startDay);
-        const toyEnd = new Date(toyEndYear, endMonth - 1, endDay);
+        const toyStart = TradingCalendar.makeKey(toyStartYear, startMonth, startDay);
+        const toyEnd = TradingCalendar.makeKey(toyEndYear, endMonth, endDay);
 
         // Find nearest trading days
         const startTradingDay = this.findNearestTradingDay(toyStart, dataByDate, 'after');
@@ -369,28 +376,17 @@ class TOYBarometerEngine {
     }
 
     findNearestTradingDay(targetDate, dataByDate, direction = 'after') {
-        const targetStr = targetDate.toISOString().split('T')[0];
+        // Snap to an exchange session, then step session by session in case the series has a gap
+        let sessionKey = TradingCalendar.snapToTradingDay(targetDate, direction);
+        const maxSessions = 5;
         
-        // Try exact match first
-        if (dataByDate.has(targetStr)) {
-            return targetStr;
-        }
-
-        // Search forward or backward
-        const searchDate = new Date(targetDate);
-        const maxSearchDays = 10; // Limit search to prevent infinite loops
-        
-        for (let i = 1; i <= maxSearchDays; i++) {
-            if (direction === 'after') {
-                searchDate.setDate(targetDate.getDate() + i);
-            } else {
-                searchDate.setDate(targetDate.getDate() - i);
-            }
-            
-            const searchStr = searchDate.toISOString().split('T')[0];
-            if (dataByDate.has(searchStr)) {
-                return searchStr;
+        for (let i = 0; i <= maxSessions; i++) {
+            if (dataByDate.has(sessionKey)) {
+                return sessionKey;
             }
+            sessionKey = direction === 'after' ?
+                TradingCalendar.nextTradingDay(sessionKey) :
+                TradingCalendar.previousTradingDay(sessionKey);
         }
 
         return null;
@@ -513,19 +509,7 @@ class TOYBarometerEngine {
     }
 
     getTradingDaysBetween(startDate, endDate) {
-        let tradingDays = 0;
-        const currentDate = new Date(startDate);
-        
-        while (currentDate <= endDate) {
-            const dayOfWeek = currentDate.getDay();
-            // Skip weekends
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                tradingDays++;
-            }
-            currentDate.setDate(currentDate.getDate() + 1);
-        }
-        
-        return tradingDays;
+        return TradingCalendar.getTradingDaysBetween(startDate, endDate);
     }
 
     // Method to get the most recent TOY signal
@@ -0,0 +1,414 @@
+// ========================================
+// TRADING CALENDAR SERVICE
+// File: backend/services/trading-calendar.js
+// Rule-based NYSE calendar: holidays, early closes and historical closures
+// ========================================
+
+// All dates are handled as UTC 'YYYY-MM-DD' keys, matching how bars are keyed elsewhere
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REGULAR_SESSION = { open: '09:30', close: '16:00' };
+const EARLY_CLOSE_TIME = '13:00';
+
+// One-off closures that no annual rule produces
+const SPECIAL_CLOSURES = {
+    '1963-11-25': 'President Kennedy funeral',
+    '1969-02-10': 'Snowstorm',
+    '1969-03-31': 'President Eisenhower funeral',
+    '1969-07-21': 'Apollo 11 moon landing',
+    '1972-12-28': 'President Truman funeral',
+    '1973-01-25': 'President Johnson funeral',
+    '1977-07-14': 'New York City blackout',
+    '1985-09-27': 'Hurricane Gloria',
+    '1994-04-27': 'President Nixon funeral',
+    '2001-09-11': 'September 11 attacks',
+    '2001-09-12': 'September 11 attacks',
+    '2001-09-13': 'September 11 attacks',
+    '2001-09-14': 'September 11 attacks',
+    '2004-06-11': 'President Reagan funeral',
+    '2007-01-02': 'President Ford national day of mourning',
+    '2012-10-29': 'Hurricane Sandy',
+    '2012-10-30': 'Hurricane Sandy',
+    '2018-12-05': 'President George H.W. Bush national day of mourning',
+    '2025-01-09': 'President Carter national day of mourning'
+};
+
+// FOMC policy decision (statement) dates. Unscheduled meetings and emergency actions are
+// prefixed with '!'. Years missing here have no schedule - callers must not treat them as "no meeting".
+const FOMC_DECISIONS = {
+    2000: ['2000-02-02', '2000-03-21', '2000-05-16', '2000-06-28', '2000-08-22', '2000-10-03', '2000-11-15', '2000-12-19'],
+    2001: ['!2001-01-03', '2001-01-31', '2001-03-20', '!2001-04-18', '2001-05-15', '2001-06-27', '2001-08-21', '!2001-09-17', '2001-10-02', '2001-11-06', '2001-12-11'],
+    2002: ['2002-01-30', '2002-03-19', '2002-05-07', '2002-06-26', '2002-08-13', '2002-09-24', '2002-11-06', '2002-12-10'],
+    2003: ['2003-01-29', '2003-03-18', '2003-05-06', '2003-06-25', '2003-08-12', '2003-09-16', '2003-10-28', '2003-12-09'],
+    2004: ['2004-01-28', '2004-03-16', '2004-05-04', '2004-06-30', '2004-08-10', '2004-09-21', '2004-11-10', '2004-12-14'],
+    2005: ['2005-02-02', '2005-03-22', '2005-05-03', '2005-06-30', '2005-08-09', '2005-09-20', '2005-11-01', '2005-12-13'],
+    2006: ['2006-01-31', '2006-03-28', '2006-05-10', '2006-06-29', '2006-08-08', '2006-09-20', '2006-10-25', '2006-12-12'],
+    2007: ['2007-01-31', '2007-03-21', '2007-05-09', '2007-06-28', '2007-08-07', '!2007-08-17', '2007-09-18', '2007-10-31', '2007-12-11'],
+    2008: ['!2008-01-22', '2008-01-30', '2008-03-18', '2008-04-30', '2008-06-25', '2008-08-05', '2008-09-16', '!2008-10-08', '2008-10-29', '2008-12-16'],
+    2009: ['2009-01-28', '2009-03-18', '2009-04-29', '2009-06-24', '2009-08-12', '2009-09-23', '2009-11-04', '2009-12-16'],
+    2010: ['2010-01-27', '2010-03-16', '2010-04-28', '2010-06-23', '2010-08-10', '2010-09-21', '2010-11-03', '2010-12-14'],
+    2011: ['2011-01-26', '2011-03-15', '2011-04-27', '2011-06-22', '2011-08-09', '2011-09-21', '2011-11-02', '2011-12-13'],
+    2012: ['2012-01-25', '2012-03-13', '2012-04-25', '2012-06-20', '2012-08-01', '2012-09-13', '2012-10-24', '2012-12-12'],
+    2013: ['2013-01-30', '2013-03-20', '2013-05-01', '2013-06-19', '2013-07-31', '2013-09-18', '2013-10-30', '2013-12-18'],
+    2014: ['2014-01-29', '2014-03-19', '2014-04-30', '2014-06-18', '2014-07-30', '2014-09-17', '2014-10-29', '2014-12-17'],
+    2015: ['2015-01-28', '2015-03-18', '2015-04-29', '2015-06-17', '2015-07-29', '2015-09-17', '2015-10-28', '2015-12-16'],
+    2016: ['2016-01-27', '2016-03-16', '2016-04-27', '2016-06-15', '2016-07-27', '2016-09-21', '2016-11-02', '2016-12-14'],
+    2017: ['2017-02-01', '2017-03-15', '2017-05-03', '2017-06-14', '2017-07-26', '2017-09-20', '2017-11-01', '2017-12-13'],
+    2018: ['2018-01-31', '2018-03-21', '2018-05-02', '2018-06-13', '2018-08-01', '2018-09-26', '2018-11-08', '2018-12-19'],
+    2019: ['2019-01-30', '2019-03-20', '2019-05-01', '2019-06-19', '2019-07-31', '2019-09-18', '2019-10-30', '2019-12-11'],
+    2020: ['2020-01-29', '!2020-03-03', '!2020-03-15', '2020-04-29', '2020-06-10', '2020-07-29', '2020-09-16', '2020-11-05', '2020-12-16'],
+    2021: ['2021-01-27', '2021-03-17', '2021-04-28', '2021-06-16', '2021-07-28', '2021-09-22', '2021-11-03', '2021-12-15'],
+    2022: ['2022-01-26', '2022-03-16', '2022-05-04', '2022-06-15', '2022-07-27', '2022-09-21', '2022-11-02', '2022-12-14'],
+    2023: ['2023-02-01', '2023-03-22', '2023-05-03', '2023-06-14', '2023-07-26', '2023-09-20', '2023-11-01', '2023-12-13'],
+    2024: ['2024-01-31', '2024-03-20', '2024-05-01', '2024-06-12', '2024-07-31', '2024-09-18', '2024-11-07', '2024-12-18'],
+    2025: ['2025-01-29', '2025-03-19', '2025-05-07', '2025-06-18', '2025-07-30', '2025-09-17', '2025-10-29', '2025-12-10'],
+    2026: ['2026-01-28', '2026-03-18', '2026-04-29', '2026-06-17', '2026-07-29', '2026-09-16', '2026-10-28', '2026-12-09']
+};
+
+const EXCHANGE_TIME_ZONE = 'America/New_York';
+
+const yearCache = new Map();
+let exchangeFormatter = null;
+
+class TradingCalendar {
+    // ========================================
+    // DATE KEY HELPERS
+    // ========================================
+
+    static toDateKey(date) {
+        if (typeof date === 'string') {
+            return date.slice(0, 10);
+        }
+        return new Date(date).toISOString().split('T')[0];
+    }
+
+    static fromDateKey(key) {
+        return new Date(`${key}T00:00:00.000Z`);
+    }
+
+    static makeKey(year, month, day) {
+        return this.toDateKey(new Date(Date.UTC(year, month - 1, day)));
+    }
+
+    static shiftKey(key, days) {
+        return this.toDateKey(new Date(this.fromDateKey(key).getTime() + days * DAY_MS));
+    }
+
+    static dayOfWeek(date) {
+        return this.fromDateKey(this.toDateKey(date)).getUTCDay();
+    }
+
+    // nth weekday of a month (n = -1 for the last one); weekday 0 = Sunday
+    static nthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const firstDow = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+            const day = 1 + ((weekday - firstDow + 7) % 7) + (n - 1) * 7;
+            return this.makeKey(year, month, day);
+        }
+
+        const lastDay = new Date(Date.UTC(year, month, 0));
+        const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+        return this.makeKey(year, month, lastDay.getUTCDate() - offset);
+    }
+
+    // Anonymous Gregorian algorithm
+    static easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return this.makeKey(year, month, day);
+    }
+
+    // Saturday holidays move to Friday, Sunday holidays to Monday
+    static observed(key) {
+        const dow = this.dayOfWeek(key);
+        if (dow === 6) return this.shiftKey(key, -1);
+        if (dow === 0) return this.shiftKey(key, 1);
+        return key;
+    }
+
+    // ========================================
+    // ANNUAL RULES
+    // ========================================
+
+    static getYear(year) {
+        if (yearCache.has(year)) {
+            return yearCache.get(year);
+        }
+
+        const holidays = new Map();
+        const add = (key, name) => {
+            if (key && this.dayOfWeek(key) !== 0 && this.dayOfWeek(key) !== 6) {
+                holidays.set(key, name);
+            }
+        };
+
+        // New Year's Day: a Saturday holiday is not observed on the prior Friday (year-end accounting day)
+        const newYear = this.makeKey(year, 1, 1);
+        add(this.dayOfWeek(newYear) === 0 ? this.shiftKey(newYear, 1) : newYear, "New Year's Day");
+
+        if (year >= 1998) {
+            add(this.nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+        }
+
+        add(year >= 1971 ? this.nthWeekday(year, 2, 1, 3) : this.observed(this.makeKey(year, 2, 22)), "Washington's Birthday");
+        add(this.shiftKey(this.easterSunday(year), -2), 'Good Friday');
+        add(year >= 1971 ? this.nthWeekday(year, 5, 1, -1) : this.observed(this.makeKey(year, 5, 30)), 'Memorial Day');
+
+        if (year >= 2022) {
+            add(this.observed(this.makeKey(year, 6, 19)), 'Juneteenth');
+        }
+
+        add(this.observed(this.makeKey(year, 7, 4)), 'Independence Day');
+        add(this.nthWeekday(year, 9, 1, 1), 'Labor Day');
+        add(this.nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+        add(this.observed(this.makeKey(year, 12, 25)), 'Christmas Day');
+
+        // Election Day closures: every year through 1968, then presidential years through 1980
+        if (year <= 1968 || (year <= 1980 && year % 4 === 0)) {
+            add(this.shiftKey(this.nthWeekday(year, 11, 1, 1), 1), 'Election Day');
+        }
+
+        // 1968 paperwork crisis: Wednesday closures from June 12 through year end
+        if (year === 1968) {
+            for (let key = '1968-06-12'; key <= '1968-12-31'; key = this.shiftKey(key, 7)) {
+                if (!holidays.has(key)) add(key, 'Paperwork crisis closure');
+            }
+        }
+
+        Object.entries(SPECIAL_CLOSURES)
+            .filter(([key]) => key.startsWith(`${year}-`))
+            .forEach(([key, name]) => add(key, name));
+
+        // Early closes (1:00 PM ET)
+        const earlyCloses = new Map();
+        const addEarly = (key, name) => {
+            const dow = this.dayOfWeek(key);
+            if (dow !== 0 && dow !== 6 && !holidays.has(key)) {
+                earlyCloses.set(key, { name, close: EARLY_CLOSE_TIME });
+            }
+        };
+
+        const julyThird = this.makeKey(year, 7, 3);
+        if (this.dayOfWeek(julyThird) >= 1 && this.dayOfWeek(julyThird) <= 4) {
+            addEarly(julyThird, 'Day before Independence Day');
+        }
+        addEarly(this.shiftKey(this.nthWeekday(year, 11, 4, 4), 1), 'Day after Thanksgiving');
+        const christmasEve = this.makeKey(year, 12, 24);
+        if (this.dayOfWeek(christmasEve) >= 1 && this.dayOfWeek(christmasEve) <= 4) {
+            addEarly(christmasEve, 'Christmas Eve');
+        }
+
+        const entry = { holidays, earlyCloses };
+        yearCache.set(year, entry);
+        return entry;
+    }
+
+    static getHolidays(year) {
+        return [...this.getYear(year).holidays.entries()]
+            .map(([date, name]) => ({ date, name }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    static getEarlyCloses(year) {
+        return [...this.getYear(year).earlyCloses.entries()]
+            .map(([date, info]) => ({ date, ...info }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // ========================================
+    // DAY QUERIES
+    // ========================================
+
+    static getHolidayName(date) {
+        const key = this.toDateKey(date);
+        return this.getYear(parseInt(key.slice(0, 4))).holidays.get(key) || null;
+    }
+
+    static isHoliday(date) {
+        return this.getHolidayName(date) !== null;
+    }
+
+    static isWeekend(date) {
+        const dow = this.dayOfWeek(date);
+        return dow === 0 || dow === 6;
+    }
+
+    static isTradingDay(date) {
+        return !this.isWeekend(date) && !this.isHoliday(date);
+    }
+
+    static isEarlyClose(date) {
+        const key = this.toDateKey(date);
+        return this.getYear(parseInt(key.slice(0, 4))).earlyCloses.has(key);
+    }
+
+    // Regular session hours in exchange (New York) time, or null when the market is closed
+    static getSessionHours(date) {
+        if (!this.isTradingDay(date)) return null;
+        return this.isEarlyClose(date) ? { open: REGULAR_SESSION.open, close: EARLY_CLOSE_TIME } : { ...REGULAR_SESSION };
+    }
+
+    // ========================================
+    // EXCHANGE (NEW YORK) TIME
+    // ========================================
+
+    static timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static minutesToTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // Wall-clock date and time on the exchange for an instant, e.g. { date: '2024-03-01', time: '09:35', minutes: 575 }
+    static toExchangeTime(date) {
+        if (!exchangeFormatter) {
+            exchangeFormatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: EXCHANGE_TIME_ZONE,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+
+        const parts = {};
+        exchangeFormatter.formatToParts(new Date(date)).forEach(part => { parts[part.type] = part.value; });
+
+        const time = `${parts.hour}:${parts.minute}`;
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time,
+            minutes: this.timeToMinutes(time)
+        };
+    }
+
+    // Instant for an exchange wall-clock time ('2024-03-01', '09:30'), DST aware
+    static fromExchangeTime(dateKey, time) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const target = Date.UTC(year, month - 1, day) + this.timeToMinutes(time) * 60000;
+
+        // Guess with UTC, then correct by the observed offset (twice to settle across DST changes)
+        let instant = target;
+        for (let i = 0; i < 2; i++) {
+            const local = this.toExchangeTime(instant);
+            const localMs = this.fromDateKey(local.date).getTime() + local.minutes * 60000;
+            instant += target - localMs;
+        }
+        return new Date(instant);
+    }
+
+    // Whether an instant falls inside that day's regular session (bars are stamped with their start time)
+    static isRegularSession(date) {
+        const { date: key, minutes } = this.toExchangeTime(date);
+        const hours = this.getSessionHours(key);
+        if (!hours) return false;
+        return minutes >= this.timeToMinutes(hours.open) && minutes < this.timeToMinutes(hours.close);
+    }
+
+    // ========================================
+    // NAVIGATION
+    // ========================================
+
+    static nextTradingDay(date) {
+        let key = this.shiftKey(this.toDateKey(date), 1);
+        while (!this.isTradingDay(key)) key = this.shiftKey(key, 1);
+        return key;
+    }
+
+    static previousTradingDay(date) {
+        let key = this.shiftKey(this.toDateKey(date), -1);
+        while (!this.isTradingDay(key)) key = this.shiftKey(key, -1);
+        return key;
+    }
+
+    // Same day when it is a session, otherwise the next ('after') or previous ('before') one
+    static snapToTradingDay(date, direction = 'after') {
+        const key = this.toDateKey(date);
+        if (this.isTradingDay(key)) return key;
+        return direction === 'before' ? this.previousTradingDay(key) : this.nextTradingDay(key);
+    }
+
+    static addTradingDays(date, count) {
+        let key = this.toDateKey(date);
+        const step = count >= 0 ? 1 : -1;
+        for (let i = 0; i < Math.abs(count); i++) {
+            key = step > 0 ? this.nextTradingDay(key) : this.previousTradingDay(key);
+        }
+        return key;
+    }
+
+    // Trading sessions in [start, end], both inclusive
+    static getTradingDays(start, end) {
+        const days = [];
+        const endKey = this.toDateKey(end);
+        for (let key = this.toDateKey(start); key <= endKey; key = this.shiftKey(key, 1)) {
+            if (this.isTradingDay(key)) days.push(key);
+        }
+        return days;
+    }
+
+    static getTradingDaysBetween(startDate, endDate) {
+        return this.getTradingDays(startDate, endDate).length;
+    }
+
+    // Trading sessions within `days` sessions before/after a market holiday
+    static isAdjacentToHoliday(date, { window = 'both', days = 1 } = {}) {
+        const key = this.toDateKey(date);
+        if (!this.isTradingDay(key)) return false;
+
+        const checkSide = (direction) => {
+            let cursor = key;
+            for (let i = 0; i < days; i++) {
+                // Walk weekdays only: a weekday that is not a session is a holiday
+                let next = this.shiftKey(cursor, direction);
+                while (this.isWeekend(next)) next = this.shiftKey(next, direction);
+                if (this.isHoliday(next)) return true;
+                cursor = next;
+            }
+            return false;
+        };
+
+        if (window === 'before') return checkSide(1);
+        if (window === 'after') return checkSide(-1);
+        return checkSide(1) || checkSide(-1);
+    }
+
+    // ========================================
+    // FOMC SCHEDULE
+    // ========================================
+
+    // [{ date, type }] for the year, or null when the year has no schedule
+    static getFomcDecisions(year) {
+        const dates = FOMC_DECISIONS[year];
+        if (!dates) return null;
+        return dates.map(entry => entry.startsWith('!')
+            ? { date: entry.slice(1), type: 'Unscheduled Action' }
+            : { date: entry, type: 'FOMC Decision' });
+    }
+
+    static hasFomcSchedule(year) {
+        return Boolean(FOMC_DECISIONS[year]);
+    }
+}
+
+TradingCalendar.REGULAR_SESSION = REGULAR_SESSION;
+TradingCalendar.EARLY_CLOSE_TIME = EARLY_CLOSE_TIME;
+TradingCalendar.EXCHANGE_TIME_ZONE = EXCHANGE_TIME_ZONE;
+
+module.exports = TradingCalendar;
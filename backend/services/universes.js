@@ -0,0 +1,193 @@
+// ========================================
+// TICKER UNIVERSES
+// File: backend/services/universes.js
+// Built-in and user-defined ticker lists for multi-ticker scans
+// ========================================
+
+const mongoose = require('mongoose');
+
+// Upper bound on tickers per universe - each one is a full fetch + engine run per scan
+const MAX_UNIVERSE_SIZE = 150;
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,39}$/;
+
+// Index memberships are snapshots (Nasdaq-100 reconstitutes each December, the Dow ad hoc);
+// save a user universe to scan a different membership
+const BUILT_IN_UNIVERSES = {
+    SECTOR_ETFS: {
+        description: 'Select Sector SPDR ETFs (11 GICS sectors)',
+        aliases: ['SECTORS', 'SECTOR_SPDRS'],
+        tickers: ['XLB', 'XLC', 'XLE', 'XLF', 'XLI', 'XLK', 'XLP', 'XLRE', 'XLU', 'XLV', 'XLY']
+    },
+    MAJOR_INDEXES: {
+        description: 'Major US index ETFs',
+        aliases: ['INDEXES', 'INDEX_ETFS'],
+        tickers: ['SPY', 'QQQ', 'DIA', 'IWM', 'MDY', 'RSP']
+    },
+    DOW_30: {
+        description: 'Dow Jones Industrial Average components',
+        aliases: ['DOW', 'DJIA', 'DOW30'],
+        tickers: [
+            'AAPL', 'AMGN', 'AMZN', 'AXP', 'BA', 'CAT', 'CRM', 'CSCO', 'CVX', 'DIS',
+            'GS', 'HD', 'HON', 'IBM', 'JNJ', 'JPM', 'KO', 'MCD', 'MMM', 'MRK',
+            'MSFT', 'NKE', 'NVDA', 'PG', 'SHW', 'TRV', 'UNH', 'V', 'VZ', 'WMT'
+        ]
+    },
+    NASDAQ_100: {
+        description: 'Nasdaq-100 components',
+        aliases: ['NASDAQ100', 'NDX', 'QQQ_HOLDINGS'],
+        tickers: [
+            'AAPL', 'ABNB', 'ADBE', 'ADI', 'ADP', 'ADSK', 'AEP', 'AMAT', 'AMD', 'AMGN',
+            'AMZN', 'APP', 'ARM', 'ASML', 'AVGO', 'AXON', 'AZN', 'BIIB', 'BKNG', 'BKR',
+            'CCEP', 'CDNS', 'CDW', 'CEG', 'CHTR', 'CMCSA', 'COST', 'CPRT', 'CRWD', 'CSCO',
+            'CSGP', 'CSX', 'CTAS', 'CTSH', 'DASH', 'DDOG', 'DXCM', 'EA', 'EXC', 'FANG',
+            'FAST', 'FTNT', 'GEHC', 'GFS', 'GILD', 'GOOG', 'GOOGL', 'HON', 'IDXX', 'INTC',
+            'INTU', 'ISRG', 'KDP', 'KHC', 'KLAC', 'LIN', 'LRCX', 'LULU', 'MAR', 'MCHP',
+            'MDLZ', 'MELI', 'META', 'MNST', 'MRVL', 'MSFT', 'MSTR', 'MU', 'NFLX', 'NVDA',
+            'NXPI', 'ODFL', 'ON', 'ORLY', 'PANW', 'PAYX', 'PCAR', 'PDD', 'PEP', 'PLTR',
+            'PYPL', 'QCOM', 'REGN', 'ROP', 'ROST', 'SBUX', 'SHOP', 'SNPS', 'TEAM', 'TMUS',
+            'TRI', 'TSLA', 'TTD', 'TTWO', 'TXN', 'VRSK', 'VRTX', 'WBD', 'WDAY', 'XEL', 'ZS'
+        ]
+    }
+};
+
+const UniverseSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true },
+    description: String,
+    tickers: [String],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+UniverseSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const Universe = mongoose.model('Universe', UniverseSchema);
+
+class UniverseService {
+    static isAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    static getBuiltInUniverses() {
+        return Object.entries(BUILT_IN_UNIVERSES).map(([name, universe]) => ({
+            name,
+            description: universe.description,
+            tickers: [...universe.tickers],
+            builtIn: true
+        }));
+    }
+
+    static findBuiltIn(name) {
+        const key = this.normalizeName(name).toUpperCase().replace(/[\s-]+/g, '_');
+        const match = Object.entries(BUILT_IN_UNIVERSES)
+            .find(([builtInName, universe]) => builtInName === key || universe.aliases.includes(key));
+        return match ? this.getBuiltInUniverses().find(u => u.name === match[0]) : null;
+    }
+
+    // Built-in universes followed by the user's own
+    static async listUniverses(userId) {
+        const saved = userId && this.isAvailable()
+            ? await Universe.find({ userId }).sort({ name: 1 }).lean()
+            : [];
+
+        return [
+            ...this.getBuiltInUniverses(),
+            ...saved.map(universe => this.format(universe))
+        ];
+    }
+
+    // spec: a universe name (built-in or the user's) or an explicit ticker list.
+    // Returns { name, tickers, builtIn }
+    static async resolve(spec, userId) {
+        if (Array.isArray(spec)) {
+            return { name: 'custom', tickers: this.normalizeTickers(spec), builtIn: false };
+        }
+
+        if (typeof spec !== 'string' || spec.trim().length === 0) {
+            throw new Error('A universe name or ticker list is required');
+        }
+
+        const builtIn = this.findBuiltIn(spec);
+        if (builtIn) {
+            return { name: builtIn.name, tickers: builtIn.tickers, builtIn: true };
+        }
+
+        const saved = userId && this.isAvailable()
+            ? await Universe.findOne({ userId, name: this.normalizeName(spec) }).lean()
+            : null;
+        if (!saved) {
+            throw new Error(`Unknown universe "${spec}" - use one of: ${Object.keys(BUILT_IN_UNIVERSES).join(', ')} or a saved universe`);
+        }
+
+        return { name: saved.name, tickers: saved.tickers, builtIn: false };
+    }
+
+    static async saveUniverse(userId, { name, description, tickers }) {
+        const universeName = this.normalizeName(name);
+        if (!NAME_PATTERN.test(universeName)) {
+            throw new Error('Universe names are 1-40 letters, digits, spaces, "_" or "-"');
+        }
+        if (this.findBuiltIn(universeName)) {
+            throw new Error(`"${universeName}" is a built-in universe name`);
+        }
+
+        const universe = await Universe.findOneAndUpdate(
+            { userId, name: universeName },
+            {
+                description: description || '',
+                tickers: this.normalizeTickers(tickers),
+                updatedAt: new Date()
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+
+        return this.format(universe);
+    }
+
+    static async deleteUniverse(userId, name) {
+        const result = await Universe.deleteOne({ userId, name: this.normalizeName(name) });
+        return result.deletedCount > 0;
+    }
+
+    // Upper-cased, de-duplicated, order preserved. Synthetic expressions (XLK/XLF) are allowed.
+    static normalizeTickers(tickers) {
+        if (!Array.isArray(tickers)) {
+            throw new Error('tickers must be an array of symbols');
+        }
+
+        const symbols = [...new Set(
+            tickers
+                .filter(ticker => typeof ticker === 'string')
+                .map(ticker => ticker.trim().toUpperCase())
+                .filter(Boolean)
+        )];
+
+        if (symbols.length === 0) {
+            throw new Error('A universe needs at least one ticker');
+        }
+        if (symbols.length > MAX_UNIVERSE_SIZE) {
+            throw new Error(`A universe can hold at most ${MAX_UNIVERSE_SIZE} tickers (got ${symbols.length})`);
+        }
+        return symbols;
+    }
+
+    static normalizeName(name) {
+        return String(name || '').trim();
+    }
+
+    static format(universe) {
+        return {
+            name: universe.name,
+            description: universe.description || '',
+            tickers: universe.tickers,
+            builtIn: false,
+            updatedAt: universe.updatedAt
+        };
+    }
+}
+
+UniverseService.MAX_UNIVERSE_SIZE = MAX_UNIVERSE_SIZE;
+UniverseService.BUILT_IN_UNIVERSES = BUILT_IN_UNIVERSES;
+
+module.exports = UniverseService;